@@ -0,0 +1,834 @@
+/**
+ * 活体种子AI - 统一AI客户端 v1.0
+ *
+ * 所有LLM调用的唯一实现, 以下入口都是它的薄适配层:
+ *   - AIFleet (seed-living-core.js)         — 本地舰队: 5处Key来源 + 向量近似缓存
+ *   - CloudAIFleet (start-cloud.js)         — 云端舰队: 无本地Ollama, 旧的 ask→文本 接口
+ *   - LocalLLM (seed-neuro-brain.js)        — 大脑决策: think(prompt) → 文本
+ *   - LLMEvolutionEngine.askLLM             — LLM进化: { success, content }
+ *
+ * 共享能力 (提供商定义/记账/限流/熔断/缓存见 seed-ai-registry.js):
+ *   路由(能力标签+任务成功率) · 失败切换 · 限流排队 · 熔断+后台探测 · 回复缓存
+ *   · 上下文打包 · 结构化JSON · 看图提问 · 交叉验证 · 流式 · 统计/健康检查 · 调用追踪 (seed-ai-trace.js)
+ *
+ * 不传client的适配层共用 getClient() 单例, 统计与缓存在同一进程内合并
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+    getRegistry, UsageLedger, RateLimiter, CircuitBreaker, RateLimitError, ResponseCache, HARD_TASKS, askJSON, consensus,
+    promptKey, loadImage,
+} = require('./seed-ai-registry');
+const { getTraceLog, callSite } = require('./seed-ai-trace');
+
+const SEED_HOME = __dirname;
+const HEALTH_PROMPT = '回复"OK"两个字母';
+
+// 单次调用覆盖项 (透传给提供商, 见 ProviderRegistry._prepare)
+const CALL_OPTIONS = ['json', 'maxTokens', 'temperature'];
+
+function defaultLog(level, message) {
+    console.log(`[AI] ${message}`);
+}
+
+// 追踪记录里的完整提示词 (PromptBuilder展开为全文; 图片只记类型/大小/哈希, 不落base64)
+function traceablePrompt(prompt) {
+    return Array.isArray(prompt)
+        ? prompt.map(m => ({
+            role: m.role, content: String(m.content ?? ''),
+            ...(m.images?.length ? { images: m.images.map(describeImage) } : {}),
+        }))
+        : String(prompt ?? '');
+}
+
+function describeImage(img) {
+    if (img.url) return { url: img.url };
+    const bytes = Buffer.byteLength(img.data, 'base64');
+    return { mimeType: img.mimeType, bytes, hash: crypto.createHash('sha1').update(img.data).digest('hex').slice(0, 12) };
+}
+
+class AIClient {
+    /**
+     * @param {Object} [options]
+     *   registry/usage/limiter/cache/breaker — 注入共享实例 (默认各自新建)
+     *   traces — 追踪日志 (默认进程内共用的 getTraceLog())
+     *   filter(def) / defaults — 同 registry.buildProviders (如云端排除local, maxTokens 2000)
+     *   embed(text) — 缓存近似命中用的向量函数
+     *   log(level, message) — level: info/ok/warn/error/debug
+     */
+    constructor(options = {}) {
+        this.registry = options.registry || getRegistry();
+        this.providers = new Map();
+        this.stats = new Map(); // provider → { calls, successes, avgLatency, lastUse, lastFail, cacheHits, tasks }
+        this.usage = options.usage || new UsageLedger(this.registry); // token/费用账本 + 预算
+        this.limiter = options.limiter || new RateLimiter(this.registry); // RPM/RPD令牌桶 + 优先级队列
+        this.cache = options.cache || new ResponseCache({ embed: options.embed || ((text) => this._embed(text)) }); // 回复缓存
+        this.breaker = options.breaker || new CircuitBreaker(); // 熔断: 持续失败的提供商暂停使用, 后台探测恢复
+        this.traces = options.traces || getTraceLog(); // 每次调用的审计记录 (JSONL, 轮转)
+        this._log = options.log || defaultLog;
+        this._filter = options.filter || null;
+        this._defaults = options.defaults || undefined;
+        this._keys = {};
+        this._probeTimer = null;
+        this._budgetWarned = new Set();
+        this._initProviders();
+    }
+
+    _initProviders() {
+        // Key先加载: filter可能依赖Key是否存在
+        this._loadKeys();
+        this.providers = this.registry.buildProviders(() => this._keys, {
+            filter: this._filter ? (def) => this._filter(def, this._keys) : undefined,
+            defaults: this._defaults,
+        });
+        // tasks: 任务类型 → { calls, successes } (按task路由的依据)
+        for (const key of this.providers.keys()) {
+            this.stats.set(key, { calls: 0, successes: 0, avgLatency: 0, lastUse: 0, lastFail: 0, cacheHits: 0, tasks: {} });
+        }
+    }
+
+    // Key来源: credentials.json · ai-keys.json · 环境变量 · .env · ~/.ai-keys (子类可覆盖)
+    _loadKeys() {
+        this._keys = {};
+
+        try {
+            const creds = JSON.parse(fs.readFileSync(path.join(SEED_HOME, 'credentials.json'), 'utf8'));
+            this.addKeys(creds);
+        } catch {}
+
+        // 自动获取的key单独存储
+        try {
+            const aiKeys = JSON.parse(fs.readFileSync(path.join(SEED_HOME, 'ai-keys.json'), 'utf8'));
+            this.addKeys(aiKeys);
+        } catch {}
+
+        const envMap = this.registry.envMap();
+        for (const [env, key] of Object.entries(envMap)) {
+            if (process.env[env]) this._keys[key] = process.env[env];
+        }
+
+        try {
+            const envFile = fs.readFileSync(path.join(SEED_HOME, '.env'), 'utf8');
+            for (const line of envFile.split('\n')) {
+                const match = line.match(/^([A-Z_]+)\s*=\s*(.+)/);
+                if (match) {
+                    const [, k, v] = match;
+                    if (envMap[k]) this._keys[envMap[k]] = v.trim().replace(/['"]/g, '');
+                }
+            }
+        } catch {}
+
+        try {
+            const homeKeys = JSON.parse(fs.readFileSync(
+                path.join(process.env.USERPROFILE || process.env.HOME || '', '.ai-keys'), 'utf8'));
+            this.addKeys(homeKeys);
+        } catch {}
+    }
+
+    // 按前缀/字段名自动识别Key (规则见清单 keyPrefix / keyNames)
+    addKeys(obj) {
+        this.registry.extractKeys(obj, this._keys);
+    }
+
+    // 可用的提供商 (不需要Key或已有Key)
+    usable() {
+        return [...this.providers.entries()]
+            .filter(([key, p]) => !p.needsKey || !!this._keys[key])
+            .map(([key]) => key);
+    }
+
+    /**
+     * 统一调用: 选最佳可用提供商, 失败切换
+     * prompt: 字符串 | messages数组 | PromptBuilder — 按所选提供商的contextTokens打包
+     * options.priority: 'high'(大脑决策) | 'normal' | 'low'(后台学习), 配额紧张时高优先级先行
+     * options.maxWait: 等待限流配额的最长毫秒数, 超时换下一个提供商
+     * options.json / maxTokens / temperature: 单次调用覆盖 (json: 原生JSON模式)
+     * options.cache: 回复缓存 — true(默认TTL) | TTL毫秒数 | { ttl, semantic }, 不传则不缓存
+     * options.task: 任务类型 code/json/summarize/reason/vision/embed, 按能力标签+该任务成功率选提供商
+     * options.retries: 最多尝试几个提供商(默认3); options.timeout: 单个提供商超时(默认30秒)
+     * options.correlationId: 关联ID, 写入追踪记录; options.site: 调用位置 (默认取调用栈)
+     * @returns {{ success, content, provider, trace, latency?, usage?, cached?, error? }}
+     */
+    async request(prompt, systemPrompt = '', options = {}) {
+        const maxRetries = options.retries || 3;
+        // 调用位置要在第一个await之前取, 之后的调用栈只剩异步帧
+        const site = options.site || callSite();
+        const attempts = [];
+        // 缓存按完整提示词成键 (PromptBuilder取全部段落)
+        const input = Array.isArray(prompt) ? prompt : String(prompt);
+        const cacheOpts = this._cacheOptions(options);
+        if (cacheOpts) {
+            const hit = await this.cache.get(input, systemPrompt, cacheOpts);
+            if (hit) {
+                const stat = this.stats.get(hit.provider);
+                if (stat) stat.cacheHits++;
+                const cached = hit.semantic ? 'semantic' : 'exact';
+                const trace = this._trace('request', prompt, systemPrompt, options, site, {
+                    response: hit.content, provider: hit.provider, latency: 0, outcome: `cached:${cached}`,
+                });
+                return { success: true, content: hit.content, provider: hit.provider, latency: 0, cached, trace };
+            }
+        }
+        const sorted = this._rankProviders(options.task);
+
+        for (let i = 0; i < Math.min(maxRetries, sorted.length); i++) {
+            const [key, provider] = sorted[i];
+            const res = await this._attempt(key, provider, prompt, systemPrompt, options);
+            if (!res) continue;
+            if (!res.ok) {
+                attempts.push({ provider: key, error: res.error, latency: res.latency });
+                continue;
+            }
+            if (cacheOpts) await this.cache.set(input, systemPrompt, res.content, { ...cacheOpts, provider: key });
+            const trace = this._trace('request', prompt, systemPrompt, options, site, {
+                response: res.content, provider: key, latency: res.latency, tokens: res.usage, outcome: 'ok',
+                attempts, packing: res.packing,
+            });
+            return { success: true, content: res.content, provider: key, latency: res.latency, usage: res.usage, trace };
+        }
+        const trace = this._trace('request', prompt, systemPrompt, options, site, {
+            response: null, provider: 'none', outcome: 'all_providers_failed', attempts,
+        });
+        return { success: false, content: '', provider: 'none', error: 'all_providers_failed', trace };
+    }
+
+    // 写一条追踪记录, 返回id
+    _trace(kind, prompt, systemPrompt, options, site, fields) {
+        const { packing, ...rest } = fields;
+        return this.traces.write({
+            kind, correlationId: options.correlationId || null, site, task: options.task || null,
+            promptHash: promptKey(prompt, systemPrompt, options.json),
+            prompt: traceablePrompt(prompt), system: String(systemPrompt || ''),
+            ...rest,
+            // 只在上下文不够、有段被丢弃/截断时记录
+            ...(packing && (packing.dropped.length || packing.truncated.length) ? { packing } : {}),
+        });
+    }
+
+    async ask(prompt, systemPrompt = '', options = {}) {
+        return this.request(prompt, systemPrompt, options);
+    }
+
+    // 多轮对话: messages = [{role: 'user'|'assistant', content}]
+    async chat(messages, systemPrompt = '', options = {}) {
+        return this.request(messages, systemPrompt, options);
+    }
+
+    /**
+     * 看图提问: 只路由到带 vision 能力的提供商 (Ollama换用清单visionModel, OpenAI兼容走image_url分段)
+     * images: 文件路径 / Buffer / data URL / http(s) URL / { data, mimeType } 之一或数组
+     * options 同request, 另有 options.system: 系统提示词
+     * @returns 同request; 图片读取失败时 { success: false, error }
+     */
+    async askVision(prompt, images, options = {}) {
+        const site = options.site || callSite();
+        let loaded;
+        try {
+            loaded = (Array.isArray(images) ? images : [images]).filter(Boolean).map(loadImage);
+        } catch (e) {
+            return { success: false, content: '', provider: 'none', error: `image_load_failed: ${e.message}` };
+        }
+        if (loaded.length === 0) return { success: false, content: '', provider: 'none', error: 'no_images' };
+        const { system, ...rest } = options;
+        return this.request([{ role: 'user', content: String(prompt), images: loaded }], system || '', {
+            ...rest, task: 'vision', site,
+        });
+    }
+
+    /**
+     * 结构化JSON输出: 原生JSON模式 + Schema校验, 不合格时把错误反馈给模型重试
+     * options.system: 系统提示词; options.attempts: 最多尝试次数(默认3)
+     * options.cache: 同request, 只缓存通过校验的结果; options.task 默认 'json'
+     * 每次尝试的追踪记录事后补充解析结果 parse: ok | invalid | 错误码
+     * @returns {{ success, data, provider, attempts, traces, error?, errors? }}
+     */
+    async askJSON(prompt, schema = null, options = {}) {
+        const cacheOpts = this._cacheOptions(options);
+        const { cache, ...rest } = options;
+        const site = options.site || callSite();
+        // 键包含schema: 同一问题换了schema不能复用
+        const cacheKey = `${String(prompt)}\n${JSON.stringify(schema)}`;
+        if (cacheOpts) {
+            const hit = await this.cache.get(cacheKey, options.system || '', cacheOpts);
+            if (hit) {
+                const stat = this.stats.get(hit.provider);
+                if (stat) stat.cacheHits++;
+                return { success: true, data: JSON.parse(hit.content), provider: hit.provider, attempts: 0, cached: hit.semantic ? 'semantic' : 'exact' };
+            }
+        }
+        const traces = [];
+        const result = await askJSON(async (messages, sys, opts) => {
+            const res = await this.request(messages, sys, { ...opts, site });
+            if (res.success) traces.push(res.trace);
+            return res;
+        }, prompt, schema, { task: 'json', ...rest });
+        // 重试只发生在解析/校验不合格时: 前面的都是invalid, 最后一次看最终结果
+        traces.forEach((id, i) => this.traces.annotate(id, {
+            parse: i < traces.length - 1 ? 'invalid' : (result.success ? 'ok' : result.error),
+            ...(i === traces.length - 1 && result.errors ? { parseErrors: result.errors.slice(0, 5) } : {}),
+        }));
+        result.traces = traces;
+        if (cacheOpts && result.success) {
+            await this.cache.set(cacheKey, options.system || '', JSON.stringify(result.data), { ...cacheOpts, provider: result.provider });
+        }
+        return result;
+    }
+
+    // options.cache → ResponseCache查询参数 (json模式单独成键)
+    _cacheOptions(options) {
+        const c = options.cache;
+        if (!c) return null;
+        if (c === true) return { json: !!options.json };
+        if (typeof c === 'number') return { ttl: c, json: !!options.json };
+        return { ttl: c.ttl, semantic: !!c.semantic, json: !!options.json };
+    }
+
+    // options → 提供商callOpts (未指定的不传, 沿用清单/defaults)
+    _callOptions(options) {
+        const picked = {};
+        for (const name of CALL_OPTIONS) {
+            if (options[name] !== undefined && options[name] !== false) picked[name] = options[name];
+        }
+        if (options.timeout) picked.timeout = options.timeout;
+        return Object.keys(picked).length > 0 ? picked : undefined;
+    }
+
+    // 近似重复查找的embedding: 默认没有 (只走精确匹配), AIFleet借用VectorMemory
+    async _embed(text) {
+        return null;
+    }
+
+    /**
+     * 流式问答: 逐token产出 (async iterator)
+     * 首个token之前失败会切换到下一个提供商; 之后失败直接抛出
+     * 调用方提前结束迭代 (break/return, 如客户端断开) 时, 已产出部分照常记账/追踪, 熔断试探按成功结算
+     * options.onProvider(key) 在选定提供商时回调
+     */
+    async *askStream(prompt, systemPrompt = '', options = {}) {
+        const maxRetries = options.retries || 3;
+        const site = options.site || callSite();
+        const sorted = this._rankProviders(options.task);
+        const callOpts = this._callOptions(options);
+        const attempts = [];
+
+        for (let i = 0; i < Math.min(maxRetries, sorted.length); i++) {
+            const [key, provider] = sorted[i];
+            const stat = this.stats.get(key);
+            if (!this.breaker.allow(key)) continue;
+            if (!(await this.limiter.acquire(key, options))) {
+                this.breaker.cancel(key);
+                continue;
+            }
+
+            const start = Date.now();
+            stat.calls++;
+            stat.lastUse = start;
+            let emitted = false;
+            let settled = false; // 正常结束/出错已结算; finally里仍为false即调用方中途停止
+            let text = '';
+            const meta = {};
+            try {
+                for await (const token of provider.stream(prompt, systemPrompt, meta, callOpts)) {
+                    if (!emitted) {
+                        this._logPacking(key, meta);
+                        options.onProvider?.(key);
+                    }
+                    emitted = true;
+                    text += token;
+                    yield token;
+                }
+                settled = true;
+                if (emitted) {
+                    this._streamDone(key, stat, start, meta, options.task);
+                    this._trace('stream', prompt, systemPrompt, options, site, {
+                        response: text, provider: key, latency: Date.now() - start, tokens: meta.usage, outcome: 'ok', attempts, packing: meta.packing,
+                    });
+                    return;
+                }
+                attempts.push({ provider: key, error: 'empty', latency: Date.now() - start });
+                this._circuit(key, false, options.task);
+            } catch (e) {
+                settled = true;
+                this._failed(key, e, options.task);
+                if (emitted) {
+                    // 中途断流: 已产出的部分也记账/记下
+                    this.usage.record(key, meta.usage);
+                    this._trace('stream', prompt, systemPrompt, options, site, {
+                        response: text, provider: key, latency: Date.now() - start, tokens: meta.usage, outcome: `interrupted: ${e.message}`, attempts,
+                    });
+                    throw e;
+                }
+                attempts.push({ provider: key, error: e.message, latency: Date.now() - start });
+            } finally {
+                if (!settled) {
+                    // 调用方不再读取: 已产出的token照样计费; 没产出就放弃试探名额, 不算提供商的成败
+                    if (emitted) {
+                        this._streamDone(key, stat, start, meta, options.task);
+                    } else {
+                        this.breaker.cancel(key);
+                    }
+                    this._trace('stream', prompt, systemPrompt, options, site, {
+                        response: text, provider: key, latency: Date.now() - start, tokens: meta.usage, outcome: 'aborted', attempts, packing: meta.packing,
+                    });
+                }
+            }
+        }
+        this._trace('stream', prompt, systemPrompt, options, site, {
+            response: null, provider: 'none', outcome: 'all_providers_failed', attempts,
+        });
+        throw new Error('all_providers_failed');
+    }
+
+    // 流式调用产出过内容: 成功计数/延迟 · 用量记账 · 熔断成功 (结算half_open试探)
+    _streamDone(key, stat, start, meta, task) {
+        const latency = Date.now() - start;
+        stat.successes++;
+        stat.avgLatency = stat.avgLatency ? (stat.avgLatency * 0.8 + latency * 0.2) : latency;
+        this.usage.record(key, meta.usage);
+        this._circuit(key, true, task);
+    }
+
+    /**
+     * 单个提供商的一次非流式调用: 熔断 → 限流(options.priority/maxWait) → 调用计数/延迟 · 用量记账 · 熔断结算
+     * request 与 crossValidate 共用; 熔断/限流跳过返回 null (没有发出调用)
+     * @returns {{ ok: true, content, latency, usage, packing } | { ok: false, error, latency } | null}
+     */
+    async _attempt(key, provider, prompt, systemPrompt, options = {}) {
+        const stat = this.stats.get(key);
+
+        // 熔断先于限流: 熔断中的提供商不占配额也不排队 (half_open只放行一次试探)
+        if (!this.breaker.allow(key)) return null;
+        // 限流配额: 等不到就换下一个, 让出试探名额
+        if (!(await this.limiter.acquire(key, options))) {
+            this.breaker.cancel(key);
+            return null;
+        }
+
+        const start = Date.now();
+        stat.calls++;
+        stat.lastUse = start;
+        const meta = {};
+        try {
+            const result = await Promise.race([
+                provider.ask(prompt, systemPrompt, meta, this._callOptions(options)),
+                new Promise((_, rej) => setTimeout(() => rej(new Error('timeout')), options.timeout || 30000)),
+            ]);
+            this._logPacking(key, meta);
+
+            if (result && result.trim()) {
+                const latency = Date.now() - start;
+                stat.successes++;
+                stat.avgLatency = stat.avgLatency ? (stat.avgLatency * 0.8 + latency * 0.2) : latency;
+                this.usage.record(key, meta.usage);
+                this._circuit(key, true, options.task);
+                return { ok: true, content: result.trim(), latency, usage: meta.usage, packing: meta.packing };
+            }
+            this._circuit(key, false, options.task);
+            return { ok: false, error: 'empty', latency: Date.now() - start };
+        } catch (e) {
+            this._failed(key, e, options.task);
+            return { ok: false, error: e.message, latency: Date.now() - start };
+        }
+    }
+
+    /**
+     * AI×AI交叉验证: 同一问题问多个提供商, 比较回复并投票
+     * options.count: 需要的回复数(默认3); options.mode: 'json'|'code'|'text' (默认自动判断)
+     * options.fields: json模式只比较这些字段; options.task/priority: 同request; 其余见 consensus()
+     * @returns {{ responses, count, consensus, confidence, answer, provider, mode, votes, agreement, traces }}
+     *   answer: 多数答案 (json模式为投票者的逐字段合并: 数值取中位数)
+     *   每个提供商的调用各写一条追踪记录, 投票结果事后补充到这些记录
+     */
+    async crossValidate(prompt, systemPrompt = '', options = {}) {
+        const want = options.count || 3;
+        const site = options.site || callSite();
+        const sorted = this._rankProviders(options.task);
+        const responses = [];
+        const traces = [];
+        const callOpts = {
+            ...options,
+            json: options.mode === 'json',
+            maxWait: options.maxWait || 2000,
+            timeout: options.timeout || 20000,
+        };
+
+        // 多试两个候选补足失败的, 不无限扩大
+        for (const [key, provider] of sorted.slice(0, want + 2)) {
+            if (responses.length >= want) break;
+            const res = await this._attempt(key, provider, prompt, systemPrompt, callOpts);
+            if (!res) continue;
+            if (res.ok) responses.push({ provider: key, content: res.content });
+            traces.push(this._trace('crossValidate', prompt, systemPrompt, callOpts, site, {
+                response: res.ok ? res.content : null, provider: key, latency: res.latency,
+                tokens: res.usage, outcome: res.ok ? 'ok' : res.error, packing: res.packing,
+            }));
+        }
+
+        const result = await consensus(responses, { ...options, embed: (text) => this._embed(text) });
+        for (const id of traces) {
+            this.traces.annotate(id, { consensus: result.consensus, confidence: result.confidence, majority: result.provider });
+        }
+        return { ...result, traces };
+    }
+
+    /**
+     * 候选提供商排序
+     * 指定task时: 有该能力标签的排前面, 按该任务成功率(拉普拉斯平滑)×优先级;
+     * vision/embed没有标签的直接排除; 其余按滚动窗口成功率×优先级
+     */
+    _rankProviders(task = null) {
+        // 缺Key的提供商必然no_key失败, 不参与
+        const ranked = [...this.providers.entries()].filter(([key, p]) => !p.needsKey || !!this._keys[key]).filter(([key]) => {
+            // 预算耗尽的付费提供商不再选用 (当日/当月)
+            const reason = this.usage.exhausted(key);
+            if (!reason) return true;
+            const warnKey = `${key}:${reason}:${new Date().toISOString().slice(0, 10)}`;
+            if (!this._budgetWarned.has(warnKey)) {
+                this._budgetWarned.add(warnKey);
+                this._log('warn', `${key} 预算耗尽(${reason}), 暂停使用`);
+            }
+            return false;
+        }).filter(([key]) => this.breaker.available(key)).sort((a, b) => {
+            // 按滚动窗口成功率×优先级排序 (窗口外的旧记录不再影响)
+            const scoreA = this.breaker.successRate(a[0]) * (1 / a[1].priority);
+            const scoreB = this.breaker.successRate(b[0]) * (1 / b[1].priority);
+            return scoreB - scoreA;
+        });
+        if (!task) return ranked;
+
+        const capable = ranked.filter(([_, p]) => p.capabilities.includes(task));
+        if (HARD_TASKS.includes(task)) return capable;
+        // 没有任何提供商标注该能力: 退回原有排序
+        if (capable.length === 0) return ranked;
+        const taskScore = ([key, p]) => {
+            const t = this.stats.get(key).tasks[task] || { calls: 0, successes: 0 };
+            return (t.successes + 1) / (t.calls + 2) * (1 / p.priority);
+        };
+        capable.sort((a, b) => taskScore(b) - taskScore(a));
+        return [...capable, ...ranked.filter(([_, p]) => !p.capabilities.includes(task))];
+    }
+
+    // 提示词超出该提供商上下文: 记录丢弃/截断了哪些段
+    _logPacking(key, meta) {
+        const packing = meta.packing;
+        if (!packing || (packing.dropped.length === 0 && packing.truncated.length === 0)) return;
+        const parts = [];
+        if (packing.dropped.length) parts.push(`丢弃[${packing.dropped.join(', ')}]`);
+        if (packing.truncated.length) parts.push(`截断[${packing.truncated.join(', ')}]`);
+        this._log('debug', `${key} 上下文${this.providers.get(key).contextTokens}t: ${parts.join(' ')} → ${packing.promptTokens}t`);
+    }
+
+    // 调用失败: 限流不算健康问题 (只退避), 其余计入熔断器
+    _failed(key, e, task = null) {
+        if (e instanceof RateLimitError) {
+            this.limiter.penalize(key, e.retryAfter);
+            this.breaker.cancel(key);
+        } else {
+            this.stats.get(key).lastFail = Date.now();
+            this._circuit(key, false, task);
+        }
+    }
+
+    // 调用结果记录: 该任务成功率 + 熔断器 (状态变化打日志)
+    _circuit(key, ok, task = null) {
+        if (task) {
+            const tasks = this.stats.get(key).tasks;
+            const t = tasks[task] = tasks[task] || { calls: 0, successes: 0 };
+            t.calls++;
+            if (ok) t.successes++;
+        }
+        const change = ok ? this.breaker.success(key) : this.breaker.failure(key);
+        if (change === 'open') {
+            const { retryInMs, trips } = this.breaker.status(key);
+            this._log('warn', `${key} 熔断(第${trips}次), ${Math.round(retryInMs / 1000)}秒后试探`);
+        } else if (change === 'closed') {
+            this._log('ok', `${key} 恢复, 熔断关闭`);
+        }
+    }
+
+    // 后台探测: 冷却结束的熔断提供商用测试提示词试探, 不拿真实请求冒险
+    startProbes(interval = 60000) {
+        if (this._probeTimer) return;
+        this._probeTimer = setInterval(() => this._probe(), interval);
+        this._probeTimer.unref?.();
+    }
+
+    stopProbes() {
+        clearInterval(this._probeTimer);
+        this._probeTimer = null;
+    }
+
+    async _probe() {
+        for (const key of this.breaker.due()) {
+            const provider = this.providers.get(key);
+            if (!provider || (provider.needsKey && !this._keys[key])) continue;
+            if (!this.breaker.allow(key)) continue;
+            if (!(await this.limiter.acquire(key, { priority: 'low', maxWait: 0 }))) {
+                this.breaker.cancel(key);
+                continue;
+            }
+            try {
+                const resp = await Promise.race([
+                    provider.ask(HEALTH_PROMPT, ''),
+                    new Promise((_, rej) => setTimeout(() => rej(new Error('timeout')), 15000)),
+                ]);
+                this._circuit(key, !!(resp && resp.trim()));
+            } catch (e) {
+                this._failed(key, e);
+            }
+        }
+    }
+
+    // 每个提供商的状态: 调用/成功率/延迟 · 用量与预算 · 限流配额 · 熔断 · 各任务成功率
+    getStatus() {
+        const status = {};
+        for (const [key, stat] of this.stats) {
+            const provider = this.providers.get(key);
+            const rate = stat.calls > 0 ? (stat.successes / stat.calls * 100).toFixed(0) + '%' : 'N/A';
+            const available = !provider.needsKey || !!this._keys[key];
+            const usage = this.usage.summary(key);
+            status[key] = {
+                calls: stat.calls, rate, latency: Math.round(stat.avgLatency), available, type: provider.type,
+                tokens: { today: usage.today.tokens, month: usage.month.tokens },
+                cost: { today: usage.today.cost, month: usage.month.cost },
+                budgetExhausted: this.usage.exhausted(key),
+                quota: this.limiter.status(key),
+                cacheHits: stat.cacheHits,
+                circuit: this.breaker.status(key),
+                capabilities: provider.capabilities,
+                tasks: Object.fromEntries(Object.entries(stat.tasks).map(([task, t]) =>
+                    [task, { calls: t.calls, rate: (t.successes / t.calls * 100).toFixed(0) + '%' }])),
+            };
+        }
+        return status;
+    }
+
+    // 健康检查: 测试所有可用提供商
+    async healthCheck() {
+        this._log('info', '═══ AI舰队健康检查 ═══');
+        const results = {};
+
+        for (const [key, provider] of this.providers) {
+            if (provider.needsKey && !this._keys[key]) {
+                results[key] = { status: 'no_key', latency: 0 };
+                continue;
+            }
+            try {
+                const start = Date.now();
+                const resp = await Promise.race([
+                    provider.ask(HEALTH_PROMPT, ''),
+                    new Promise((_, rej) => setTimeout(() => rej(new Error('timeout')), 15000)),
+                ]);
+                const latency = Date.now() - start;
+                const ok = resp && resp.trim().length > 0;
+                results[key] = { status: ok ? 'ok' : 'empty', latency };
+                this._circuit(key, ok);
+                if (ok) this._log('ok', `  ✓ ${key}: ${latency}ms`);
+                else this._log('warn', `  ~ ${key}: 空响应`);
+            } catch (e) {
+                results[key] = { status: 'error', error: e.message, latency: 0 };
+                this._failed(key, e);
+                this._log('error', `  ✗ ${key}: ${e.message}`);
+            }
+        }
+
+        const ok = Object.values(results).filter(r => r.status === 'ok').length;
+        const noKey = Object.values(results).filter(r => r.status === 'no_key').length;
+        this._log('info', `健康检查完成: ${ok}可用 / ${noKey}缺Key / ${this.providers.size}总计`);
+        return results;
+    }
+}
+
+// 单例: 没有注入client的适配层 (LocalLLM / LLMEvolutionEngine) 共用
+let _shared = null;
+function getClient() {
+    if (!_shared) _shared = new AIClient();
+    return _shared;
+}
+
+module.exports = { AIClient, getClient, HEALTH_PROMPT };
+
+// 自测: 全部离线 (MockLLM提供商 + 桩提供商, 账本/缓存/追踪写到test-*文件), node seed-ai-client.js
+if (require.main === module) {
+    (async () => {
+        const { ProviderRegistry } = require('./seed-ai-registry');
+        const { MockLLM } = require('./seed-ai-mock');
+        const { TraceLog } = require('./seed-ai-trace');
+        const C = { red: '\x1b[31m', green: '\x1b[32m', cyan: '\x1b[36m', magenta: '\x1b[35m', reset: '\x1b[0m' };
+        const sleep = ms => new Promise(r => setTimeout(r, ms));
+        const testFiles = ['test-ai-usage.json', 'test-ai-cache.json', 'test-ai-mock-fixtures.json', 'test-ai-traces.jsonl', 'test-ai-rotate.jsonl']
+            .map(f => path.join(SEED_HOME, f));
+        console.log(`\n${C.magenta}═══ 统一AI客户端 自测 ═══${C.reset}\n`);
+        let passed = 0, total = 0;
+        const check = (ok) => {
+            if (ok) { console.log(`  ${C.green}✓ 通过${C.reset}`); passed++; }
+            else console.log(`  ${C.red}✗ 失败${C.reset}`);
+        };
+
+        const mock = new MockLLM({ fixturesPath: testFiles[2] });
+        const registry = new ProviderRegistry({ mock });
+        const logs = [];
+        const clients = [];
+        const newClient = (options = {}) => {
+            const c = new AIClient({
+                registry,
+                usage: new UsageLedger(registry, testFiles[0], { flushDelay: 60000 }),
+                cache: new ResponseCache({ filePath: testFiles[1] }),
+                traces: new TraceLog({ filePath: testFiles[3] }),
+                log: (level, message) => logs.push(`${level}: ${message}`),
+                ...options,
+            });
+            clients.push(c);
+            return c;
+        };
+        // 桩提供商: 替换mock清单, 模拟多家回复不同/失败/缺Key
+        const stub = (client, defs) => {
+            client.providers = new Map(Object.entries(defs).map(([key, d], i) => [key, {
+                name: key, type: 'stub', priority: i + 1, needsKey: !!d.needsKey, capabilities: d.capabilities || [],
+                contextTokens: 0, maxTokens: 500,
+                ask: async (p, s, meta) => {
+                    meta.usage = { promptTokens: 5, completionTokens: 5, estimated: true };
+                    if (d.error) throw new Error(d.error);
+                    return d.reply;
+                },
+            }]));
+            client.stats = new Map([...client.providers.keys()].map(key =>
+                [key, { calls: 0, successes: 0, avgLatency: 0, lastUse: 0, lastFail: 0, cacheHits: 0, tasks: {} }]));
+        };
+
+        // 1. 路由 + 记账 + 追踪 + 缓存
+        console.log(`${C.cyan}[1] 请求路由测试${C.reset}`);
+        total++;
+        const client = newClient();
+        const res = await client.request('你好', '你是助手', { correlationId: 'cid-request' });
+        const cached1 = await client.request('缓存这个问题', '', { cache: true });
+        const cached2 = await client.request('缓存这个问题', '', { cache: true });
+        const [trace] = client.traces.query({ correlationId: 'cid-request' }).traces;
+        const used = client.usage.summary('mock').today.tokens;
+        console.log(`  ${res.provider}: "${res.content.substring(0, 24)}" 用量${used}t, 追踪 ${trace?.outcome}/${trace?.system}, 缓存 ${cached1.cached}→${cached2.cached}`);
+        check(res.success && res.provider === 'mock' && res.content.startsWith('[mock]') && used > 0
+            && trace?.id === res.trace && trace.outcome === 'ok' && trace.system === '你是助手' && trace.promptHash
+            && !cached1.cached && cached2.cached === 'exact' && cached2.content === cached1.content);
+
+        // 2. askJSON: 第一次不合格 → 错误反馈后重试, 追踪记录补充解析结果
+        console.log(`\n${C.cyan}[2] askJSON测试${C.reset}`);
+        total++;
+        mock.rules = [{ match: /打分/, system: null, response: '这段代码不错' }];
+        const judged = await client.askJSON('给这段代码打分', {
+            type: 'object', required: ['score'], properties: { score: { type: 'integer', minimum: 1, maximum: 5 } },
+        }, { correlationId: 'cid-json' });
+        mock.rules = [];
+        const parses = judged.traces.map(id => client.traces.query({ id }).traces[0]?.parse);
+        console.log(`  ${judged.attempts}次尝试 → ${JSON.stringify(judged.data)}, 追踪解析结果 [${parses}]`);
+        check(judged.success && judged.attempts === 2 && judged.data.score === 1 && parses.join() === 'invalid,ok'
+            && client.stats.get('mock').tasks.json?.successes === 2);
+
+        // 3. 交叉验证: 多数答案 + 数值中位数合并; 每个提供商照常记账/计数, 按priority排队, 投票结果补充到追踪
+        console.log(`\n${C.cyan}[3] 交叉验证测试${C.reset}`);
+        total++;
+        const voter = newClient();
+        stub(voter, {
+            a: { reply: '{"risk": 0.2, "verdict": "safe"}' },
+            b: { reply: '{"risk": 0.22, "verdict": "safe"}' },
+            c: { reply: '{"risk": 0.9, "verdict": "unsafe"}' },
+        });
+        const priorities = [];
+        const acquire = voter.limiter.acquire.bind(voter.limiter);
+        voter.limiter.acquire = (key, options) => {
+            priorities.push(options.priority);
+            return acquire(key, options);
+        };
+        const cv = await voter.crossValidate('这个补丁安全吗', '', { mode: 'json', priority: 'high' });
+        const counted = ['a', 'b', 'c'].map(key => `${voter.stats.get(key).successes}/${voter.stats.get(key).calls}`);
+        const billed = ['a', 'b', 'c'].map(key => voter.usage.summary(key).today.tokens);
+        const annotated = cv.traces.map(id => voter.traces.query({ id }).traces[0]).filter(t => t?.consensus === true);
+        console.log(`  ${cv.count}个回复, 共识=${cv.consensus} 投票[${cv.votes}] 合并=${JSON.stringify(cv.answer)}, 追踪已标注${annotated.length}条`);
+        console.log(`  成功/调用 [${counted}], 用量 [${billed}]t, 排队优先级 [${priorities}]`);
+        check(cv.count === 3 && cv.consensus && [...cv.votes].sort().join() === 'a,b' && cv.answer.verdict === 'safe'
+            && Math.abs(cv.answer.risk - 0.21) < 1e-9 && counted.join() === '1/1,1/1,1/1' && billed.every(t => t === 10)
+            && priorities.join() === 'high,high,high' && annotated.length === 3);
+
+        // 4. 熔断 · 缺Key · 熔断先于限流 (被限流时让出试探名额)
+        console.log(`\n${C.cyan}[4] 熔断/限流/缺Key测试${C.reset}`);
+        total++;
+        const limits = { ok: { rpm: 1 } };
+        const guarded = newClient({
+            breaker: new CircuitBreaker({ maxConsecutive: 1, baseCooldown: 30 }),
+            limiter: new RateLimiter({ get: key => ({ limits: limits[key] || {} }) }),
+        });
+        stub(guarded, { paid: { needsKey: true, reply: '付费' }, flaky: { error: 'boom' }, ok: { reply: '好的' } });
+        const ranked = guarded._rankProviders().map(([key]) => key);
+        const first = await guarded.request('第一次', '', { maxWait: 20 });
+        const flakyState = guarded.breaker.status('flaky').state;
+        // ok的配额已用完: 熔断到期后的试探被限流, 名额要还回去
+        guarded.breaker.failure('ok');
+        await sleep(40);
+        const second = await guarded.request('第二次', '', { maxWait: 20 });
+        const okAfter = guarded.breaker.status('ok');
+        const okCalls = guarded.stats.get('ok').calls;
+        console.log(`  候选[${ranked}], 第一次 ${first.provider} (flaky ${flakyState}), 第二次 ${second.error}`);
+        console.log(`  ok被限流后: ${okAfter.state} 可试探=${guarded.breaker.available('ok')} 调用${okCalls}次, 限流拒绝${guarded.limiter.status('ok').throttled}次`);
+        check(!ranked.includes('paid') && first.success && first.provider === 'ok' && flakyState === 'open'
+            && !second.success && okAfter.state === 'half_open' && guarded.breaker.available('ok') && okCalls === 1
+            && guarded.limiter.status('ok').throttled === 1);
+
+        // 5. 流式: 调用方中途停止时照常记账, half_open试探按成功结算
+        console.log(`\n${C.cyan}[5] 流式中止测试${C.reset}`);
+        total++;
+        const streamer = newClient({ breaker: new CircuitBreaker({ maxConsecutive: 1, baseCooldown: 20 }) });
+        streamer.breaker.failure('mock');
+        await sleep(30);
+        let firstToken = null;
+        for await (const token of streamer.askStream('讲个故事', '', { correlationId: 'cid-stream' })) {
+            firstToken = token;
+            break;
+        }
+        const [aborted] = streamer.traces.query({ correlationId: 'cid-stream' }).traces;
+        const streamStat = streamer.stats.get('mock');
+        console.log(`  首个token "${firstToken?.substring(0, 20)}", 熔断 ${streamer.breaker.status('mock').state}, 成功${streamStat.successes}/${streamStat.calls}, 用量${streamer.usage.summary('mock').today.tokens}t, 追踪 ${aborted?.outcome}`);
+        check(firstToken && streamer.breaker.status('mock').state === 'closed' && streamStat.successes === 1
+            && streamer.usage.summary('mock').today.tokens > 0 && aborted?.outcome === 'aborted' && aborted.response === firstToken);
+
+        // 6. 追踪日志: 缓冲写盘 + 轮转 + 从新到旧查询 + 正文脱敏
+        console.log(`\n${C.cyan}[6] 追踪轮转测试${C.reset}`);
+        total++;
+        const log = new TraceLog({ filePath: testFiles[4], maxBytes: 2000, maxFiles: 2, flushDelay: 60000 });
+        const ids = [];
+        let buffered = true;
+        for (let i = 0; i < 40; i++) {
+            ids.push(log.write({ kind: 'request', seq: i, provider: i % 2 ? 'odd' : 'even', prompt: '提示词'.repeat(20), response: 'r'.repeat(50) }));
+            if (i === 0) buffered = !fs.existsSync(testFiles[4]);
+            // 每5条写一次盘 (模拟定时flush), 轮转在写盘时检查
+            if (i % 5 === 4) log.flush();
+        }
+        log.annotate(ids[39], { parse: 'ok' });
+        const latest = log.query({ limit: 5 });
+        const odd = log.query({ provider: 'odd', limit: 3, bodies: false });
+        const everything = log.query({ limit: 1000 });
+        const rotatedFiles = [1, 2, 3].map(i => fs.existsSync(`${testFiles[4]}.${i}`));
+        console.log(`  首条写入后未落盘=${buffered}, 轮转${log.stats.rotated}次, 文件[${rotatedFiles}], 最新5条 [${latest.traces.map(t => t.seq)}] more=${latest.more}`);
+        console.log(`  odd脱敏: [${odd.traces.map(t => t.seq)}] prompt=${JSON.stringify(odd.traces[0]?.prompt)}, 保留${everything.total}/40条`);
+        check(buffered && log.stats.rotated > 0 && rotatedFiles.join() === 'true,true,false'
+            && latest.traces.map(t => t.seq).join() === '39,38,37,36,35' && latest.more && latest.traces[0].parse === 'ok'
+            && odd.traces.map(t => t.seq).join() === '39,37,35' && odd.traces[0].prompt.redacted && odd.traces[0].response.chars === 50
+            && everything.total < 40 && !everything.more && everything.traces[everything.total - 1].seq > 0);
+
+        console.log(`\n${C.magenta}═══ 结果: ${passed}/${total} 通过 ═══${C.reset}\n`);
+        if (passed !== total) console.log(logs.join('\n'));
+
+        // 清理测试文件 (账本/追踪先写盘, 否则退出时才写出)
+        for (const c of clients) {
+            c.usage.flush();
+            c.traces.flush();
+        }
+        for (const f of testFiles) {
+            for (const suffix of ['', '.1', '.2', '.3']) {
+                try { fs.rmSync(f + suffix, { force: true }); } catch {}
+            }
+        }
+
+        process.exit(passed === total ? 0 : 1);
+    })();
+}
@@ -0,0 +1,233 @@
+/**
+ * 活体种子AI - 离线模拟LLM v1.0
+ *
+ * 无网络/无Ollama时也能跑通完整进化流程 (LivingCore / GlobalEvolutionEngine / CloudEvolutionEngine):
+ *   SEED_AI_MOCK=1            — 所有舰队只用内置mock提供商 (或指定fixtures文件路径)
+ *   SEED_AI_MOCK_RULES=path   — 脚本规则 (.json 或 .js), 按正则匹配提示词给出回复
+ *   SEED_AI_RECORD=1          — 真实运行时把 提示词→回复 录制到fixtures (或指定路径)
+ *   默认fixtures ai-mock-fixtures.json 是本地录制, 不入库; 要共享的fixtures用指定路径
+ *
+ * 回复顺序 (全部确定性, 同样输入同样输出):
+ *   1. fixtures回放: 提示词哈希(与ResponseCache同一键)精确命中
+ *   2. 脚本规则: 第一条匹配的规则
+ *   3. 合成: 提示词附带JSON Schema(askJSON)或JSON示例时, 生成一个合法的最小JSON
+ *   4. 兜底: 固定格式的文本回复
+ *
+ * 规则文件格式: { "rules": [{ "match": "正则", "system": "正则(可选)", "response": "文本" | 对象 }] }
+ * .js规则的response可以是函数 (prompt, systemPrompt) → 文本
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'ai-mock-fixtures.json');
+
+// 注册表中的mock提供商定义 (mock模式下替换整个清单)
+const MOCK_PROVIDER = {
+    key: 'mock', name: 'Mock', type: 'mock', priority: 1, needsKey: false,
+    format: 'mock', contextTokens: 32000,
+    capabilities: ['code', 'json', 'summarize', 'reason', 'vision', 'embed'],
+};
+
+function isOn(value) {
+    return !!value && !['0', 'false', 'off', 'no'].includes(String(value).toLowerCase());
+}
+
+// '1'/'true' → 默认路径; 其他值视为文件路径
+function resolvePath(value) {
+    return ['1', 'true', 'on', 'yes', 'replay', 'record'].includes(String(value).toLowerCase())
+        ? DEFAULT_FIXTURES : path.resolve(value);
+}
+
+// 最后一条用户消息 (规则匹配对象)
+function lastUserText(prompt) {
+    if (!Array.isArray(prompt)) return String(prompt || '');
+    const users = prompt.filter(m => m.role === 'user');
+    return String(users[users.length - 1]?.content || '');
+}
+
+function firstUserText(prompt) {
+    if (!Array.isArray(prompt)) return String(prompt || '');
+    return String(prompt.find(m => m.role === 'user')?.content || '');
+}
+
+// 按Schema生成一个最小合法值
+function sampleFromSchema(schema, name = '') {
+    if (!schema || typeof schema !== 'object') return null;
+    if (schema.enum) return schema.enum[0];
+    const type = [].concat(schema.type || 'object')[0];
+    switch (type) {
+        case 'object': {
+            const obj = {};
+            const props = schema.properties || {};
+            for (const key of Object.keys(props)) obj[key] = sampleFromSchema(props[key], key);
+            for (const key of schema.required || []) if (!(key in obj)) obj[key] = 'mock';
+            return obj;
+        }
+        case 'array': {
+            const n = Math.max(1, schema.minItems || 0);
+            return Array.from({ length: n }, (_, i) => sampleFromSchema(schema.items, `${name}${i + 1}`));
+        }
+        case 'number':
+        case 'integer': {
+            const min = schema.minimum ?? (schema.maximum !== undefined ? Math.min(0, schema.maximum) : 0);
+            const max = schema.maximum ?? Math.max(1, min);
+            // 整数倾向取1 (如序号index), 小数取区间中点
+            return type === 'integer' ? Math.min(Math.max(Math.ceil(min), 1), Math.floor(max)) : (min + max) / 2;
+        }
+        case 'boolean': return false;
+        case 'null': return null;
+        default: {
+            const text = `mock-${name || 'text'}`;
+            return schema.minLength && text.length < schema.minLength ? text.padEnd(schema.minLength, '-') : text;
+        }
+    }
+}
+
+// 按提示词里的JSON示例填值: 空字符串 → mock-字段名
+function fillExample(value, name = '') {
+    if (Array.isArray(value)) return value.map((v, i) => fillExample(v, `${name}${i + 1}`));
+    if (value && typeof value === 'object') {
+        const obj = {};
+        for (const [k, v] of Object.entries(value)) obj[k] = fillExample(v, k);
+        return obj;
+    }
+    if (value === '') return `mock-${name || 'text'}`;
+    return value;
+}
+
+class MockLLM {
+    constructor(options = {}) {
+        this.fixturesPath = options.fixturesPath || DEFAULT_FIXTURES;
+        this.rulesPath = options.rulesPath || null;
+        this.fixtures = {};  // 提示词哈希 → { prompt, system, json, response, provider, recordedAt }
+        this.rules = [];
+        this.stats = { replayed: 0, ruled: 0, synthesized: 0, fallback: 0, recorded: 0 };
+        this._saveTimer = null;
+        this._loadFixtures();
+        this._loadRules();
+    }
+
+    // 按环境变量创建: { mock, recorder }, 未开启的为null
+    static fromEnv(env = process.env) {
+        const mock = isOn(env.SEED_AI_MOCK)
+            ? new MockLLM({ fixturesPath: resolvePath(env.SEED_AI_MOCK), rulesPath: env.SEED_AI_MOCK_RULES })
+            : null;
+        // mock模式下不录制 (回放结果再录回去没有意义)
+        const recorder = !mock && isOn(env.SEED_AI_RECORD)
+            ? new MockLLM({ fixturesPath: resolvePath(env.SEED_AI_RECORD) })
+            : null;
+        return { mock, recorder };
+    }
+
+    _loadFixtures() {
+        try {
+            this.fixtures = JSON.parse(fs.readFileSync(this.fixturesPath, 'utf8')).fixtures || {};
+        } catch (e) {}
+    }
+
+    _loadRules() {
+        if (!this.rulesPath) return;
+        try {
+            const file = path.resolve(this.rulesPath);
+            const data = file.endsWith('.js') ? require(file) : JSON.parse(fs.readFileSync(file, 'utf8'));
+            this.rules = (Array.isArray(data) ? data : data.rules || []).map(r => ({
+                ...r,
+                match: r.match ? new RegExp(r.match, 'i') : null,
+                system: r.system ? new RegExp(r.system, 'i') : null,
+            }));
+        } catch (e) {
+            console.log(`[MockLLM] 规则加载失败 ${path.basename(this.rulesPath)}: ${e.message}`);
+        }
+    }
+
+    _key(prompt, systemPrompt, json) {
+        // 延迟加载: 注册表也会require本模块
+        return require('./seed-ai-registry').promptKey(prompt, systemPrompt, json);
+    }
+
+    /**
+     * 生成回复
+     * @param {string|Array} prompt - 字符串或messages数组
+     * @param {Object} [opts] - { json } 与真实提供商的callOpts一致
+     */
+    respond(prompt, systemPrompt = '', opts = {}) {
+        const fixture = this.fixtures[this._key(prompt, systemPrompt, opts.json)];
+        if (fixture) {
+            this.stats.replayed++;
+            return fixture.response;
+        }
+
+        const text = lastUserText(prompt);
+        for (const rule of this.rules) {
+            if (rule.match && !rule.match.test(text)) continue;
+            if (rule.system && !rule.system.test(systemPrompt)) continue;
+            this.stats.ruled++;
+            const out = typeof rule.response === 'function' ? rule.response(text, systemPrompt) : rule.response;
+            return typeof out === 'string' ? out : JSON.stringify(out);
+        }
+
+        const synthesized = this._synthesize(firstUserText(prompt), opts);
+        if (synthesized !== null) {
+            this.stats.synthesized++;
+            return synthesized;
+        }
+
+        this.stats.fallback++;
+        return opts.json ? '{}' : `[mock] 已收到: ${text.replace(/\s+/g, ' ').substring(0, 60)}`;
+    }
+
+    // askJSON附带的Schema优先, 其次提示词中的JSON示例
+    _synthesize(text, opts) {
+        const schemaMatch = text.match(/JSON Schema:\n(\{[\s\S]*\})\s*$/);
+        if (schemaMatch) {
+            try { return JSON.stringify(sampleFromSchema(JSON.parse(schemaMatch[1]))); } catch (e) {}
+        }
+        const candidates = text.match(/[\[{][\s\S]*[\]}]/g) || [];
+        for (const c of candidates) {
+            try { return JSON.stringify(fillExample(JSON.parse(c))); } catch (e) {}
+        }
+        return opts.json ? '{}' : null;
+    }
+
+    // 录制一条真实回复 (SEED_AI_RECORD)
+    record(prompt, systemPrompt, response, opts = {}) {
+        if (!response) return;
+        this.fixtures[this._key(prompt, systemPrompt, opts.json)] = {
+            prompt: lastUserText(prompt).substring(0, 200),
+            system: String(systemPrompt || '').substring(0, 100),
+            json: !!opts.json,
+            response,
+            provider: opts.provider || 'unknown',
+            recordedAt: new Date().toISOString(),
+        };
+        this.stats.recorded++;
+        this._scheduleSave();
+    }
+
+    // 延迟写盘: 连续录制合并成一次 (进程退出时补写), 不在每次调用时同步重写整个文件
+    _scheduleSave() {
+        if (this._saveTimer) return;
+        this._flushOnExit = this._flushOnExit || (() => this.flush());
+        process.once('exit', this._flushOnExit);
+        this._saveTimer = setTimeout(() => this.flush(), 2000);
+        this._saveTimer.unref?.();
+    }
+
+    // 立即写出未写盘的录制
+    flush() {
+        if (!this._saveTimer) return;
+        clearTimeout(this._saveTimer);
+        this._saveTimer = null;
+        process.removeListener('exit', this._flushOnExit);
+        try {
+            fs.writeFileSync(this.fixturesPath, JSON.stringify({ version: 1, fixtures: this.fixtures }, null, 2));
+        } catch (e) {}
+    }
+
+    getStats() {
+        return { fixtures: Object.keys(this.fixtures).length, rules: this.rules.length, ...this.stats };
+    }
+}
+
+module.exports = { MockLLM, MOCK_PROVIDER, sampleFromSchema };
@@ -0,0 +1,1722 @@
+/**
+ * 活体种子AI - AI提供商注册表 v1.0
+ *
+ * AIFleet(本地) 与 CloudAIFleet(云端) 共用同一份提供商定义:
+ *   - 声明式清单 ai-providers.json (或 SEED_AI_PROVIDERS 指定的 .json/.js)
+ *   - 每项描述: 地址 · 鉴权方式 · 模型 · 请求/响应格式 · 优先级 · Key环境变量
+ *   - 请求格式由 FORMATS 统一实现，新增OpenAI兼容端点无需写代码
+ *   - 路由/失败切换/统计的调用方实现见 seed-ai-client.js (AIClient)
+ *   - UsageLedger: token/费用记账 + 预算上限
+ *   - RateLimiter: 按清单 limits {rpm, rpd} 的令牌桶 + 429退避 + 优先级队列
+ *   - CircuitBreaker: 每个提供商的熔断器 (滚动错误率, 冷却指数退避, 半开试探)
+ *   - consensus: 多提供商回复的共识投票 (JSON字段 / AST等价 / 向量相似)
+ *   - askJSON: 原生JSON模式 + JSON Schema校验 + 带错误反馈重试
+ *   - ResponseCache: 按提示词哈希的LRU回复缓存 (落盘, 可选向量近似命中)
+ *   - PromptBuilder: 分段提示词, 按各提供商 contextTokens 先丢低优先级段再截断
+ *   - 图片输入: openai(image_url分段) / ollama(images, 清单visionModel) / gemini(inline_data)
+ *   - 离线模拟: SEED_AI_MOCK / SEED_AI_RECORD (见 seed-ai-mock.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { MockLLM, MOCK_PROVIDER } = require('./seed-ai-mock');
+
+const DEFAULT_MANIFEST = path.join(__dirname, 'ai-providers.json');
+
+// 任务类型 (清单 capabilities 标签); vision/embed 为硬性能力, 没有该标签的提供商不参与
+const TASKS = ['code', 'json', 'summarize', 'reason', 'vision', 'embed'];
+const HARD_TASKS = ['vision', 'embed'];
+
+// ═══════════════════════════════════════════════
+//  请求/响应格式 (format字段)
+//  build(def, messages, opts) → 请求体对象 (opts.json: 请求原生JSON模式)
+//  parse(data) → 回复文本
+//  parseChunk(line) → { token, done } (可选, 支持流式)
+//  usage(data) → { promptTokens, completionTokens } (可选, API返回用量时)
+//  vision: true 的格式支持消息带 images: [{ mimeType, data(base64) } | { url }] (见 loadImage)
+// ═══════════════════════════════════════════════
+
+// 每张图片的近似token数 (各家按分辨率计费, 这里只用于上下文预算)
+const IMAGE_TOKENS = 800;
+const IMAGE_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp', '.bmp': 'image/bmp' };
+
+// 按文件头识别图片类型
+function sniffImageType(buf) {
+    if (buf[0] === 0x89 && buf[1] === 0x50) return 'image/png';
+    if (buf[0] === 0xff && buf[1] === 0xd8) return 'image/jpeg';
+    if (buf.slice(0, 3).toString() === 'GIF') return 'image/gif';
+    if (buf.slice(8, 12).toString() === 'WEBP') return 'image/webp';
+    if (buf[0] === 0x42 && buf[1] === 0x4d) return 'image/bmp';
+    return 'image/png';
+}
+
+/**
+ * 图片统一成 { mimeType, data(base64) } 或 { url } (远程图片, 仅OpenAI兼容端点直接支持)
+ * 接受: 文件路径 · Buffer · data:URL · http(s)URL · { data, mimeType } · { path } · { url }
+ */
+function loadImage(image) {
+    if (!image) throw new Error('empty_image');
+    if (Buffer.isBuffer(image)) return { mimeType: sniffImageType(image), data: image.toString('base64') };
+    if (typeof image === 'object') {
+        if (image.data) return { mimeType: image.mimeType || sniffImageType(Buffer.from(image.data, 'base64')), data: image.data };
+        if (image.path) return loadImage(image.path);
+        if (image.url) return loadImage(image.url);
+        throw new Error('unknown_image');
+    }
+    const str = String(image);
+    const dataUrl = str.match(/^data:(image\/[\w.+-]+);base64,(.+)$/s);
+    if (dataUrl) return { mimeType: dataUrl[1], data: dataUrl[2] };
+    if (/^https?:\/\//.test(str)) return { url: str };
+    const buf = fs.readFileSync(str);
+    return { mimeType: IMAGE_TYPES[path.extname(str).toLowerCase()] || sniffImageType(buf), data: buf.toString('base64') };
+}
+
+// 本地图片: 远程URL的格式直接报错, 舰队会切换到下一个提供商
+function inlineImages(images, format) {
+    return (images || []).map(img => {
+        if (img.url) throw new Error(`image_url_unsupported:${format}`);
+        return img;
+    });
+}
+
+// 单条消息的近似token数 (含图片)
+function messageTokens(m) {
+    return estimateTokens(m.content) + 4 + (m.images?.length || 0) * IMAGE_TOKENS;
+}
+
+// 不支持messages数组的格式: 拼成单段文本 (多轮时带角色标记)
+function flattenMessages(messages) {
+    const sys = messages.filter(m => m.role === 'system').map(m => m.content).join('\n');
+    const turns = messages.filter(m => m.role !== 'system');
+    const prompt = turns.length === 1
+        ? turns[0].content
+        : turns.map(m => `${m.role === 'assistant' ? 'Assistant' : 'User'}: ${m.content}`).join('\n\n');
+    return { sys, prompt };
+}
+
+// 近似token数: CJK字符≈1 token, 其余≈4字符/token
+function estimateTokens(text) {
+    if (!text) return 0;
+    const cjk = (text.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+    return cjk + Math.ceil((text.length - cjk) / 4);
+}
+
+// 按token预算裁剪对话: 保留system与最新一条, 从新到旧补入历史
+function trimMessages(messages, budget) {
+    const system = messages.filter(m => m.role === 'system');
+    const turns = messages.filter(m => m.role !== 'system');
+    let used = system.reduce((n, m) => n + messageTokens(m), 0);
+    const kept = [];
+    for (let i = turns.length - 1; i >= 0; i--) {
+        const cost = messageTokens(turns[i]);
+        if (kept.length > 0 && used + cost > budget) break;
+        kept.unshift(turns[i]);
+        used += cost;
+    }
+    // 部分API要求首条非system消息来自user
+    while (kept.length > 1 && kept[0].role === 'assistant') kept.shift();
+    return [...system, ...kept];
+}
+
+// 截断到token预算: end 保留开头, middle 保留首尾 (代码); 尽量在行边界处切
+const TRUNCATE_MARK = '…(已截断)…';
+function truncateToTokens(text, tokens, mode = 'end') {
+    text = String(text || '');
+    const total = estimateTokens(text);
+    if (total <= tokens) return text;
+    const lineCut = (s, fromEnd) => {
+        const i = fromEnd ? s.indexOf('\n') : s.lastIndexOf('\n');
+        if (i < 0 || (fromEnd ? i : s.length - i) > s.length / 2) return s;
+        return fromEnd ? s.substring(i + 1) : s.substring(0, i);
+    };
+    const cut = n => {
+        if (mode !== 'middle') return `${lineCut(text.substring(0, n), false)}\n${TRUNCATE_MARK}`;
+        const head = Math.ceil(n * 0.6);
+        return `${lineCut(text.substring(0, head), false)}\n${TRUNCATE_MARK}\n${lineCut(text.substring(text.length - (n - head)), true)}`;
+    };
+    // 按字符/token比例估算保留长度, 超出则逐步收缩
+    let keep = Math.floor(tokens * text.length / total);
+    let out = cut(keep);
+    while (keep > 0 && estimateTokens(out) > tokens) {
+        keep = Math.floor(keep * 0.9);
+        out = cut(keep);
+    }
+    return out;
+}
+
+// ═══════════════════════════════════════════════
+//  PromptBuilder — 分段提示词, 超出上下文时按优先级取舍
+//  add(name, text, { priority, required, truncate, maxTokens })
+//    priority: 越小越先舍弃 · required: 不可整段丢弃 · truncate: 'end'|'middle'|false
+//    maxTokens: 段落上限, 加入时即按truncate方式截到上限 (大上下文的提供商也不会收到整个大文件)
+//  pack(budget): 先从低优先级整段丢弃非必需段, 仍超出再截断可截断段 (同样从低优先级开始)
+//  字符串化 (String(builder)) 为全部段落, 可直接作为prompt传给任意舰队
+// ═══════════════════════════════════════════════
+
+class PromptBuilder {
+    constructor(sections = []) {
+        this.sections = sections.map(s => ({ ...s }));
+    }
+
+    add(name, text, options = {}) {
+        if (text === undefined || text === null || text === '') return this;
+        const truncate = options.truncate ?? (options.required ? false : 'end');
+        this.sections.push({
+            name,
+            text: options.maxTokens ? truncateToTokens(text, options.maxTokens, truncate || 'end') : String(text),
+            priority: options.priority ?? 5,
+            required: !!options.required,
+            truncate,
+        });
+        return this;
+    }
+
+    toString() {
+        return this.sections.map(s => s.text).join('\n\n');
+    }
+
+    /**
+     * 按token预算打包
+     * @returns {{ text, tokens, dropped: string[], truncated: string[] }}
+     */
+    pack(budget) {
+        const kept = this.sections.map(s => ({ ...s }));
+        const join = () => kept.map(s => s.text).join('\n\n');
+        const dropped = [];
+        const truncated = [];
+        // 同优先级时先舍弃靠后的段
+        const byPriority = list => list
+            .map((s, i) => ({ s, i }))
+            .sort((a, b) => a.s.priority - b.s.priority || b.i - a.i)
+            .map(x => x.s);
+
+        for (const s of byPriority(kept.filter(s => !s.required))) {
+            if (estimateTokens(join()) <= budget) break;
+            kept.splice(kept.indexOf(s), 1);
+            dropped.push(s.name);
+        }
+        for (const s of byPriority(kept.filter(s => s.truncate))) {
+            const over = estimateTokens(join()) - budget;
+            if (over <= 0) break;
+            s.text = truncateToTokens(s.text, Math.max(0, estimateTokens(s.text) - over), s.truncate);
+            truncated.push(s.name);
+        }
+        const text = join();
+        return { text, tokens: estimateTokens(text), dropped, truncated };
+    }
+}
+
+/**
+ * 按token预算打包对话 (_prepare调用)
+ * 先用trimMessages丢弃旧历史; 最新一条仍放不下时, PromptBuilder按段取舍, 普通文本截断末尾
+ * @returns {{ messages, dropped: string[], truncated: string[] }}
+ */
+function packMessages(messages, budget) {
+    const plain = messages.map(m => ({
+        role: m.role, content: String(m.content ?? ''),
+        ...(m.images?.length ? { images: m.images } : {}),
+    }));
+    const kept = trimMessages(plain, budget);
+    const result = { messages: kept, dropped: [], truncated: [] };
+    const lost = plain.length - kept.length;
+    if (lost > 0) result.dropped.push(`history×${lost}`);
+
+    const over = kept.reduce((n, m) => n + messageTokens(m), 0) - budget;
+    const last = kept[kept.length - 1];
+    if (over <= 0 || !last || last.role === 'system') return result;
+
+    const room = Math.max(0, estimateTokens(last.content) - over);
+    const source = messages[plain.indexOf(last)].content;
+    if (source instanceof PromptBuilder) {
+        const packed = source.pack(room);
+        last.content = packed.text;
+        result.dropped.push(...packed.dropped);
+        result.truncated.push(...packed.truncated);
+    } else {
+        last.content = truncateToTokens(last.content, room);
+        result.truncated.push('prompt');
+    }
+    return result;
+}
+
+const FORMATS = {
+    openai: {
+        vision: true,
+        build: (def, messages, opts) => ({
+            ...(def.model ? { model: def.model } : {}),
+            // 带图片的消息: content改为 text + image_url 分段
+            messages: messages.map(m => (m.images?.length ? {
+                role: m.role,
+                content: [
+                    { type: 'text', text: m.content },
+                    ...m.images.map(img => ({ type: 'image_url', image_url: { url: img.url || `data:${img.mimeType};base64,${img.data}` } })),
+                ],
+            } : { role: m.role, content: m.content })),
+            max_tokens: opts.maxTokens, temperature: opts.temperature,
+            stream: false,
+            // response_format仅对清单标记 jsonMode 的端点发送
+            ...(opts.json && def.jsonMode ? { response_format: { type: 'json_object' } } : {}),
+        }),
+        parse: (data) => data?.choices?.[0]?.message?.content || '',
+        usage: (data) => data?.usage && {
+            promptTokens: data.usage.prompt_tokens, completionTokens: data.usage.completion_tokens,
+        },
+        // SSE: "data: {...}" / "data: [DONE]"
+        parseChunk: (line) => {
+            if (!line.startsWith('data:')) return null;
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') return { done: true };
+            const data = JSON.parse(payload);
+            return { token: data?.choices?.[0]?.delta?.content || '', done: false };
+        },
+    },
+    ollama: {
+        vision: true,
+        build: (def, messages, opts) => ({
+            model: def.model, stream: false,
+            // 多模态模型(llava等): images为纯base64数组
+            messages: messages.map(m => (m.images?.length
+                ? { role: m.role, content: m.content, images: inlineImages(m.images, 'ollama').map(img => img.data) }
+                : { role: m.role, content: m.content })),
+            ...(opts.json ? { format: 'json' } : {}),
+            options: {
+                temperature: opts.temperature, num_predict: opts.maxTokens,
+                ...(def.contextTokens ? { num_ctx: def.contextTokens } : {}),
+            },
+        }),
+        parse: (data) => data?.message?.content || '',
+        usage: (data) => data?.eval_count !== undefined && {
+            promptTokens: data.prompt_eval_count || 0, completionTokens: data.eval_count,
+        },
+        // NDJSON: 每行一个 {message:{content}, done}, 最后一行带用量
+        parseChunk: (line) => {
+            const data = JSON.parse(line);
+            return { token: data?.message?.content || '', done: !!data.done, usage: FORMATS.ollama.usage(data) };
+        },
+    },
+    gemini: {
+        vision: true,
+        build: (def, messages, opts) => {
+            const { sys, prompt } = flattenMessages(messages);
+            const images = inlineImages(messages.flatMap(m => m.images || []), 'gemini');
+            return {
+                contents: [{
+                    parts: [
+                        { text: (sys ? sys + '\n\n' : '') + prompt },
+                        ...images.map(img => ({ inline_data: { mime_type: img.mimeType, data: img.data } })),
+                    ],
+                }],
+                generationConfig: {
+                    maxOutputTokens: opts.maxTokens,
+                    ...(opts.json ? { responseMimeType: 'application/json' } : {}),
+                },
+            };
+        },
+        parse: (data) => {
+            if (data?.error) throw new Error(data.error.message || 'gemini_error');
+            return data?.candidates?.[0]?.content?.parts?.[0]?.text || '';
+        },
+        usage: (data) => data?.usageMetadata && {
+            promptTokens: data.usageMetadata.promptTokenCount, completionTokens: data.usageMetadata.candidatesTokenCount,
+        },
+    },
+    cohere: {
+        build: (def, messages, opts) => {
+            const { sys, prompt } = flattenMessages(messages);
+            return {
+                message: (sys ? sys + '\n\n' : '') + prompt,
+                model: def.model,
+                max_tokens: opts.maxTokens, temperature: opts.temperature,
+            };
+        },
+        parse: (data) => data?.text || '',
+        usage: (data) => data?.meta?.billed_units && {
+            promptTokens: data.meta.billed_units.input_tokens, completionTokens: data.meta.billed_units.output_tokens,
+        },
+    },
+    'hf-inference': {
+        build: (def, messages, opts) => {
+            const { sys, prompt } = flattenMessages(messages);
+            return {
+                inputs: (sys ? `[INST] ${sys} [/INST]\n` : '') + prompt,
+                parameters: { max_new_tokens: opts.maxTokens, temperature: opts.temperature },
+            };
+        },
+        parse: (data) => {
+            if (Array.isArray(data)) return data[0]?.generated_text || '';
+            return data?.generated_text || '';
+        },
+    },
+};
+
+// 429限流错误, retryAfter为建议等待毫秒数
+class RateLimitError extends Error {
+    constructor(message, retryAfter = 0, status = 429) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+}
+
+// 解析 Retry-After (秒数或HTTP日期) 与 x-ratelimit-reset-* (Groq: "2m59.5s", 其他: 秒数)
+function parseRetryAfter(headers = {}) {
+    const ra = headers['retry-after'];
+    if (ra) {
+        if (/^\d+(\.\d+)?$/.test(ra.trim())) return Math.ceil(parseFloat(ra) * 1000);
+        const at = Date.parse(ra);
+        if (!isNaN(at)) return Math.max(0, at - Date.now());
+    }
+    const reset = headers['x-ratelimit-reset-requests'] || headers['x-ratelimit-reset'];
+    if (reset) {
+        const m = String(reset).match(/^(?:(\d+)h)?(?:(\d+)m(?!s))?(?:([\d.]+)s)?(?:(\d+)ms)?$/);
+        if (m && m[0]) return Math.ceil(((+m[1] || 0) * 3600 + (+m[2] || 0) * 60 + (+m[3] || 0)) * 1000 + (+m[4] || 0));
+        if (/^\d+(\.\d+)?$/.test(reset)) {
+            const n = parseFloat(reset);
+            // 大数值视为unix时间戳
+            return n > 1e9 ? Math.max(0, n * 1000 - Date.now()) : Math.ceil(n * 1000);
+        }
+    }
+    return 0;
+}
+
+// API返回的用量优先, 否则按文本估算
+function resolveUsage(reported, promptTokens, text) {
+    if (reported && reported.completionTokens !== undefined) {
+        return {
+            promptTokens: reported.promptTokens || 0,
+            completionTokens: reported.completionTokens || 0,
+            estimated: false,
+        };
+    }
+    return { promptTokens, completionTokens: estimateTokens(text), estimated: true };
+}
+
+// ═══════════════════════════════════════════════
+//  ProviderRegistry — 清单加载 + 统一调用
+// ═══════════════════════════════════════════════
+
+class ProviderRegistry {
+    constructor(options = {}) {
+        this.manifestPath = options.manifestPath || process.env.SEED_AI_PROVIDERS || DEFAULT_MANIFEST;
+        this.defs = new Map();   // key → 提供商定义
+        this._locks = new Map(); // lockGroup → Promise (共享IP限速)
+        // 离线模拟: SEED_AI_MOCK 替换整个清单, SEED_AI_RECORD 录制真实回复 (见 seed-ai-mock.js)
+        const { mock, recorder } = options.mock !== undefined
+            ? { mock: options.mock, recorder: options.recorder || null }
+            : MockLLM.fromEnv();
+        this.mock = mock;
+        this.recorder = recorder;
+        this.load();
+    }
+
+    load() {
+        this.defs.clear();
+        if (this.mock) {
+            this.defs.set(MOCK_PROVIDER.key, { ...MOCK_PROVIDER });
+            console.log(`[Registry] 离线模拟模式: 只使用mock提供商 (fixtures ${this.mock.getStats().fixtures}条)`);
+            return this;
+        }
+        let manifest = { providers: {} };
+        try {
+            manifest = this.manifestPath.endsWith('.js')
+                ? require(path.resolve(this.manifestPath))
+                : JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+        } catch (e) {
+            console.log(`[Registry] 清单加载失败 ${path.basename(this.manifestPath)}: ${e.message}`);
+        }
+        for (const [key, def] of Object.entries(manifest.providers || {})) {
+            if (def.enabled === false) continue;
+            if (!FORMATS[def.format || 'openai']) {
+                console.log(`[Registry] 跳过${key}: 未知格式 ${def.format}`);
+                continue;
+            }
+            this.defs.set(key, { key, format: 'openai', priority: 10, needsKey: false, ...def });
+        }
+        return this;
+    }
+
+    get(key) { return this.defs.get(key); }
+
+    // 按优先级排序的 [key, def] 列表
+    entries() {
+        return [...this.defs.entries()].sort((a, b) => a[1].priority - b[1].priority);
+    }
+
+    // 需要Key的提供商
+    keyedProviders() {
+        return this.entries().filter(([_, def]) => def.needsKey).map(([key]) => key);
+    }
+
+    // 环境变量名 → 提供商key
+    envMap() {
+        const map = {};
+        for (const [key, def] of this.defs) {
+            for (const env of def.keyEnv || []) map[env] = key;
+        }
+        return map;
+    }
+
+    // 从任意对象(credentials.json等)识别Key: 前缀命中覆盖, 字段名命中只补缺
+    extractKeys(obj, keys) {
+        if (!obj || typeof obj !== 'object') return keys;
+        for (const [k, v] of Object.entries(obj)) {
+            if (typeof v !== 'string' || !v.trim()) continue;
+            const val = v.trim();
+            const kl = k.toLowerCase();
+            for (const [key, def] of this.defs) {
+                if (!def.needsKey) continue;
+                if (def.keyPrefix && val.startsWith(def.keyPrefix)) keys[key] = val;
+                if (val.length <= 10) continue;
+                const names = def.keyNames || [key];
+                const nameHit = names.some(n => n.split('+').every(part => kl.includes(part)));
+                if (nameHit) keys[key] = keys[key] || val;
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * 生成舰队用的provider对象 (ask/stream的prompt可为字符串或messages数组)
+     * prompt中的文本也可以是PromptBuilder, 超出该提供商contextTokens时按段取舍
+     * 传入meta对象时, 调用结束后 meta.usage = { promptTokens, completionTokens, estimated }
+     *   meta.packing = { dropped, truncated, promptTokens } (被丢弃/截断的段名)
+     * callOpts: 单次调用覆盖 (如 { json: true })
+     * @param {Function} getKeys - 返回当前Key表 (Key可能在运行中被保存)
+     * @param {Object} [opts] - filter(def) 过滤, defaults 覆盖maxTokens等
+     */
+    buildProviders(getKeys, opts = {}) {
+        const providers = new Map();
+        for (const [key, def] of this.entries()) {
+            if (opts.filter && !opts.filter(def)) continue;
+            providers.set(key, {
+                name: def.name, type: def.type, priority: def.priority, needsKey: def.needsKey,
+                capabilities: def.capabilities || [],
+                contextTokens: def.contextTokens || 0, maxTokens: opts.defaults?.maxTokens || def.maxTokens || 500,
+                ask: (p, s, meta, callOpts) => this.call(key, p, s, getKeys(), { ...opts.defaults, ...callOpts }, meta),
+                stream: (p, s, meta, callOpts) => this.stream(key, p, s, getKeys(), { ...opts.defaults, ...callOpts }, meta),
+            });
+        }
+        return providers;
+    }
+
+    // 统一调用入口
+    async call(key, prompt, systemPrompt = '', keys = {}, overrides = {}, meta = {}) {
+        if (this.defs.get(key)?.format === 'mock') {
+            const text = this.mock.respond(prompt, systemPrompt, overrides);
+            const input = Array.isArray(prompt) ? prompt.map(m => String(m.content)).join('\n') : String(prompt);
+            meta.usage = resolveUsage(null, estimateTokens(`${systemPrompt}\n${input}`), text);
+            return text;
+        }
+        const { def, format, url, headers, body, opts, promptTokens, packing } = this._prepare(key, prompt, systemPrompt, keys, overrides);
+        meta.packing = { dropped: packing.dropped, truncated: packing.truncated, promptTokens };
+        const release = await this._acquire(def.lockGroup);
+        try {
+            const resp = await httpPost(url, body, headers, opts.timeout);
+            if (resp.status === 429) {
+                throw new RateLimitError(`rate_limited: ${resp.body.substring(0, 80)}`, parseRetryAfter(resp.headers));
+            }
+            const { text, data } = this._parse(def, format, resp.body);
+            meta.usage = resolveUsage(format.usage?.(data), promptTokens, text);
+            this.recorder?.record(prompt, systemPrompt, text, { json: overrides.json, provider: key });
+            return text;
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * 流式调用: 逐token产出
+     * 格式不支持流式时整段产出一次; timeout为空闲超时
+     */
+    async *stream(key, prompt, systemPrompt = '', keys = {}, overrides = {}, meta = {}) {
+        const def = this.defs.get(key);
+        if (!def || !FORMATS[def.format]?.parseChunk) {
+            const text = await this.call(key, prompt, systemPrompt, keys, overrides, meta);
+            if (text) yield text;
+            return;
+        }
+        const { format, url, headers, body, opts, promptTokens, packing } = this._prepare(key, prompt, systemPrompt, keys, { ...overrides, stream: true });
+        meta.packing = { dropped: packing.dropped, truncated: packing.truncated, promptTokens };
+        const release = await this._acquire(def.lockGroup);
+        let res = null;
+        let text = '';
+        let reported = null;
+        try {
+            res = await httpPostStream(url, body, headers, opts.timeout);
+            for await (const line of readLines(res)) {
+                if (!line.trim()) continue;
+                const chunk = format.parseChunk(line.trim());
+                if (!chunk) continue;
+                if (chunk.usage) reported = chunk.usage;
+                if (chunk.token) {
+                    text += chunk.token;
+                    yield chunk.token;
+                }
+                if (chunk.done) break;
+            }
+            this.recorder?.record(prompt, systemPrompt, text, { json: overrides.json, provider: key });
+        } finally {
+            meta.usage = resolveUsage(reported, promptTokens, text);
+            if (res) res.destroy();
+            release();
+        }
+    }
+
+    _prepare(key, prompt, systemPrompt, keys, overrides) {
+        const def = this.defs.get(key);
+        if (!def) throw new Error(`unknown_provider:${key}`);
+        const apiKey = keys[key];
+        if (def.needsKey && !apiKey) throw new Error('no_key');
+
+        const opts = {
+            maxTokens: def.maxTokens || 500, temperature: def.temperature ?? 0.3,
+            timeout: def.timeout || 30000, stream: false, ...overrides,
+        };
+        // prompt可以是字符串或多轮messages数组 (消息可带images)
+        const history = Array.isArray(prompt) ? prompt : [{ role: 'user', content: prompt }];
+        let messages = [
+            ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+            ...history.map(m => ({ role: m.role, content: m.content, ...(m.images?.length ? { images: m.images } : {}) })),
+        ];
+        // 按上下文窗口打包 (PromptBuilder按段取舍), 取舍结果经 meta.packing 回报
+        const packing = packMessages(messages, def.contextTokens ? def.contextTokens - opts.maxTokens : Infinity);
+        messages = packing.messages;
+        const format = FORMATS[def.format];
+
+        // 图片输入: 格式须支持多模态; 清单 visionModel 指定时换用该模型 (如Ollama的llava)
+        const vision = messages.some(m => m.images?.length);
+        if (vision && !format.vision) throw new Error(`vision_unsupported:${def.format}`);
+        const target = vision && def.visionModel ? { ...def, model: def.visionModel } : def;
+        const payload = format.build(target, messages, opts);
+        if (opts.stream) payload.stream = true;
+
+        let url = def.url.replace('{model}', encodeURIComponent(target.model || ''));
+        const headers = { ...(def.headers || {}) };
+        if (def.auth === 'bearer') headers['Authorization'] = `Bearer ${apiKey}`;
+        if (def.auth === 'query') url += `${url.includes('?') ? '&' : '?'}${def.authParam || 'key'}=${apiKey}`;
+
+        const promptTokens = messages.reduce((n, m) => n + messageTokens(m), 0);
+        return { def, format, url, headers, body: JSON.stringify(payload), opts, promptTokens, packing };
+    }
+
+    _parse(def, format, raw) {
+        if (def.allowPlainText && raw.includes('"error"') && raw.includes('Queue full')) {
+            throw new RateLimitError('rate_limited');
+        }
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (parseErr) {
+            // 非JSON响应 → 可能是纯文本
+            if (def.allowPlainText && raw && raw.length > 2 && !raw.includes('"error"')) return { text: raw.trim(), data: null };
+            throw parseErr;
+        }
+        if (def.allowPlainText && data?.error) {
+            throw new Error(typeof data.error === 'string' ? data.error : (data.error.message || 'provider_error'));
+        }
+        return { text: format.parse(data), data };
+    }
+
+    // 同组请求串行 (如Pollinations按IP限速, max 1 queued)
+    async _acquire(group) {
+        if (!group) return () => {};
+        while (this._locks.get(group)) await this._locks.get(group);
+        let unlock;
+        this._locks.set(group, new Promise(r => { unlock = r; }));
+        return () => { this._locks.delete(group); unlock(); };
+    }
+}
+
+// ═══════════════════════════════════════════════
+//  UsageLedger — 每个提供商的token/费用账本
+//  单价: 清单 pricing { input, output } (美元/百万token)
+//  预算: 清单 budget { dailyUSD, monthlyUSD, dailyTokens, monthlyTokens }
+//  按日/按月汇总, 持久化到 ai-usage.json (重启不清零)
+//  记账只改内存, 合并到 flushDelay 后一次写盘 (进程退出时补写), 不在每次调用时同步重写整个文件
+// ═══════════════════════════════════════════════
+
+const _pendingLedgers = new Set(); // 有未写盘记录的账本, 进程退出时统一flush
+
+class UsageLedger {
+    /**
+     * @param {Object} [options] - flushDelay(记账后多久写盘, 默认2000ms)
+     */
+    constructor(registry, filePath = path.join(__dirname, 'ai-usage.json'), options = {}) {
+        this.registry = registry;
+        this._file = filePath;
+        this._flushDelay = options.flushDelay ?? 2000;
+        this._timer = null;
+        this.providers = {}; // key → { total, days: {YYYY-MM-DD: bucket}, months: {YYYY-MM: bucket} }
+        this._load();
+    }
+
+    _load() {
+        try {
+            this.providers = JSON.parse(fs.readFileSync(this._file, 'utf8')).providers || {};
+        } catch (e) {}
+    }
+
+    _save() {
+        try {
+            fs.writeFileSync(this._file, JSON.stringify({ version: 1, providers: this.providers }, null, 2));
+        } catch (e) {}
+    }
+
+    // 延迟写盘: 窗口内的多次记账合并成一次
+    _scheduleSave() {
+        if (this._timer) return;
+        if (_pendingLedgers.size === 0) process.once('exit', flushPendingLedgers);
+        _pendingLedgers.add(this);
+        this._timer = setTimeout(() => this.flush(), this._flushDelay);
+        this._timer.unref?.();
+    }
+
+    // 立即写出未写盘的记录
+    flush() {
+        if (!_pendingLedgers.delete(this)) return;
+        clearTimeout(this._timer);
+        this._timer = null;
+        if (_pendingLedgers.size === 0) process.removeListener('exit', flushPendingLedgers);
+        this._save();
+    }
+
+    _bucket() {
+        return { calls: 0, promptTokens: 0, completionTokens: 0, estimatedCalls: 0, cost: 0 };
+    }
+
+    _entry(key) {
+        if (!this.providers[key]) this.providers[key] = { total: this._bucket(), days: {}, months: {} };
+        return this.providers[key];
+    }
+
+    cost(key, usage) {
+        const pricing = this.registry.get(key)?.pricing;
+        if (!pricing || !usage) return 0;
+        return (usage.promptTokens * (pricing.input || 0) + usage.completionTokens * (pricing.output || 0)) / 1e6;
+    }
+
+    record(key, usage) {
+        if (!usage) return;
+        const now = new Date().toISOString();
+        const day = now.slice(0, 10);
+        const month = now.slice(0, 7);
+        const entry = this._entry(key);
+        const cost = this.cost(key, usage);
+        for (const bucket of [
+            entry.total,
+            entry.days[day] = entry.days[day] || this._bucket(),
+            entry.months[month] = entry.months[month] || this._bucket(),
+        ]) {
+            bucket.calls++;
+            bucket.promptTokens += usage.promptTokens || 0;
+            bucket.completionTokens += usage.completionTokens || 0;
+            if (usage.estimated) bucket.estimatedCalls++;
+            bucket.cost += cost;
+        }
+        // 保留最近62天 / 24个月
+        const days = Object.keys(entry.days).sort();
+        for (const d of days.slice(0, Math.max(0, days.length - 62))) delete entry.days[d];
+        const months = Object.keys(entry.months).sort();
+        for (const m of months.slice(0, Math.max(0, months.length - 24))) delete entry.months[m];
+        this._scheduleSave();
+    }
+
+    // 今日/本月汇总
+    summary(key) {
+        const now = new Date().toISOString();
+        const entry = this.providers[key];
+        const pick = (b) => ({
+            tokens: b ? b.promptTokens + b.completionTokens : 0,
+            cost: b ? Math.round(b.cost * 1e4) / 1e4 : 0,
+        });
+        return {
+            today: pick(entry?.days[now.slice(0, 10)]),
+            month: pick(entry?.months[now.slice(0, 7)]),
+            total: pick(entry?.total),
+        };
+    }
+
+    // 预算耗尽返回原因, 否则null
+    exhausted(key) {
+        const budget = this.registry.get(key)?.budget;
+        if (!budget) return null;
+        const { today, month } = this.summary(key);
+        if (budget.dailyUSD !== undefined && today.cost >= budget.dailyUSD) return 'daily_usd';
+        if (budget.monthlyUSD !== undefined && month.cost >= budget.monthlyUSD) return 'monthly_usd';
+        if (budget.dailyTokens !== undefined && today.tokens >= budget.dailyTokens) return 'daily_tokens';
+        if (budget.monthlyTokens !== undefined && month.tokens >= budget.monthlyTokens) return 'monthly_tokens';
+        return null;
+    }
+}
+
+function flushPendingLedgers() {
+    for (const ledger of [..._pendingLedgers]) ledger.flush();
+}
+
+// ═══════════════════════════════════════════════
+//  RateLimiter — 每个提供商的令牌桶 + 优先级队列
+//  清单 limits { rpm, rpd }: 分钟桶/日桶连续回填 (日桶为滚动近似)
+//  日配额剩余不足 reserveRatio 时只放行 high 优先级 (大脑决策优先于后台学习)
+// ═══════════════════════════════════════════════
+
+const PRIORITY = { low: 1, normal: 2, high: 3 };
+
+class RateLimiter {
+    constructor(registry, options = {}) {
+        this.registry = registry;
+        this.reserveRatio = options.reserveRatio ?? 0.1;
+        this._state = new Map(); // key → { limits, minute, day, refilledAt, blockedUntil, queue, timer, granted, throttled }
+        this._seq = 0;
+    }
+
+    static priority(p) {
+        return typeof p === 'number' ? p : (PRIORITY[p] || PRIORITY.normal);
+    }
+
+    _get(key) {
+        let st = this._state.get(key);
+        if (!st) {
+            const limits = this.registry.get(key)?.limits || {};
+            st = {
+                limits, minute: limits.rpm || 0, day: limits.rpd || 0, refilledAt: Date.now(),
+                blockedUntil: 0, queue: [], timer: null, granted: 0, throttled: 0,
+            };
+            this._state.set(key, st);
+        }
+        this._refill(st);
+        return st;
+    }
+
+    _refill(st) {
+        const now = Date.now();
+        const dt = (now - st.refilledAt) / 1000;
+        st.refilledAt = now;
+        if (st.limits.rpm) st.minute = Math.min(st.limits.rpm, st.minute + dt * st.limits.rpm / 60);
+        if (st.limits.rpd) st.day = Math.min(st.limits.rpd, st.day + dt * st.limits.rpd / 86400);
+    }
+
+    // 该优先级距离可放行的毫秒数
+    _wait(st, priority) {
+        let wait = Math.max(0, st.blockedUntil - Date.now());
+        const { rpm, rpd } = st.limits;
+        if (rpm && st.minute < 1) wait = Math.max(wait, (1 - st.minute) * 60000 / rpm);
+        if (rpd) {
+            const floor = priority >= PRIORITY.high ? 1 : Math.max(1, rpd * this.reserveRatio);
+            if (st.day < floor) wait = Math.max(wait, (floor - st.day) * 86400000 / rpd);
+        }
+        return wait;
+    }
+
+    waitTime(key, priority = 'normal') {
+        return this._wait(this._get(key), RateLimiter.priority(priority));
+    }
+
+    /**
+     * 申请一次调用配额
+     * @returns {Promise<boolean>} maxWait内拿到配额为true, 否则false (调用方应换提供商)
+     */
+    acquire(key, { priority = 'normal', maxWait = 5000 } = {}) {
+        const st = this._get(key);
+        const p = RateLimiter.priority(priority);
+        if (st.queue.length === 0 && this._wait(st, p) === 0) {
+            this._take(st);
+            return Promise.resolve(true);
+        }
+        return new Promise(resolve => {
+            st.queue.push({ priority: p, deadline: Date.now() + maxWait, resolve, seq: this._seq++ });
+            st.queue.sort((a, b) => b.priority - a.priority || a.seq - b.seq);
+            this._pump(st);
+        });
+    }
+
+    _take(st) {
+        if (st.limits.rpm) st.minute -= 1;
+        if (st.limits.rpd) st.day -= 1;
+        st.granted++;
+    }
+
+    _pump(st) {
+        clearTimeout(st.timer);
+        st.timer = null;
+        this._refill(st);
+        const now = Date.now();
+        while (st.queue.length > 0) {
+            const head = st.queue[0];
+            const wait = this._wait(st, head.priority);
+            if (wait === 0) {
+                st.queue.shift();
+                this._take(st);
+                head.resolve(true);
+                continue;
+            }
+            // 队首等不到: 放弃 (低优先级的门槛更高, 同样等不到)
+            if (now + wait > head.deadline) {
+                st.queue.shift();
+                st.throttled++;
+                head.resolve(false);
+                continue;
+            }
+            // 其余等待者中超时的先放弃
+            st.queue = st.queue.filter(w => {
+                if (w === head || w.deadline >= now) return true;
+                st.throttled++;
+                w.resolve(false);
+                return false;
+            });
+            const nextDeadline = Math.min(...st.queue.map(w => w.deadline));
+            st.timer = setTimeout(() => this._pump(st), Math.max(10, Math.min(wait, nextDeadline - now)));
+            return;
+        }
+    }
+
+    // 收到429: 在retryAfter内暂停该提供商 (无头信息默认60秒)
+    penalize(key, retryAfter = 0) {
+        const st = this._get(key);
+        st.blockedUntil = Math.max(st.blockedUntil, Date.now() + (retryAfter || 60000));
+        if (st.limits.rpm) st.minute = Math.min(st.minute, 0);
+    }
+
+    status(key) {
+        const st = this._get(key);
+        return {
+            minuteLeft: st.limits.rpm ? Math.floor(st.minute) : null,
+            dayLeft: st.limits.rpd ? Math.floor(st.day) : null,
+            blockedMs: Math.max(0, st.blockedUntil - Date.now()),
+            queued: st.queue.length, granted: st.granted, throttled: st.throttled,
+        };
+    }
+}
+
+// ═══════════════════════════════════════════════
+//  CircuitBreaker — 每个提供商的熔断器 (closed → open → half_open)
+//  closed: 滚动窗口内错误率≥errorRate(且调用数≥minCalls) 或连续失败≥maxConsecutive → open
+//  open: 冷却期内不再调用; 冷却时间随连续熔断次数翻倍 (baseCooldown → maxCooldown)
+//  half_open: 冷却结束后只放行一次试探 (后台探测或真实调用), 成功 → closed, 失败 → 再次open
+// ═══════════════════════════════════════════════
+
+class CircuitBreaker {
+    constructor(options = {}) {
+        this.window = options.window || 10 * 60000;          // 滚动窗口10分钟
+        this.minCalls = options.minCalls || 4;
+        this.errorRate = options.errorRate ?? 0.5;
+        this.maxConsecutive = options.maxConsecutive || 3;
+        this.baseCooldown = options.baseCooldown || 30000;
+        this.maxCooldown = options.maxCooldown || 3600000;   // 死掉的提供商最多1小时试探一次
+        this._state = new Map(); // key → { state, events: [{t, ok}], consecutive, trips, openUntil, trial, changedAt }
+    }
+
+    _get(key) {
+        let st = this._state.get(key);
+        if (!st) {
+            st = { state: 'closed', events: [], consecutive: 0, trips: 0, openUntil: 0, trial: false, changedAt: Date.now() };
+            this._state.set(key, st);
+        }
+        const cutoff = Date.now() - this.window;
+        while (st.events.length > 0 && st.events[0].t < cutoff) st.events.shift();
+        return st;
+    }
+
+    _set(st, state) {
+        st.state = state;
+        st.changedAt = Date.now();
+    }
+
+    // 可参与排序 (不占用试探名额)
+    available(key) {
+        const st = this._get(key);
+        if (st.state === 'closed') return true;
+        return !st.trial && Date.now() >= st.openUntil;
+    }
+
+    // 调用前申请: open冷却结束时转half_open并占用唯一的试探名额
+    allow(key) {
+        const st = this._get(key);
+        if (st.state === 'closed') return true;
+        if (st.trial || Date.now() < st.openUntil) return false;
+        this._set(st, 'half_open');
+        st.trial = true;
+        return true;
+    }
+
+    // 放弃已占用的试探名额 (如被限流, 不算健康失败)
+    cancel(key) {
+        this._get(key).trial = false;
+    }
+
+    // 冷却已结束、等待试探的提供商 (后台探测用)
+    due() {
+        return [...this._state.keys()].filter(key => {
+            const st = this._get(key);
+            return st.state !== 'closed' && !st.trial && Date.now() >= st.openUntil;
+        });
+    }
+
+    success(key) {
+        const st = this._get(key);
+        st.events.push({ t: Date.now(), ok: true });
+        st.consecutive = 0;
+        if (st.state !== 'closed') {
+            this._set(st, 'closed');
+            st.trips = 0;
+            st.trial = false;
+            st.events = st.events.slice(-1); // 恢复后重新统计, 熔断前的失败不再计入
+            return 'closed';
+        }
+        return null;
+    }
+
+    // 返回状态变化 ('open') 或 null
+    failure(key) {
+        const st = this._get(key);
+        st.events.push({ t: Date.now(), ok: false });
+        st.consecutive++;
+        if (st.state !== 'closed') {
+            st.trial = false;
+            return this._trip(st);
+        }
+        const failures = st.events.filter(e => !e.ok).length;
+        if (st.consecutive >= this.maxConsecutive
+            || (st.events.length >= this.minCalls && failures / st.events.length >= this.errorRate)) {
+            return this._trip(st);
+        }
+        return null;
+    }
+
+    _trip(st) {
+        const cooldown = Math.min(this.maxCooldown, this.baseCooldown * 2 ** st.trips);
+        st.trips++;
+        st.openUntil = Date.now() + cooldown;
+        this._set(st, 'open');
+        return 'open';
+    }
+
+    // 滚动窗口成功率 (无数据时0.5)
+    successRate(key) {
+        const st = this._get(key);
+        if (st.events.length === 0) return 0.5;
+        return st.events.filter(e => e.ok).length / st.events.length;
+    }
+
+    status(key) {
+        const st = this._get(key);
+        const failures = st.events.filter(e => !e.ok).length;
+        return {
+            state: st.state,
+            windowCalls: st.events.length,
+            errorRate: st.events.length > 0 ? Math.round(failures / st.events.length * 100) / 100 : 0,
+            trips: st.trips,
+            retryInMs: st.state === 'closed' ? 0 : Math.max(0, st.openUntil - Date.now()),
+            since: st.changedAt,
+        };
+    }
+}
+
+// ═══════════════════════════════════════════════
+//  ResponseCache — 回复缓存 (LRU + 落盘 ai-response-cache.json)
+//  键: 系统提示词 + 消息 + JSON模式 的哈希, 与提供商无关
+//  TTL由调用方每次查询时指定 (同一问题不同场景可接受的新鲜度不同)
+//  近似重复: 可选embed(text)→向量, 同一系统提示词下余弦相似度≥threshold视为命中
+// ═══════════════════════════════════════════════
+
+class ResponseCache {
+    constructor(options = {}) {
+        this._file = options.filePath || path.join(__dirname, 'ai-response-cache.json');
+        this._maxEntries = options.maxEntries || 500;
+        this._maxAge = options.maxAge || 7 * 86400000;  // 超过7天的条目加载时丢弃
+        this.defaultTTL = options.defaultTTL || 3600000;
+        this.threshold = options.threshold || 0.97;
+        this._embed = options.embed || null;
+        this.entries = new Map(); // key → { t, c, p, s, v? }  (Map插入顺序即LRU顺序)
+        this.stats = { hits: 0, semanticHits: 0, misses: 0, writes: 0, evictions: 0 };
+        this._saveTimer = null;
+        this._load();
+    }
+
+    key(prompt, systemPrompt = '', json = false) {
+        return promptKey(prompt, systemPrompt, json);
+    }
+
+    // 语义比较只在同一系统提示词/JSON模式内进行
+    _scope(systemPrompt, json) {
+        return sha1({ s: systemPrompt.trim(), j: !!json }).slice(0, 12);
+    }
+
+    async _vector(prompt) {
+        if (!this._embed || typeof prompt !== 'string') return null;
+        try { return await this._embed(prompt); } catch { return null; }
+    }
+
+    /**
+     * 查询缓存
+     * options: { ttl(毫秒), json, semantic(启用近似重复查找) }
+     * @returns {{ content, provider, age, semantic, similarity? } | null}
+     */
+    async get(prompt, systemPrompt = '', options = {}) {
+        const ttl = options.ttl || this.defaultTTL;
+        const now = Date.now();
+        const key = this.key(prompt, systemPrompt, options.json);
+        const entry = this.entries.get(key);
+        if (entry) {
+            if (now - entry.t <= ttl) {
+                this.entries.delete(key);
+                this.entries.set(key, entry);
+                this.stats.hits++;
+                return { content: entry.c, provider: entry.p, age: now - entry.t, semantic: false };
+            }
+            this.entries.delete(key);
+        }
+
+        if (options.semantic) {
+            const vector = await this._vector(prompt);
+            if (vector) {
+                const scope = this._scope(systemPrompt, options.json);
+                let best = null, bestSim = 0;
+                for (const e of this.entries.values()) {
+                    if (e.s !== scope || !e.v || now - e.t > ttl) continue;
+                    const sim = cosine(vector, e.v);
+                    if (sim > bestSim) { best = e; bestSim = sim; }
+                }
+                if (best && bestSim >= this.threshold) {
+                    this.stats.semanticHits++;
+                    return { content: best.c, provider: best.p, age: now - best.t, semantic: true, similarity: bestSim };
+                }
+            }
+        }
+        this.stats.misses++;
+        return null;
+    }
+
+    // 写入缓存; options: { json, provider, semantic(同时存向量) }
+    async set(prompt, systemPrompt, content, options = {}) {
+        const key = this.key(prompt, systemPrompt, options.json);
+        const entry = { t: Date.now(), c: content, p: options.provider || 'unknown', s: this._scope(systemPrompt || '', options.json) };
+        if (options.semantic) {
+            const vector = await this._vector(prompt);
+            if (vector) entry.v = vector;
+        }
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.stats.writes++;
+        while (this.entries.size > this._maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
+        this._scheduleSave();
+    }
+
+    invalidate(prompt, systemPrompt = '', json = false) {
+        if (this.entries.delete(this.key(prompt, systemPrompt, json))) this._scheduleSave();
+    }
+
+    summary() {
+        const lookups = this.stats.hits + this.stats.semanticHits + this.stats.misses;
+        return {
+            entries: this.entries.size,
+            ...this.stats,
+            hitRate: lookups > 0 ? ((this.stats.hits + this.stats.semanticHits) / lookups * 100).toFixed(0) + '%' : 'N/A',
+        };
+    }
+
+    _load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this._file, 'utf8'));
+            const now = Date.now();
+            for (const [key, e] of data.entries || []) {
+                if (now - e.t > this._maxAge) continue;
+                if (e.v) {
+                    const buf = Buffer.from(e.v, 'base64');
+                    e.v = [...new Float32Array(buf.buffer, buf.byteOffset, buf.length / 4)];
+                }
+                this.entries.set(key, e);
+            }
+        } catch (e) {}
+    }
+
+    // 合并短时间内的多次写入
+    _scheduleSave() {
+        if (this._saveTimer) return;
+        this._saveTimer = setTimeout(() => this.flush(), 2000);
+        this._saveTimer.unref?.();
+    }
+
+    flush() {
+        clearTimeout(this._saveTimer);
+        this._saveTimer = null;
+        try {
+            const entries = [...this.entries].map(([key, e]) => [key, e.v
+                ? { ...e, v: Buffer.from(new Float32Array(e.v).buffer).toString('base64') }
+                : e]);
+            fs.writeFileSync(this._file, JSON.stringify({ version: 1, entries }));
+        } catch (e) {}
+    }
+}
+
+function sha1(value) {
+    return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex');
+}
+
+// 与提供商无关的提示词键 (ResponseCache / MockLLM fixtures 共用)
+function promptKey(prompt, systemPrompt = '', json = false) {
+    const messages = Array.isArray(prompt) ? prompt : [{ role: 'user', content: String(prompt) }];
+    return sha1({
+        s: String(systemPrompt || '').trim(),
+        // 带图片的消息按图片内容哈希区分 (不带图片的键保持不变)
+        m: messages.map(m => (m.images?.length
+            ? [m.role, String(m.content || '').trim(), m.images.map(img => img.url || sha1(img.data))]
+            : [m.role, String(m.content || '').trim()])),
+        j: !!json,
+    });
+}
+
+function cosine(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let dot = 0, na = 0, nb = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        na += a[i] * a[i];
+        nb += b[i] * b[i];
+    }
+    const denom = Math.sqrt(na) * Math.sqrt(nb);
+    return denom > 0 ? dot / denom : 0;
+}
+
+// ═══════════════════════════════════════════════
+//  结构化JSON输出
+//  validateSchema: JSON Schema常用子集 (type/enum/properties/required/
+//    additionalProperties/items/min*/max*/pattern), 返回错误列表
+// ═══════════════════════════════════════════════
+
+function typeOf(v) {
+    if (v === null) return 'null';
+    if (Array.isArray(v)) return 'array';
+    if (typeof v === 'number' && Number.isInteger(v)) return 'integer';
+    return typeof v;
+}
+
+function matchesType(v, type) {
+    const actual = typeOf(v);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function validateSchema(data, schema, at = '$') {
+    if (!schema || typeof schema !== 'object') return [];
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(t => matchesType(data, t))) {
+        return [`${at}: 应为${types.join('|')}, 实际为${typeOf(data)}`];
+    }
+    const errors = [];
+    if (schema.enum && !schema.enum.some(v => JSON.stringify(v) === JSON.stringify(data))) {
+        errors.push(`${at}: 必须是${JSON.stringify(schema.enum)}之一`);
+    }
+    if (typeof data === 'number') {
+        if (schema.minimum !== undefined && data < schema.minimum) errors.push(`${at}: 不能小于${schema.minimum}`);
+        if (schema.maximum !== undefined && data > schema.maximum) errors.push(`${at}: 不能大于${schema.maximum}`);
+    }
+    if (typeof data === 'string') {
+        if (schema.minLength !== undefined && data.length < schema.minLength) errors.push(`${at}: 长度不能小于${schema.minLength}`);
+        if (schema.maxLength !== undefined && data.length > schema.maxLength) errors.push(`${at}: 长度不能大于${schema.maxLength}`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(data)) errors.push(`${at}: 不匹配 ${schema.pattern}`);
+    }
+    if (Array.isArray(data)) {
+        if (schema.minItems !== undefined && data.length < schema.minItems) errors.push(`${at}: 至少${schema.minItems}项`);
+        if (schema.maxItems !== undefined && data.length > schema.maxItems) errors.push(`${at}: 最多${schema.maxItems}项`);
+        if (schema.items) data.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${at}[${i}]`)));
+    }
+    if (typeOf(data) === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in data)) errors.push(`${at}: 缺少字段"${key}"`);
+        }
+        const props = schema.properties || {};
+        for (const [key, value] of Object.entries(data)) {
+            if (props[key]) errors.push(...validateSchema(value, props[key], `${at}.${key}`));
+            else if (schema.additionalProperties === false) errors.push(`${at}: 不允许字段"${key}"`);
+            else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(value, schema.additionalProperties, `${at}.${key}`));
+            }
+        }
+    }
+    return errors;
+}
+
+// 宽松解析: 去掉```json围栏, 整体解析失败再提取第一个{...}或[...]
+function parseJSONLoose(text) {
+    const cleaned = String(text || '').replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '').trim();
+    try {
+        return { data: JSON.parse(cleaned) };
+    } catch (e) {
+        const match = cleaned.match(/[\[{][\s\S]*[\]}]/);
+        if (match) {
+            try { return { data: JSON.parse(match[0]) }; } catch {}
+        }
+        return { error: `不是合法JSON: ${e.message.substring(0, 60)}` };
+    }
+}
+
+/**
+ * 结构化JSON问答: 原生JSON模式 + Schema校验 + 把校验错误反馈给模型重试
+ * @param {Function} ask - (messages, systemPrompt, options) → { success, content, provider }
+ * @param {Object|null} schema - 顶层为array时内部包成 {items: [...]} (原生JSON模式只接受对象)
+ * @returns {{ success, data, provider, attempts, error?, errors? }}
+ */
+async function askJSON(ask, prompt, schema = null, options = {}) {
+    const maxAttempts = options.attempts || 3;
+    const wrapped = schema?.type === 'array';
+    const askSchema = wrapped ? { type: 'object', required: ['items'], properties: { items: schema } } : schema;
+    const system = `${options.system || ''}${options.system ? '\n' : ''}只回复一个JSON${wrapped ? '对象 {"items": [...]}' : ''}, 不要其他内容。`;
+    const schemaText = askSchema ? `回复必须符合此JSON Schema:\n${JSON.stringify(askSchema)}` : '';
+    // PromptBuilder: Schema作为必需段追加, 打包时不会被丢弃
+    const content = prompt instanceof PromptBuilder
+        ? new PromptBuilder(prompt.sections).add('schema', schemaText, { required: true })
+        : (schemaText ? `${prompt}\n\n${schemaText}` : prompt);
+    const messages = [{ role: 'user', content }];
+
+    let errors = [];
+    let provider = 'none';
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const result = await ask(messages, system, { ...options, json: true });
+        if (!result.success) {
+            return { success: false, data: null, provider: 'none', attempts: attempt, error: result.error || 'all_providers_failed' };
+        }
+        provider = result.provider;
+        const parsed = parseJSONLoose(result.content);
+        let data = parsed.data;
+        // 包装模式下模型直接回数组也接受
+        if (wrapped && data && !Array.isArray(data) && Array.isArray(data.items)) data = data.items;
+        errors = parsed.error ? [parsed.error] : validateSchema(data, schema);
+        if (errors.length === 0) return { success: true, data, provider, attempts: attempt };
+
+        messages.push(
+            { role: 'assistant', content: result.content },
+            { role: 'user', content: `上面的回复不合格:\n${errors.slice(0, 5).join('\n')}\n请修正后重新回复, 只输出JSON。` },
+        );
+    }
+    return { success: false, data: null, provider, attempts: maxAttempts, error: 'invalid_json', errors };
+}
+
+// ═══════════════════════════════════════════════
+//  共识投票 (crossValidate)
+//  两两比较回复 → 每条回复的支持数 → 支持最多的为多数答案
+//  json: 逐字段比对 (数值按相对容差) · code: AST等价 · text: 向量余弦 (无embedding时字符二元组Jaccard)
+//  confidence: 多数答案与全部回复的平均一致度 (自身计1)
+// ═══════════════════════════════════════════════
+
+// lexical: text模式拿不到embedding时的字符二元组阈值
+const CONSENSUS_THRESHOLD = { json: 0.75, code: 0.9, text: 0.85, lexical: 0.5 };
+
+function bigrams(text) {
+    const s = String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    const set = new Set();
+    for (let i = 0; i < s.length - 1; i++) set.add(s.slice(i, i + 2));
+    return set;
+}
+
+function jaccard(a, b) {
+    const A = bigrams(a), B = bigrams(b);
+    if (A.size === 0 && B.size === 0) return 1;
+    let inter = 0;
+    for (const x of A) if (B.has(x)) inter++;
+    return inter / (A.size + B.size - inter);
+}
+
+function sameValue(a, b, tolerance) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return Math.abs(a - b) <= tolerance * Math.max(1, Math.abs(a), Math.abs(b));
+    }
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// 字段一致率; fields未指定时取两者顶层字段的并集
+function jsonAgreement(a, b, fields, tolerance) {
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return 0;
+    const keys = fields || [...new Set([...Object.keys(a), ...Object.keys(b)])];
+    if (keys.length === 0) return 1;
+    return keys.filter(k => k in a && k in b && sameValue(a[k], b[k], tolerance)).length / keys.length;
+}
+
+// 投票者的逐字段合并: 数值取中位数, 其余取出现最多的值
+function mergeVotes(objects, fields) {
+    const keys = fields || [...new Set(objects.flatMap(o => Object.keys(o)))];
+    const merged = {};
+    for (const k of keys) {
+        const values = objects.filter(o => k in o).map(o => o[k]);
+        if (values.length === 0) continue;
+        if (values.every(v => typeof v === 'number')) {
+            const sorted = [...values].sort((x, y) => x - y);
+            const mid = Math.floor(sorted.length / 2);
+            merged[k] = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+        } else {
+            const counts = new Map();
+            for (const v of values) counts.set(JSON.stringify(v), (counts.get(JSON.stringify(v)) || 0) + 1);
+            merged[k] = JSON.parse([...counts.entries()].sort((x, y) => y[1] - x[1])[0][0]);
+        }
+    }
+    return merged;
+}
+
+function codeAgreement(a, b) {
+    let equivalent = null;
+    try { equivalent = require('./seed-ast-engine').astEquivalent(a, b); } catch (e) {}
+    if (equivalent === true) return 1;
+    // 语法树不同时给词法相似度 (低于阈值), 无法解析时只能靠词法
+    return equivalent === false ? Math.min(jaccard(a, b), CONSENSUS_THRESHOLD.code - 0.01) : jaccard(a, b);
+}
+
+/**
+ * 对多条回复做共识投票
+ * @param {Array<{provider, content}>} responses
+ * @param {Object} [options] - mode('json'|'code'|'text', 默认自动), fields, tolerance(默认0.15),
+ *   threshold(一致度阈值), embed(text → 向量|null, text模式用)
+ * @returns {{ responses, count, consensus, confidence, answer, provider, mode, votes, agreement }}
+ */
+async function consensus(responses, options = {}) {
+    const n = responses.length;
+    const parsed = responses.map(r => parseJSONLoose(r.content).data);
+    const mode = options.mode
+        || (n > 0 && parsed.every(d => d && typeof d === 'object' && !Array.isArray(d)) ? 'json'
+            : options.task === 'code' ? 'code' : 'text');
+    if (n === 0) {
+        return { responses, count: 0, consensus: false, confidence: 0, answer: null, provider: 'none', mode, votes: [], agreement: [] };
+    }
+
+    const tolerance = options.tolerance ?? 0.15;
+    let vectors = null;
+    if (mode === 'text' && options.embed) {
+        vectors = await Promise.all(responses.map(r => Promise.resolve(options.embed(r.content)).catch(() => null)));
+        if (vectors.some(v => !v)) vectors = null;
+    }
+    const threshold = options.threshold
+        ?? CONSENSUS_THRESHOLD[mode === 'text' && !vectors ? 'lexical' : mode];
+
+    const score = (i, j) => {
+        if (i === j) return 1;
+        if (mode === 'json') return jsonAgreement(parsed[i], parsed[j], options.fields, tolerance);
+        if (mode === 'code') return codeAgreement(responses[i].content, responses[j].content);
+        return vectors ? cosine(vectors[i], vectors[j]) : jaccard(responses[i].content, responses[j].content);
+    };
+    const agreement = responses.map((_, i) => responses.map((_, j) => Math.round(score(i, j) * 100) / 100));
+
+    // 支持数最多者胜; 平局看总一致度, 再平局取排名靠前的提供商
+    let best = 0, bestSupport = -1, bestSum = -1;
+    for (let i = 0; i < n; i++) {
+        const support = agreement[i].filter((s, j) => j !== i && s >= threshold).length;
+        const sum = agreement[i].reduce((a, b) => a + b, 0);
+        if (support > bestSupport || (support === bestSupport && sum > bestSum)) {
+            best = i; bestSupport = support; bestSum = sum;
+        }
+    }
+    const voters = agreement[best].map((s, j) => j).filter(j => j === best || agreement[best][j] >= threshold);
+
+    let answer = responses[best].content;
+    if (mode === 'json') {
+        const objects = voters.map(j => parsed[j]).filter(Boolean);
+        answer = objects.length > 0 ? mergeVotes(objects, options.fields) : null;
+    }
+    return {
+        responses,
+        count: n,
+        consensus: voters.length >= 2 && voters.length > n / 2,
+        confidence: Math.round(bestSum / n * 100) / 100,
+        answer,
+        provider: responses[best].provider,
+        mode,
+        votes: voters.map(j => responses[j].provider),
+        agreement,
+    };
+}
+
+// HTTP(S) POST, 返回 { status, headers, body }
+function httpPost(url, body, extraHeaders = {}, timeout = 30000) {
+    return new Promise((resolve, reject) => {
+        const u = new URL(url);
+        const lib = u.protocol === 'https:' ? https : http;
+        const req = lib.request({
+            hostname: u.hostname, port: u.port, path: u.pathname + u.search,
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                ...extraHeaders,
+            },
+            timeout,
+        }, res => {
+            let data = '';
+            res.on('data', c => data += c);
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+        });
+        req.on('error', reject);
+        req.on('timeout', () => { req.destroy(); reject(new Error('timeout')); });
+        req.write(body);
+        req.end();
+    });
+}
+
+// HTTP(S) POST 流式: 返回响应流 (错误状态码直接reject)
+function httpPostStream(url, body, extraHeaders = {}, timeout = 30000) {
+    return new Promise((resolve, reject) => {
+        const u = new URL(url);
+        const lib = u.protocol === 'https:' ? https : http;
+        const req = lib.request({
+            hostname: u.hostname, port: u.port, path: u.pathname + u.search,
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                ...extraHeaders,
+            },
+            timeout,
+        }, res => {
+            res.setEncoding('utf8');
+            if (res.statusCode >= 400) {
+                let data = '';
+                res.on('data', c => data += c);
+                res.on('end', () => reject(res.statusCode === 429
+                    ? new RateLimitError(`rate_limited: ${data.substring(0, 80)}`, parseRetryAfter(res.headers))
+                    : new Error(`http_${res.statusCode}: ${data.substring(0, 100)}`)));
+                return;
+            }
+            resolve(res);
+        });
+        req.on('error', reject);
+        req.on('timeout', () => { req.destroy(new Error('timeout')); reject(new Error('timeout')); });
+        req.write(body);
+        req.end();
+    });
+}
+
+// 按行切分响应流
+async function* readLines(stream) {
+    let buf = '';
+    for await (const chunk of stream) {
+        buf += chunk;
+        let i;
+        while ((i = buf.indexOf('\n')) >= 0) {
+            yield buf.slice(0, i);
+            buf = buf.slice(i + 1);
+        }
+    }
+    if (buf) yield buf;
+}
+
+// 单例: 两个舰队默认共用
+let _shared = null;
+function getRegistry() {
+    if (!_shared) _shared = new ProviderRegistry();
+    return _shared;
+}
+
+module.exports = {
+    ProviderRegistry, UsageLedger, RateLimiter, CircuitBreaker, RateLimitError, PRIORITY, TASKS, HARD_TASKS, getRegistry, FORMATS,
+    httpPost, httpPostStream, parseRetryAfter, estimateTokens, trimMessages, truncateToTokens, packMessages, PromptBuilder,
+    loadImage,
+    askJSON, validateSchema, parseJSONLoose, ResponseCache, promptKey, consensus,
+};
+
+// 自测: 全部离线 (测试清单/桩函数, 不发请求), node seed-ai-registry.js
+if (require.main === module) {
+    (async () => {
+        const C = { red: '\x1b[31m', green: '\x1b[32m', cyan: '\x1b[36m', magenta: '\x1b[35m', reset: '\x1b[0m' };
+        const sleep = ms => new Promise(r => setTimeout(r, ms));
+        const testFiles = ['test-ai-providers.json', 'test-ai-usage.json', 'test-ai-cache.json', 'test-ai-mock-fixtures.json'].map(f => path.join(__dirname, f));
+        console.log(`\n${C.magenta}═══ AI提供商注册表 自测 ═══${C.reset}\n`);
+        let passed = 0, total = 0;
+        const check = (ok) => {
+            if (ok) { console.log(`  ${C.green}✓ 通过${C.reset}`); passed++; }
+            else console.log(`  ${C.red}✗ 失败${C.reset}`);
+        };
+
+        // 1. 声明式清单: 过滤/排序/Key识别
+        console.log(`${C.cyan}[1] 提供商清单测试${C.reset}`);
+        total++;
+        fs.writeFileSync(testFiles[0], JSON.stringify({ providers: {
+            paid: { priority: 3, needsKey: true, url: 'http://127.0.0.1:9/v1', auth: 'bearer', keyEnv: ['TEST_PAID_KEY'], keyPrefix: 'tp-' },
+            free: { priority: 1, url: 'http://127.0.0.1:9/v1' },
+            named: { priority: 2, needsKey: true, format: 'gemini', url: 'http://127.0.0.1:9/{model}', keyNames: ['named+token'] },
+            off: { priority: 4, enabled: false, url: 'http://127.0.0.1:9/v1' },
+            odd: { priority: 5, format: 'nope', url: 'http://127.0.0.1:9/v1' },
+        } }));
+        const manifest = new ProviderRegistry({ manifestPath: testFiles[0] });
+        const keys = manifest.extractKeys({ anything: 'tp-1234567890abc', named_token: 'n'.repeat(20), short: 'x' }, {});
+        const built = manifest.buildProviders(() => keys, { filter: def => def.key !== 'free' });
+        let noKey = null;
+        try { await manifest.call('paid', '你好', '', {}); } catch (e) { noKey = e.message; }
+        console.log(`  清单: [${manifest.entries().map(([k]) => k)}], 需Key[${manifest.keyedProviders()}], 环境变量 ${JSON.stringify(manifest.envMap())}`);
+        console.log(`  识别Key: [${Object.keys(keys)}], 过滤后[${[...built.keys()]}], 缺Key调用: ${noKey}`);
+        check(manifest.entries().map(([k]) => k).join() === 'free,named,paid' && manifest.keyedProviders().join() === 'named,paid'
+            && manifest.envMap().TEST_PAID_KEY === 'paid' && keys.paid === 'tp-1234567890abc' && keys.named === 'n'.repeat(20)
+            && [...built.keys()].join() === 'named,paid' && typeof built.get('paid').ask === 'function' && noKey === 'no_key');
+
+        // 2. 用量账本: 费用/预算 + 批量写盘
+        console.log(`\n${C.cyan}[2] 用量账本测试${C.reset}`);
+        total++;
+        const priced = { get: () => ({ pricing: { input: 1000, output: 2000 }, budget: { dailyTokens: 20 } }) };
+        const ledger = new UsageLedger(priced, testFiles[1], { flushDelay: 60000 });
+        ledger.record('paid', { promptTokens: 10, completionTokens: 5 });
+        const before = ledger.exhausted('paid');
+        ledger.record('paid', { promptTokens: 10, completionTokens: 5, estimated: true });
+        const unwritten = !fs.existsSync(testFiles[1]);
+        ledger.flush();
+        const reloaded = new UsageLedger(priced, testFiles[1]).providers.paid?.total;
+        const sum = ledger.summary('paid');
+        console.log(`  今日 ${sum.today.tokens}t $${sum.today.cost}, 预算: ${before} → ${ledger.exhausted('paid')}, 写盘前无文件=${unwritten}, 重载${reloaded?.calls}次`);
+        check(sum.today.tokens === 30 && sum.today.cost === 0.04 && before === null && ledger.exhausted('paid') === 'daily_tokens'
+            && unwritten && reloaded?.calls === 2 && reloaded.estimatedCalls === 1);
+
+        // 3. 限流: RPM令牌桶 + 日配额预留给高优先级
+        console.log(`\n${C.cyan}[3] 限流测试${C.reset}`);
+        total++;
+        const limits = { rpmOnly: { rpm: 2 }, daily: { rpd: 4 } };
+        const limiter = new RateLimiter({ get: key => ({ limits: limits[key] }) }, { reserveRatio: 0.5 });
+        const grants = [];
+        for (let i = 0; i < 3; i++) grants.push(await limiter.acquire('rpmOnly', { maxWait: 50 }));
+        const daily = [];
+        for (let i = 0; i < 3; i++) daily.push(await limiter.acquire('daily', { maxWait: 0 }));
+        const lowRefused = !(await limiter.acquire('daily', { priority: 'low', maxWait: 0 }));
+        const highGranted = await limiter.acquire('daily', { priority: 'high', maxWait: 0 });
+        limiter.penalize('rpmOnly', 5000);
+        const st = limiter.status('rpmOnly');
+        console.log(`  RPM=2: ${grants.join(',')} (放行${st.granted}/拒绝${st.throttled}), 日配额: ${daily.join(',')} 低优先级拒绝=${lowRefused} 高优先级=${highGranted}`);
+        check(grants.join() === 'true,true,false' && st.granted === 2 && st.throttled === 1 && st.blockedMs > 4000
+            && daily.every(Boolean) && lowRefused && highGranted);
+
+        // 4. askJSON: 不合格回复把错误反馈给模型重试
+        console.log(`\n${C.cyan}[4] askJSON重试测试${C.reset}`);
+        total++;
+        const replies = ['不是JSON', '{"score": "high"}', '```json\n{"score": 4}\n```'];
+        const seen = [];
+        const asked = await askJSON(async (messages, sys, opts) => {
+            seen.push({ count: messages.length, json: opts.json, last: messages[messages.length - 1].content });
+            return { success: true, content: replies[seen.length - 1], provider: 'stub' };
+        }, '给这段代码打分', { type: 'object', required: ['score'], properties: { score: { type: 'integer', minimum: 1, maximum: 5 } } });
+        const wrapped = await askJSON(async () => ({ success: true, content: '{"items": ["a", "b"]}', provider: 'stub' }),
+            '列出两个名字', { type: 'array', items: { type: 'string' } });
+        const failed = await askJSON(async () => ({ success: false, error: 'all_providers_failed' }), '随便', null);
+        console.log(`  ${asked.attempts}次尝试 → ${JSON.stringify(asked.data)}, 消息数 ${seen.map(s => s.count).join('→')}`);
+        console.log(`  数组包装: ${JSON.stringify(wrapped.data)}, 调用失败: ${failed.error}`);
+        check(asked.success && asked.attempts === 3 && asked.data.score === 4 && seen.every(s => s.json)
+            && seen.map(s => s.count).join() === '1,3,5' && seen[2].last.includes('score')
+            && JSON.stringify(wrapped.data) === '["a","b"]' && !failed.success && failed.attempts === 1);
+
+        // 5. 回复缓存: 精确命中 · 语义近似 (同一系统提示词内) · LRU淘汰 · 落盘 · TTL
+        console.log(`\n${C.cyan}[5] 回复缓存测试${C.reset}`);
+        total++;
+        const vectors = { 'JS是什么': [1, 0, 0], 'JS是什么?': [0.99, 0.05, 0] };
+        const cache = new ResponseCache({ filePath: testFiles[2], maxEntries: 2, embed: async text => vectors[text] || null });
+        await cache.set('JS是什么', '', '一种语言', { provider: 'p', semantic: true });
+        const exact = await cache.get('JS是什么', '');
+        const near = await cache.get('JS是什么?', '', { semantic: true });
+        const otherScope = await cache.get('JS是什么?', '别的系统提示词', { semantic: true });
+        await cache.set('a', '', 'A', { provider: 'p' });
+        await cache.set('b', '', 'B', { provider: 'p' });
+        cache.flush();
+        const reopened = new ResponseCache({ filePath: testFiles[2] });
+        const evicted = !(await reopened.get('JS是什么', ''));
+        const kept = await reopened.get('b', '');
+        await sleep(5);
+        const expired = await reopened.get('b', '', { ttl: 1 });
+        console.log(`  精确=${exact?.content} 近似=${near?.content}(${near?.similarity?.toFixed(3)}) 跨系统提示词=${otherScope} 淘汰${cache.stats.evictions}条, 重载命中=${kept?.content} 过期=${expired}`);
+        check(exact?.content === '一种语言' && !exact.semantic && near?.semantic && otherScope === null
+            && cache.stats.evictions === 1 && evicted && kept?.content === 'B' && expired === null);
+
+        // 6. 离线模拟: mock提供商替换整个清单, 录制合并写盘
+        console.log(`\n${C.cyan}[6] MockLLM提供商测试${C.reset}`);
+        total++;
+        const mock = new MockLLM({ fixturesPath: testFiles[3] });
+        mock.rules = [{ match: /天气/, system: null, response: '晴' }];
+        const registry = new ProviderRegistry({ mock });
+        const provider = registry.buildProviders(() => ({})).get('mock');
+        const meta = {};
+        const ruled = await provider.ask('明天天气怎么样', '', meta);
+        const fallback = await provider.ask('随便说点什么', '');
+        const mockJSON = await askJSON(async (messages, sys, opts) => ({
+            success: true, content: await provider.ask(messages, sys, {}, opts), provider: 'mock',
+        }), '评估这次进化', { type: 'object', required: ['name', 'score'], properties: { name: { type: 'string' }, score: { type: 'integer', minimum: 1, maximum: 5 } } });
+        const recorder = new MockLLM({ fixturesPath: testFiles[3] });
+        recorder.record('你好', '', '录制的问候', { provider: 'real' });
+        recorder.record('再见', '', '录制的告别', { provider: 'real' });
+        const batched = !fs.existsSync(testFiles[3]);
+        recorder.flush();
+        const replay = new ProviderRegistry({ mock: new MockLLM({ fixturesPath: testFiles[3] }) });
+        let streamed = '';
+        for await (const token of replay.buildProviders(() => ({})).get('mock').stream('你好', '', {})) streamed += token;
+        console.log(`  清单: [${registry.entries().map(([k]) => k)}], 规则="${ruled}" 兜底="${fallback.substring(0, 20)}" Schema合成=${JSON.stringify(mockJSON.data)}`);
+        console.log(`  录制合并写盘=${batched}, 回放(流式)="${streamed}", 统计 ${JSON.stringify(replay.mock.getStats())}`);
+        check(registry.entries().length === 1 && ruled === '晴' && fallback.startsWith('[mock]') && meta.usage?.estimated
+            && mockJSON.success && mockJSON.attempts === 1 && mockJSON.data.name === 'mock-name' && mockJSON.data.score === 1
+            && mock.stats.ruled === 1 && mock.stats.synthesized === 1 && mock.stats.fallback === 1
+            && batched && streamed === '录制的问候' && replay.mock.getStats().fixtures === 2 && replay.mock.stats.replayed === 1);
+
+        // 7. 熔断器: closed → open → half_open(单次试探) → closed
+        console.log(`\n${C.cyan}[7] 熔断器测试${C.reset}`);
+        total++;
+        const breaker = new CircuitBreaker({ maxConsecutive: 2, baseCooldown: 40 });
+        breaker.failure('p');
+        const tripped = breaker.failure('p');
+        const blocked = !breaker.allow('p') && !breaker.available('p');
+        await sleep(50);
+        const trial = breaker.allow('p');
+        const single = !breaker.allow('p') && !breaker.available('p');
+        breaker.cancel('p');
+        const released = breaker.available('p') && breaker.allow('p');
+        const retripped = breaker.failure('p');
+        const backoff = breaker.status('p').retryInMs;
+        await sleep(90);
+        breaker.allow('p');
+        const recovered = breaker.success('p');
+        console.log(`  ${tripped} → 试探${trial} (唯一${single}, 放弃后可再试${released}) → ${retripped}(冷却${backoff}ms) → ${recovered}`);
+        check(tripped === 'open' && blocked && trial && single && released && retripped === 'open'
+            && backoff > 40 && recovered === 'closed' && breaker.status('p').state === 'closed');
+
+        // 8. 共识投票: json逐字段比对 + 数值中位数合并; 无关文本不成共识
+        console.log(`\n${C.cyan}[8] 共识投票测试${C.reset}`);
+        total++;
+        const voted = await consensus([
+            { provider: 'a', content: '{"value": 10, "label": "A"}' },
+            { provider: 'b', content: '{"value": 11, "label": "A"}' },
+            { provider: 'c', content: '{"value": 100, "label": "B"}' },
+        ]);
+        const split = await consensus([
+            { provider: 'a', content: '今天天气晴朗适合出门' },
+            { provider: 'b', content: 'The build failed with exit code 2' },
+        ]);
+        console.log(`  json: 共识=${voted.consensus} 投票[${voted.votes}] 合并=${JSON.stringify(voted.answer)} 置信度=${voted.confidence}`);
+        console.log(`  text: 共识=${split.consensus} 模式=${split.mode}`);
+        check(voted.mode === 'json' && voted.consensus && [...voted.votes].sort().join() === 'a,b'
+            && voted.answer.value === 10.5 && voted.answer.label === 'A' && voted.provider !== 'c'
+            && split.mode === 'text' && !split.consensus);
+
+        // 9. 上下文打包: 先丢低优先级段, 再截断可截断的必需段; 段落上限在加入时生效
+        console.log(`\n${C.cyan}[9] 上下文打包测试${C.reset}`);
+        total++;
+        const builder = () => new PromptBuilder()
+            .add('task', '修复函数里的空指针错误', { required: true, priority: 10 })
+            .add('history', '旧日志'.repeat(200), { priority: 1 })
+            .add('code', 'x'.repeat(2000), { required: true, truncate: 'middle' });
+        const packed = builder().pack(200);
+        const msgs = packMessages([
+            { role: 'user', content: 'a'.repeat(800) },
+            { role: 'assistant', content: 'b'.repeat(800) },
+            { role: 'user', content: builder() },
+        ], 300);
+        const capped = new PromptBuilder().add('code', 'y'.repeat(2000), { required: true, truncate: 'middle', maxTokens: 100 });
+        console.log(`  PromptBuilder: ${packed.tokens}t 丢弃[${packed.dropped}] 截断[${packed.truncated}]`);
+        console.log(`  packMessages: ${msgs.messages.length}条 丢弃[${msgs.dropped}] 截断[${msgs.truncated}]`);
+        console.log(`  段落上限: ${estimateTokens(String(capped))}t (上限100)`);
+        check(packed.dropped.join() === 'history' && packed.truncated.join() === 'code'
+            && packed.tokens <= 200 && packed.text.startsWith('修复函数') && packed.text.includes(TRUNCATE_MARK)
+            && msgs.messages.length === 1 && msgs.dropped.join() === 'history×2,history' && msgs.truncated.join() === 'code'
+            && estimateTokens(String(capped)) <= 100 && String(capped).includes(TRUNCATE_MARK) && capped.pack(Infinity).truncated.length === 0);
+
+        console.log(`\n${C.magenta}═══ 结果: ${passed}/${total} 通过 ═══${C.reset}\n`);
+
+        // 清理测试文件
+        for (const f of testFiles) {
+            try { fs.rmSync(f, { force: true }); } catch {}
+        }
+
+        process.exit(passed === total ? 0 : 1);
+    })();
+}
@@ -0,0 +1,200 @@
+/**
+ * 活体种子AI - LLM调用追踪 v1.0
+ *
+ * 每次AIClient调用 (request/askStream/crossValidate) 生成一条追踪记录, 追加到轮转的JSONL审计日志:
+ *   { id, correlationId, ts, kind, site, promptHash, prompt, system, response, provider,
+ *     latency, tokens, outcome, attempts, packing }
+ * 事后补充的结果 (如askJSON解析是否通过、进化补丁是否应用) 以 annotate 记录追加, 查询时按id合并
+ * 记录先进内存缓冲, 合并到 flushDelay 后一次追加写盘 (进程退出时补写); 查询前先写出缓冲
+ *
+ *   SEED_AI_TRACE=0          — 关闭
+ *   SEED_AI_TRACE_FILE=path  — 日志路径 (默认 ai-traces.jsonl, 轮转为 .1 .2 ...)
+ *
+ * 查询默认带正文; 对外暴露时 (如云端 /traces) 用 bodies: false 只给长度
+ *
+ * correlationId 用于把一次业务操作 (如一轮代码进化) 的所有调用串起来, 见 CodeEvolver.history
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_TRACE_FILE = path.join(__dirname, 'ai-traces.jsonl');
+
+// 追踪/关联ID: 时间前缀便于排序
+function newTraceId(prefix = 'tr') {
+    return `${prefix}-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// 调用位置: 调用栈中第一个不属于AI客户端/注册表/本模块的帧 → "函数名 文件:行"
+const INTERNAL_FILES = ['seed-ai-client.js', 'seed-ai-registry.js', 'seed-ai-trace.js'];
+function callSite(stack = new Error().stack) {
+    for (const line of String(stack).split('\n').slice(1)) {
+        const m = line.match(/at (?:(.+?) \()?(.+?):(\d+):\d+\)?$/);
+        if (!m) continue;
+        const file = path.basename(m[2]);
+        if (INTERNAL_FILES.includes(file) || m[2].startsWith('node:')) continue;
+        const fn = (m[1] || '').replace(/^async /, '');
+        return fn ? `${fn} ${file}:${m[3]}` : `${file}:${m[3]}`;
+    }
+    return 'unknown';
+}
+
+function matchesFilter(r, filter) {
+    return (!filter.id || r.id === filter.id)
+        && (!filter.correlationId || r.correlationId === filter.correlationId)
+        && (!filter.site || String(r.site || '').includes(filter.site))
+        && (!filter.provider || r.provider === filter.provider)
+        && (!filter.outcome || r.outcome === filter.outcome);
+}
+
+// 去掉正文 (提示词/系统提示词/回复, 可能含源码和用户输入), 只留长度
+const BODY_FIELDS = ['prompt', 'system', 'response'];
+function redactTrace(entry) {
+    const out = { ...entry };
+    for (const field of BODY_FIELDS) {
+        if (out[field] === undefined || out[field] === null) continue;
+        const text = typeof out[field] === 'string' ? out[field] : JSON.stringify(out[field]);
+        out[field] = { redacted: true, chars: text.length };
+    }
+    return out;
+}
+
+class TraceLog {
+    /**
+     * @param {Object} [options] - filePath, maxBytes(单文件上限, 默认5MB), maxFiles(保留的轮转文件数, 默认3),
+     *   recent(内存保留条数, 默认200), flushDelay(写入后多久写盘, 默认1000ms), enabled
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.SEED_AI_TRACE_FILE || DEFAULT_TRACE_FILE;
+        this.maxBytes = options.maxBytes || 5 * 1024 * 1024;
+        this.maxFiles = options.maxFiles ?? 3;
+        this.maxRecent = options.recent || 200;
+        this.enabled = options.enabled ?? !['0', 'false', 'off', 'no'].includes(String(process.env.SEED_AI_TRACE || '').toLowerCase());
+        this.flushDelay = options.flushDelay ?? 1000;
+        this.recent = []; // 最近的记录 (已合并annotate)
+        this.stats = { written: 0, rotated: 0, errors: 0 };
+        this._pending = []; // 未写盘的JSONL行
+        this._timer = null;
+    }
+
+    // 写入一条追踪记录, 返回id
+    write(record) {
+        const entry = { id: record.id || newTraceId(), ts: new Date().toISOString(), ...record };
+        if (!this.enabled) return entry.id;
+        this.recent.push(entry);
+        if (this.recent.length > this.maxRecent) this.recent.shift();
+        this._append(entry);
+        this.stats.written++;
+        return entry.id;
+    }
+
+    // 事后补充字段 (追加一条 { id, annotate: true, ... }, 查询时合并)
+    annotate(id, fields) {
+        if (!this.enabled || !id) return;
+        const entry = this.recent.find(r => r.id === id);
+        if (entry) Object.assign(entry, fields);
+        this._append({ id, annotate: true, ts: new Date().toISOString(), ...fields });
+    }
+
+    _append(entry) {
+        this._pending.push(JSON.stringify(entry) + '\n');
+        if (this._timer) return;
+        this._flushOnExit = this._flushOnExit || (() => this.flush());
+        process.once('exit', this._flushOnExit);
+        this._timer = setTimeout(() => this.flush(), this.flushDelay);
+        this._timer.unref?.();
+    }
+
+    // 立即写出缓冲的记录 (一次追加; 写之前检查轮转)
+    flush() {
+        if (!this._timer) return;
+        clearTimeout(this._timer);
+        this._timer = null;
+        process.removeListener('exit', this._flushOnExit);
+        const lines = this._pending.join('');
+        this._pending = [];
+        try {
+            this._rotate();
+            fs.appendFileSync(this.filePath, lines);
+        } catch (e) {
+            this.stats.errors++;
+        }
+    }
+
+    // 超过maxBytes: file → file.1 → file.2 ..., 超出maxFiles的删除
+    _rotate() {
+        let size = 0;
+        try { size = fs.statSync(this.filePath).size; } catch { return; }
+        if (size < this.maxBytes) return;
+        for (let i = this.maxFiles; i >= 1; i--) {
+            const from = i === 1 ? this.filePath : `${this.filePath}.${i - 1}`;
+            const to = `${this.filePath}.${i}`;
+            if (!fs.existsSync(from)) continue;
+            if (i === this.maxFiles && fs.existsSync(to)) fs.unlinkSync(to);
+            fs.renameSync(from, to);
+        }
+        if (this.maxFiles === 0) fs.unlinkSync(this.filePath);
+        this.stats.rotated++;
+    }
+
+    /**
+     * 查询: 从最新的文件往旧的逐行倒读, 凑够limit条 (或早于since) 即停, 不读其余轮转文件
+     * filter: { id, correlationId, site(子串), provider, outcome, since(ISO或毫秒), limit(默认50),
+     *   bodies(默认true; false时提示词/系统提示词/回复只给长度, 见 redactTrace) }
+     * @returns {{ total, more, traces }} total为本次返回条数, more表示还有更早的匹配记录没读
+     */
+    query(filter = {}) {
+        this.flush();
+        const limit = filter.limit || 50;
+        const since = filter.since ? new Date(isNaN(filter.since) ? filter.since : Number(filter.since)).getTime() : 0;
+        const files = [this.filePath];
+        for (let i = 1; i <= this.maxFiles; i++) files.push(`${this.filePath}.${i}`);
+
+        // annotate 记录写在原记录之后, 倒读时先遇到: 按id暂存 (新的在前), 遇到原记录时按时间顺序合并
+        const annotations = new Map();
+        const traces = [];
+        let more = false;
+        scan: for (const file of files) {
+            let text;
+            try { text = fs.readFileSync(file, 'utf8'); } catch { continue; }
+            const lines = text.split('\n');
+            for (let i = lines.length - 1; i >= 0; i--) {
+                if (!lines[i]) continue;
+                let entry;
+                try { entry = JSON.parse(lines[i]); } catch { continue; }
+                if (entry.annotate) {
+                    const { annotate, ts, id, ...fields } = entry;
+                    if (!annotations.has(id)) annotations.set(id, []);
+                    annotations.get(id).push(fields);
+                    continue;
+                }
+                if (since && new Date(entry.ts).getTime() < since) break scan;
+                if (!matchesFilter(entry, filter)) continue;
+                if (traces.length >= limit) {
+                    more = true;
+                    break scan;
+                }
+                for (const fields of (annotations.get(entry.id) || []).reverse()) Object.assign(entry, fields);
+                traces.push(filter.bodies === false ? redactTrace(entry) : entry);
+            }
+        }
+        return { total: traces.length, more, traces };
+    }
+
+    getStats() {
+        this.flush();
+        let size = 0;
+        try { size = fs.statSync(this.filePath).size; } catch {}
+        return { enabled: this.enabled, file: path.basename(this.filePath), bytes: size, ...this.stats };
+    }
+}
+
+// 单例: 同一进程的所有客户端写同一个日志
+let _shared = null;
+function getTraceLog() {
+    if (!_shared) _shared = new TraceLog();
+    return _shared;
+}
+
+module.exports = { TraceLog, getTraceLog, newTraceId, callSite, redactTrace };
@@ -55,4 +55,31 @@ function analyzeCode(code) {
     }
 }
 
-module.exports = { analyzeCode };
+// 去掉位置信息/原始文本的语法树指纹: 只差空白、注释、引号风格的代码指纹相同
+function astFingerprint(code) {
+    const src = String(code || '').replace(/^\s*```[\w]*\s*/, '').replace(/\s*```\s*$/, '');
+    // 代码片段不一定能单独解析: 依次尝试 模块 / 脚本 / 函数体 / 表达式
+    const attempts = [
+        () => acorn.parse(src, { ecmaVersion: 2022, sourceType: 'module' }),
+        () => acorn.parse(src, { ecmaVersion: 2022, sourceType: 'script', allowReturnOutsideFunction: true }),
+        () => acorn.parse(`(async function(){${src}\n})`, { ecmaVersion: 2022 }),
+        () => acorn.parse(`(${src})`, { ecmaVersion: 2022 }),
+    ];
+    for (const parse of attempts) {
+        try {
+            return JSON.stringify(parse(), (key, value) =>
+                ['start', 'end', 'loc', 'range', 'raw'].includes(key) ? undefined : value);
+        } catch (e) {}
+    }
+    return null;
+}
+
+// AST等价: 两段代码都能解析且语法树相同; 任一无法解析返回null (由调用方降级比较)
+function astEquivalent(a, b) {
+    const fa = astFingerprint(a);
+    const fb = astFingerprint(b);
+    if (fa === null || fb === null) return null;
+    return fa === fb;
+}
+
+module.exports = { analyzeCode, astFingerprint, astEquivalent };
@@ -157,6 +157,7 @@ class BrowserAgent {
         this.computer = null;   // ComputerAgent
         this.sessionMgr = null; // SessionManager
         this.tabMgr = null;     // TabManager
+        this.ai = options.ai || null; // AIClient (看截图用), 默认进程内单例
     }
 
     // ================================================================
@@ -920,6 +921,17 @@ class BrowserAgent {
         return filepath;
     }
 
+    // 截图并让多模态LLM回答问题 (不依赖眼睛模块)
+    async analyzeScreenshot(question, filename) {
+        const filepath = await this.screenshot(filename);
+        if (!this.ai) this.ai = require('./seed-ai-client').getClient();
+        const result = await this.ai.askVision(question, filepath, { maxTokens: 500 });
+        this.addLog('vision', result.success
+            ? `${result.provider}: ${result.content.substring(0, 80)}`
+            : `failed: ${result.error}`);
+        return { ...result, screenshot: filepath };
+    }
+
     async sleep(ms) {
         return new Promise(r => setTimeout(r, ms));
     }
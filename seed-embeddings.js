@@ -0,0 +1,176 @@
+/**
+ * 活体种子AI - 文本向量化 (Embedding) 后端 v1.0
+ *
+ * VectorMemory 的可插拔embedding来源, 统一接口:
+ *   { name, model, dim, signature, async embed(text) → number[] | null }
+ *   - OllamaEmbedder  — 本地 /api/embeddings (默认 nomic-embed-text, 768维)
+ *   - OpenAIEmbedder  — OpenAI兼容 /v1/embeddings (OPENAI_API_KEY, OPENAI_BASE_URL 可换兼容端点)
+ *   - HashEmbedder    — 纯JS离线: 词/字符n-gram哈希到固定维度 + 对数词频, 不依赖任何服务
+ *
+ * resolveEmbedder('auto') 依次探测 Ollama → OpenAI(有Key时) → Hash, 取第一个可用的
+ *   (都不可用而退到Hash时, 返回的后端带 fallback: true; 已有存储据此判断是临时降级还是换模型)
+ * signature (后端:模型) 与维度随存储文件记录, 换模型时 VectorMemory 据此重新向量化
+ */
+
+const { httpPost } = require('./seed-ai-registry');
+
+const PROBE_TEXT = 'ping';
+const PROBE_TIMEOUT = 3000;
+
+class OllamaEmbedder {
+    /**
+     * @param {Object} [options] - model(默认nomic-embed-text), host(默认localhost), port(默认11434), timeout
+     */
+    constructor(options = {}) {
+        this.name = 'ollama';
+        this.model = options.model || 'nomic-embed-text';
+        this.url = `http://${options.host || 'localhost'}:${options.port || 11434}/api/embeddings`;
+        this.timeout = options.timeout || 10000;
+        this.dim = options.dim || null; // 首次成功后确定
+    }
+
+    get signature() { return `${this.name}:${this.model}`; }
+
+    async embed(text, timeout = this.timeout) {
+        try {
+            const res = await httpPost(this.url, JSON.stringify({ model: this.model, prompt: text.substring(0, 8000) }), {}, timeout);
+            if (res.status !== 200) return null;
+            const vector = JSON.parse(res.body).embedding;
+            if (!Array.isArray(vector) || vector.length === 0) return null;
+            this.dim = vector.length;
+            return vector;
+        } catch {
+            return null;
+        }
+    }
+}
+
+class OpenAIEmbedder {
+    /**
+     * @param {Object} [options] - apiKey, baseURL(默认https://api.openai.com/v1), model(默认text-embedding-3-small),
+     *   dimensions(支持裁剪维度的模型可指定), timeout
+     */
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.model = options.model || 'text-embedding-3-small';
+        this.apiKey = options.apiKey || process.env.OPENAI_API_KEY || '';
+        this.url = `${(options.baseURL || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '')}/embeddings`;
+        this.dimensions = options.dimensions || null;
+        this.timeout = options.timeout || 15000;
+        this.dim = options.dimensions || null;
+    }
+
+    get signature() { return `${this.name}:${this.model}${this.dimensions ? `@${this.dimensions}` : ''}`; }
+
+    async embed(text, timeout = this.timeout) {
+        if (!this.apiKey) return null;
+        try {
+            const body = { model: this.model, input: text.substring(0, 8000) };
+            if (this.dimensions) body.dimensions = this.dimensions;
+            const res = await httpPost(this.url, JSON.stringify(body), { Authorization: `Bearer ${this.apiKey}` }, timeout);
+            if (res.status !== 200) return null;
+            const vector = JSON.parse(res.body).data?.[0]?.embedding;
+            if (!Array.isArray(vector) || vector.length === 0) return null;
+            this.dim = vector.length;
+            return vector;
+        } catch {
+            return null;
+        }
+    }
+}
+
+// FNV-1a 32位
+function fnv1a(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+class HashEmbedder {
+    /**
+     * 离线兜底: 英文按词 + 词内字符三元组, 中日韩按单字 + 二元组, 哈希到dim维 (带符号, 减少碰撞偏差)
+     * 只反映字面重合, 语义近似能力弱于神经网络模型
+     * @param {Object} [options] - dim(默认512)
+     */
+    constructor(options = {}) {
+        this.name = 'hash';
+        this.dim = options.dim || 512;
+        this.model = `ngram-${this.dim}`;
+    }
+
+    get signature() { return `${this.name}:${this.model}`; }
+
+    async embed(text) {
+        return this.embedSync(text);
+    }
+
+    embedSync(text) {
+        const counts = new Map();
+        const bump = (feature) => counts.set(feature, (counts.get(feature) || 0) + 1);
+        const lower = String(text || '').toLowerCase();
+
+        for (const word of lower.match(/[a-z0-9_]+/g) || []) {
+            bump(`w:${word}`);
+            const padded = `#${word}#`;
+            for (let i = 0; i + 3 <= padded.length; i++) bump(`t:${padded.substring(i, i + 3)}`);
+        }
+        for (const run of lower.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]+/g) || []) {
+            for (let i = 0; i < run.length; i++) {
+                bump(`c:${run[i]}`);
+                if (i + 1 < run.length) bump(`b:${run.substring(i, i + 2)}`);
+            }
+        }
+        if (counts.size === 0) return null;
+
+        const vector = new Array(this.dim).fill(0);
+        for (const [feature, count] of counts) {
+            const h = fnv1a(feature);
+            vector[h % this.dim] += (h & 0x80000000 ? -1 : 1) * (1 + Math.log(count));
+        }
+        const norm = Math.sqrt(vector.reduce((s, x) => s + x * x, 0));
+        return norm > 0 ? vector.map(x => x / norm) : null;
+    }
+}
+
+/**
+ * 按配置创建后端 (不探测可用性)
+ * spec: 'ollama' | 'openai' | 'hash' | { type, ...参数 } | 已有的后端对象 (有embed方法即可)
+ * options: 按后端分组的默认参数 { ollama: {...}, openai: {...}, hash: {...} }
+ */
+function createEmbedder(spec, options = {}) {
+    if (spec && typeof spec === 'object' && typeof spec.embed === 'function') return spec;
+    const type = typeof spec === 'string' ? spec : spec?.type;
+    const opts = { ...options[type], ...(typeof spec === 'object' ? spec : {}) };
+    switch (type) {
+        case 'ollama': return new OllamaEmbedder(opts);
+        case 'openai': return new OpenAIEmbedder(opts);
+        case 'hash': return new HashEmbedder(opts);
+        default: throw new Error(`unknown_embedder:${type}`);
+    }
+}
+
+/**
+ * 'auto' (默认): 依次试 Ollama → OpenAI(有Key) → Hash, 返回第一个能出向量的; 其余同 createEmbedder
+ * options 同 createEmbedder; prefer: 优先试的后端签名 (已有存储用的模型, 可用就不必迁移;
+ *   哈希后端总是可用, prefer为哈希签名时直接按其维度返回)
+ */
+async function resolveEmbedder(spec = 'auto', options = {}) {
+    if (spec !== 'auto') return createEmbedder(spec, options);
+    const hashDim = /^hash:ngram-(\d+)$/.exec(options.prefer || '');
+    if (hashDim) return new HashEmbedder({ ...options.hash, dim: Number(hashDim[1]) });
+    const candidates = [new OllamaEmbedder(options.ollama)];
+    const openai = new OpenAIEmbedder(options.openai);
+    if (openai.apiKey) candidates.push(openai);
+    if (options.prefer) candidates.sort((a, b) => (b.signature === options.prefer) - (a.signature === options.prefer));
+    for (const embedder of candidates) {
+        if (await embedder.embed(PROBE_TEXT, PROBE_TIMEOUT)) return embedder;
+    }
+    const fallback = new HashEmbedder(options.hash);
+    fallback.fallback = true;
+    return fallback;
+}
+
+module.exports = { OllamaEmbedder, OpenAIEmbedder, HashEmbedder, createEmbedder, resolveEmbedder };
@@ -84,7 +84,7 @@ ${codeSnippet}
 严格JSON回复:
 {"description":"改进描述","search":"原始代码(10-50字符,必须精确存在)","replace":"替换代码","type":"${angle}","confidence":0.0-1.0}`;
 
-            const result = await this.ai.ask(prompt, 'AlphaEvolve: 只找高确信度改进,confidence<0.7时设为null。只回复JSON。');
+            const result = await this.ai.ask(prompt, 'AlphaEvolve: 只找高确信度改进,confidence<0.7时设为null。只回复JSON。', { task: 'code' });
             if (result.success) {
                 try {
                     const json = JSON.parse(result.content.match(/\{[\s\S]*\}/)?.[0] || '{}');
@@ -186,8 +186,8 @@ ${codeSnippet}
             impact: 0,        // 改进幅度
         };
 
-        // 用AI评估
-        const evalResult = await this.ai.ask(
+        // 多个AI独立评分后投票, 不只信一个评审
+        const review = await this.ai.crossValidate(
             `评估这个代码改动:
 原始: ${candidate.search}
 修改: ${candidate.replace}
@@ -196,21 +196,23 @@ ${codeSnippet}
 
 用JSON回复4个维度评分(0-1):
 {"correctness":0.0-1.0,"safety":0.0-1.0,"readability":0.0-1.0,"impact":0.0-1.0}`,
-            '你是代码审查专家。客观评估改动质量,只回复JSON。'
+            '你是代码审查专家。客观评估改动质量,只回复JSON。',
+            { mode: 'json', fields: Object.keys(scores), task: 'reason' }
         );
 
-        if (evalResult.success) {
-            try {
-                const parsed = JSON.parse(evalResult.content.match(/\{[\s\S]*\}/)?.[0] || '{}');
-                scores.correctness = Math.min(1, Math.max(0, parsed.correctness || 0));
-                scores.safety = Math.min(1, Math.max(0, parsed.safety || 0));
-                scores.readability = Math.min(1, Math.max(0, parsed.readability || 0));
-                scores.impact = Math.min(1, Math.max(0, parsed.impact || 0));
-            } catch {}
+        // 投票者逐维度取中位数
+        if (review.answer) {
+            for (const dim of Object.keys(scores)) {
+                scores[dim] = Math.min(1, Math.max(0, Number(review.answer[dim]) || 0));
+            }
         }
 
         // 权重: 安全>正确>影响>可读
         scores.total = scores.safety * 0.3 + scores.correctness * 0.3 + scores.impact * 0.25 + scores.readability * 0.15;
+        // 评审之间意见不一致时按一致度打折
+        if (review.count >= 2 && !review.consensus) scores.total *= review.confidence;
+        scores.confidence = review.confidence;
+        scores.reviewers = review.votes;
         return scores;
     }
 
@@ -262,38 +264,33 @@ class DualAgentTrainer {
 列出所有潜在风险(0-3个,每条不超20字),然后给出总体评分(0-10):
 {"risks":["..."],"score":0-10,"approve":true/false}`;
 
-        // 并行调用两个AI(尽量使用不同提供商)
-        const [proposerResult, evaluatorResult] = await Promise.all([
-            this.ai.ask(proposerPrompt, 'ProposerAI: 寻找改进价值'),
-            this.ai.ask(evaluatorPrompt, 'EvaluatorAI: 严格审查,只回复JSON'),
+        // 并行: Proposer论证 + 多个Evaluator独立审查后投票
+        const [proposerResult, review] = await Promise.all([
+            this.ai.ask(proposerPrompt, 'ProposerAI: 寻找改进价值', { task: 'code' }),
+            this.ai.crossValidate(evaluatorPrompt, 'EvaluatorAI: 严格审查,只回复JSON',
+                { mode: 'json', fields: ['approve', 'score'], task: 'reason' }),
         ]);
 
-        let approved = false;
-        let score = 0;
-
-        if (evaluatorResult.success) {
-            try {
-                const eval_ = JSON.parse(evaluatorResult.content.match(/\{[\s\S]*\}/)?.[0] || '{}');
-                score = eval_.score || 0;
-                approved = eval_.approve === true && score >= 7;
-            } catch {
-                // 无法解析评估结果,默认不批准
-            }
-        }
+        // 多数评审的意见 (评分取中位数); 有多个评审时必须形成多数共识
+        const verdict = review.answer || {};
+        const score = Number(verdict.score) || 0;
+        const approved = verdict.approve === true && score >= 7 && (review.count === 1 || review.consensus);
 
         if (approved) {
             this.agreements++;
-            log('AGENT0', `${C.green}双Agent共识: 批准 (评分${score}/10)${C.reset}`);
+            log('AGENT0', `${C.green}双Agent共识: 批准 (评分${score}/10, ${review.votes.length}/${review.count}评审一致)${C.reset}`);
         } else {
             this.disagreements++;
-            log('AGENT0', `${C.yellow}评估未通过 (评分${score}/10)${C.reset}`);
+            log('AGENT0', `${C.yellow}评估未通过 (评分${score}/10, 一致度${review.confidence})${C.reset}`);
         }
 
         return {
             approved,
             score,
+            confidence: review.confidence,
             proposerProvider: proposerResult.provider,
-            evaluatorProvider: evaluatorResult.provider,
+            evaluatorProvider: review.provider,
+            evaluators: review.votes,
         };
     }
 
@@ -1722,7 +1719,7 @@ class CognitiveSearchHub {
         const topCandidates = evaluated.slice(0, 5);
 
         if (this.ai && topCandidates.length > 0) {
-            const aiEval = await this.ai.ask(
+            const aiEval = await this.ai.askJSON(
                 `评估以下资源对"活体种子AI"(Node.js自进化系统)的价值:
 
 ${topCandidates.map((r, i) => `${i+1}. [${r.source}] ${r.title}: ${r.description?.substring(0, 80)}`).join('\n')}
@@ -1731,28 +1728,39 @@ ${topCandidates.map((r, i) => `${i+1}. [${r.source}] ${r.title}: ${r.description
 评估维度: 安全性(有无恶意代码/漏洞), 兼容性(Node.js可用), 实用价值(对AI进化有帮助)
 
 JSON数组回复: [{"index":1,"safety":0-1,"value":0-1,"recommendation":"integrate/skip/caution","reason":"15字内"}]`,
-                '资源评估专家: 客观评估每个资源的安全性和实用价值。只回复JSON。'
+                {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['index', 'safety', 'value', 'recommendation'],
+                        properties: {
+                            index: { type: 'integer', minimum: 1 },
+                            safety: { type: 'number', minimum: 0, maximum: 1 },
+                            value: { type: 'number', minimum: 0, maximum: 1 },
+                            recommendation: { type: 'string', enum: ['integrate', 'skip', 'caution'] },
+                            reason: { type: 'string' },
+                        },
+                    },
+                },
+                { system: '资源评估专家: 客观评估每个资源的安全性和实用价值。只回复JSON。' }
             );
 
             if (aiEval.success) {
-                try {
-                    const parsed = JSON.parse(aiEval.content.match(/\[[\s\S]*\]/)?.[0] || '[]');
-                    for (const ev of parsed) {
-                        if (ev.index && ev.index <= topCandidates.length) {
-                            const target = topCandidates[ev.index - 1];
-                            target.aiSafety = ev.safety;
-                            target.aiValue = ev.value;
-                            target.recommendation = ev.recommendation;
-                            target.aiReason = ev.reason;
-                            // 综合评分(加入AI判断)
-                            target.finalScore = (
-                                target.quickScore * 0.4 +
-                                (ev.safety || 0.5) * 0.3 +
-                                (ev.value || 0.5) * 0.3
-                            );
-                        }
+                for (const ev of aiEval.data) {
+                    if (ev.index <= topCandidates.length) {
+                        const target = topCandidates[ev.index - 1];
+                        target.aiSafety = ev.safety;
+                        target.aiValue = ev.value;
+                        target.recommendation = ev.recommendation;
+                        target.aiReason = ev.reason;
+                        // 综合评分(加入AI判断)
+                        target.finalScore = (
+                            target.quickScore * 0.4 +
+                            (ev.safety || 0.5) * 0.3 +
+                            (ev.value || 0.5) * 0.3
+                        );
                     }
-                } catch {}
+                }
             }
         }
 
@@ -2512,7 +2520,11 @@ if (require.main === module) {
 
         // ── 5. GlobalEvolutionEngine 集成 ──
         console.log('\n--- 5. GlobalEvolutionEngine v2.0 集成 ---');
-        const engine = new GlobalEvolutionEngine({ ask: async () => ({ success: false }) });
+        const engine = new GlobalEvolutionEngine({
+            ask: async () => ({ success: false }),
+            askJSON: async () => ({ success: false }),
+            crossValidate: async () => ({ count: 0, consensus: false, confidence: 0, answer: null, votes: [] }),
+        });
         check('引擎创建包含8大系统', !!(
             engine.alphaEvolve && engine.dualAgent && engine.formalVerifier &&
             engine.openEnded && engine.noveltySearcher && engine.directedEvolver &&
@@ -33,6 +33,9 @@ const http = require('http');
 const https = require('https');
 const { execSync, exec } = require('child_process');
 const { EventEmitter } = require('events');
+const { PromptBuilder } = require('./seed-ai-registry');
+const { AIClient } = require('./seed-ai-client');
+const { newTraceId } = require('./seed-ai-trace');
 
 const SEED_HOME = __dirname;
 const CORE_STATE_FILE = path.join(SEED_HOME, 'living-core-state.json');
@@ -46,6 +49,9 @@ const C = {
     dim: '\x1b[2m',
 };
 
+// AIClient日志级别 → 颜色
+const LEVEL_COLOR = { ok: C.green, warn: C.yellow, error: C.red, debug: C.dim };
+
 function log(tag, msg) {
     const t = new Date().toLocaleTimeString();
     const c = {
@@ -65,597 +71,45 @@ function log(tag, msg) {
 //  - 跟踪每个提供商的性能和可用性
 // ═══════════════════════════════════════════════════════════
 
-class AIFleet {
-    static _pollinationsLock = null; // IP共享限速锁
-
-    constructor() {
-        this.providers = new Map();
-        this.stats = new Map(); // provider → { calls, successes, avgLatency, lastUse, lastFail }
-        this._initProviders();
+class AIFleet extends AIClient {
+    constructor(options = {}) {
+        // 路由/失败切换/限流/熔断/缓存/统计由 AIClient 统一实现 (seed-ai-client.js)
+        super({
+            ...options,
+            log: (level, message) => log('AI', `${LEVEL_COLOR[level] || ''}${message}${C.reset}`),
+        });
+        this._vectorMemory = options.vectorMemory || null; // 近似重复查找用的embedding来源
     }
 
     _initProviders() {
-        // ═══ TIER 0: 零配置 — 无需任何Key，100%自动化 ═══
-
-        // 1. Ollama (本地GPU推理, 最快)
-        this.providers.set('ollama', {
-            name: 'Ollama', type: 'local', priority: 1, needsKey: false,
-            ask: (p, s) => this._askOllama(p, s),
-        });
-
-        // 2. Pollinations-GPT (免费, 无Key)
-        this.providers.set('pollinations', {
-            name: 'Pollinations-GPT', type: 'free', priority: 2, needsKey: false,
-            ask: (p, s) => this._askPollinations(p, s, 'openai'),
-        });
-
-        // 3. Pollinations-Mistral (免费, 无Key, 24B参数)
-        this.providers.set('pollinations-mistral', {
-            name: 'Pollinations-Mistral', type: 'free', priority: 6, needsKey: false,
-            ask: (p, s) => this._askPollinations(p, s, 'mistral'),
-        });
-
-        // ═══ TIER 1: 免费Key — 无需信用卡，自动获取 ═══
-
-        // 7. Groq (免费, 极速推理)
-        this.providers.set('groq', {
-            name: 'Groq', type: 'free_tier', priority: 3, needsKey: true,
-            ask: (p, s) => this._askGroq(p, s),
-        });
-
-        // 8. Google Gemini (免费15RPM)
-        this.providers.set('gemini', {
-            name: 'Gemini', type: 'free_tier', priority: 4, needsKey: true,
-            ask: (p, s) => this._askGemini(p, s),
-        });
-
-        // 9. OpenRouter (免费模型聚合)
-        this.providers.set('openrouter', {
-            name: 'OpenRouter', type: 'free_tier', priority: 5, needsKey: true,
-            ask: (p, s) => this._askOpenRouter(p, s),
-        });
-
-        // 10. Together AI ($25免费额度)
-        this.providers.set('together', {
-            name: 'Together', type: 'free_tier', priority: 6, needsKey: true,
-            ask: (p, s) => this._askTogether(p, s),
-        });
-
-        // 11. HuggingFace (免费推理API)
-        this.providers.set('huggingface', {
-            name: 'HuggingFace', type: 'free_tier', priority: 11, needsKey: true,
-            ask: (p, s) => this._askHuggingFace(p, s),
-        });
-
-        // 12. Cerebras (免费极速推理)
-        this.providers.set('cerebras', {
-            name: 'Cerebras', type: 'free_tier', priority: 12, needsKey: true,
-            ask: (p, s) => this._askCerebras(p, s),
-        });
-
-        // 13. Cohere (免费试用1000次/月)
-        this.providers.set('cohere', {
-            name: 'Cohere', type: 'free_tier', priority: 13, needsKey: true,
-            ask: (p, s) => this._askCohere(p, s),
-        });
-
-        // 14. DeepSeek (超高性价比, 中国产)
-        this.providers.set('deepseek', {
-            name: 'DeepSeek', type: 'paid', priority: 3, needsKey: true,
-            ask: (p, s) => this._askDeepSeek(p, s),
-        });
-
-        // 15. 通义千问 DashScope (阿里云, OpenAI兼容)
-        this.providers.set('dashscope', {
-            name: '通义千问', type: 'paid', priority: 4, needsKey: true,
-            ask: (p, s) => this._askDashScope(p, s),
-        });
-
-        // 16. GitHub Models (免费GPT-4o-mini, 150请求/天, GitHub token即可)
-        this.providers.set('github-models', {
-            name: 'GitHub Models', type: 'free-key', priority: 5, needsKey: true,
-            ask: (p, s) => this._askGitHubModels(p, s),
-        });
-
-        // 17. Mistral AI (免费Experiment层, 500K TPM, 无需信用卡)
-        this.providers.set('mistral', {
-            name: 'Mistral AI', type: 'free-key', priority: 5, needsKey: true,
-            ask: (p, s) => this._askMistral(p, s),
-        });
-
-        // 初始化统计
-        for (const key of this.providers.keys()) {
-            this.stats.set(key, { calls: 0, successes: 0, avgLatency: 0, lastUse: 0, lastFail: 0 });
-        }
-
-        // 加载API keys
-        this._loadKeys();
-
+        // 提供商定义来自 ai-providers.json (与CloudAIFleet共用)
+        // TIER 0: 零配置(Ollama/Pollinations) · TIER 1: 免费Key · TIER 2: 付费
+        super._initProviders();
         const noKey = [...this.providers.entries()].filter(([_, p]) => !p.needsKey).length;
         const hasKey = Object.keys(this._keys).length;
         log('AI', `AI舰队: ${this.providers.size}个提供商 (${noKey}免费 + ${hasKey}有Key)`);
     }
 
+    // Key来源: credentials.json · ai-keys.json · 环境变量 · .env · ~/.ai-keys
     _loadKeys() {
-        this._keys = {};
-
-        // 来源1: credentials.json
-        try {
-            const creds = JSON.parse(fs.readFileSync(path.join(SEED_HOME, 'credentials.json'), 'utf8'));
-            this._extractKeysFromObj(creds);
-        } catch {}
-
-        // 来源2: ai-keys.json (自动获取的key单独存储)
-        try {
-            const aiKeys = JSON.parse(fs.readFileSync(path.join(SEED_HOME, 'ai-keys.json'), 'utf8'));
-            this._extractKeysFromObj(aiKeys);
-        } catch {}
-
-        // 来源3: 环境变量
-        const envMap = {
-            GROQ_API_KEY: 'groq', GEMINI_API_KEY: 'gemini',
-            OPENROUTER_API_KEY: 'openrouter', TOGETHER_API_KEY: 'together',
-            TOGETHER_AI_API_KEY: 'together',
-            HF_TOKEN: 'huggingface', HUGGINGFACE_TOKEN: 'huggingface',
-            CEREBRAS_API_KEY: 'cerebras', COHERE_API_KEY: 'cohere',
-            DEEPSEEK_API_KEY: 'deepseek', DASHSCOPE_API_KEY: 'dashscope',
-            GITHUB_TOKEN: 'github-models', GITHUB_MODELS_TOKEN: 'github-models',
-            MISTRAL_API_KEY: 'mistral',
-        };
-        for (const [env, key] of Object.entries(envMap)) {
-            if (process.env[env]) this._keys[key] = process.env[env];
-        }
-
-        // 来源4: .env 文件
-        try {
-            const envFile = fs.readFileSync(path.join(SEED_HOME, '.env'), 'utf8');
-            for (const line of envFile.split('\n')) {
-                const match = line.match(/^([A-Z_]+)\s*=\s*(.+)/);
-                if (match) {
-                    const [, k, v] = match;
-                    if (envMap[k]) this._keys[envMap[k]] = v.trim().replace(/['"]/g, '');
-                }
-            }
-        } catch {}
-
-        // 来源5: 用户目录 ~/.ai-keys
-        try {
-            const homeKeys = JSON.parse(fs.readFileSync(
-                path.join(process.env.USERPROFILE || process.env.HOME || '', '.ai-keys'), 'utf8'));
-            this._extractKeysFromObj(homeKeys);
-        } catch {}
-
+        super._loadKeys();
         if (Object.keys(this._keys).length > 0) {
             log('AI', `已加载Key: ${Object.keys(this._keys).join(', ')}`);
         }
     }
 
-    _extractKeysFromObj(obj) {
-        if (!obj || typeof obj !== 'object') return;
-        for (const [k, v] of Object.entries(obj)) {
-            if (typeof v !== 'string' || !v.trim()) continue;
-            const val = v.trim();
-            // 按前缀自动识别
-            if (val.startsWith('gsk_')) this._keys.groq = val;
-            else if (val.startsWith('AIzaSy')) this._keys.gemini = val;
-            else if (val.startsWith('sk-or-')) this._keys.openrouter = val;
-            else if (val.startsWith('hf_')) this._keys.huggingface = val;
-            else if (val.startsWith('csk-')) this._keys.cerebras = val;
-            // 按key名识别
-            const kl = k.toLowerCase();
-            if (kl.includes('groq') && val.length > 10) this._keys.groq = this._keys.groq || val;
-            if (kl.includes('gemini') && val.length > 10) this._keys.gemini = this._keys.gemini || val;
-            if (kl.includes('openrouter') && val.length > 10) this._keys.openrouter = this._keys.openrouter || val;
-            if (kl.includes('together') && val.length > 10) this._keys.together = this._keys.together || val;
-            if (kl.includes('hugging') && val.length > 10) this._keys.huggingface = this._keys.huggingface || val;
-            if (kl.includes('cerebras') && val.length > 10) this._keys.cerebras = this._keys.cerebras || val;
-            if (kl.includes('cohere') && val.length > 10) this._keys.cohere = this._keys.cohere || val;
-            if (kl.includes('deepseek') && val.length > 10) this._keys.deepseek = this._keys.deepseek || val;
-            if ((kl.includes('dashscope') || kl.includes('tongyi') || kl.includes('qwen') || kl.includes('通义')) && val.length > 10) this._keys.dashscope = this._keys.dashscope || val;
-            if ((kl.includes('github') && (kl.includes('token') || kl.includes('model'))) && val.length > 10) this._keys['github-models'] = this._keys['github-models'] || val;
-            if (kl.includes('mistral') && val.length > 10) this._keys.mistral = this._keys.mistral || val;
-        }
-    }
-
-    // 智能路由: 选最佳可用提供商
-    async ask(prompt, systemPrompt = '', options = {}) {
-        const maxRetries = options.retries || 3;
-        const timeout = options.timeout || 30000;
-        const sorted = this._rankProviders();
-
-        for (let i = 0; i < Math.min(maxRetries, sorted.length); i++) {
-            const [key, provider] = sorted[i];
-            const stat = this.stats.get(key);
-
-            // 跳过最近失败的 (冷却30秒)
-            if (stat.lastFail && Date.now() - stat.lastFail < 30000) continue;
-
-            try {
-                const start = Date.now();
-                stat.calls++;
-                stat.lastUse = start;
-
-                const result = await Promise.race([
-                    provider.ask(prompt.substring(0, 4000), systemPrompt),
-                    new Promise((_, rej) => setTimeout(() => rej(new Error('timeout')), timeout)),
-                ]);
-
-                if (result && result.trim()) {
-                    const latency = Date.now() - start;
-                    stat.successes++;
-                    stat.avgLatency = stat.avgLatency ? (stat.avgLatency * 0.8 + latency * 0.2) : latency;
-                    return { success: true, content: result.trim(), provider: key, latency };
-                }
-            } catch (e) {
-                stat.lastFail = Date.now();
-            }
-        }
-        return { success: false, content: '', provider: 'none', error: 'all_providers_failed' };
-    }
-
-    // AI×AI交叉验证: 用多个AI验证答案
-    async crossValidate(prompt, systemPrompt = '') {
-        const sorted = this._rankProviders();
-        const responses = [];
-
-        for (const [key, provider] of sorted.slice(0, 3)) {
-            try {
-                const result = await Promise.race([
-                    provider.ask(prompt.substring(0, 3000), systemPrompt),
-                    new Promise((_, rej) => setTimeout(() => rej(new Error('timeout')), 20000)),
-                ]);
-                if (result && result.trim()) {
-                    responses.push({ provider: key, content: result.trim() });
-                }
-            } catch {}
-        }
-
-        return { responses, count: responses.length, consensus: responses.length >= 2 };
-    }
-
-    _rankProviders() {
-        return [...this.providers.entries()].sort((a, b) => {
-            const sa = this.stats.get(a[0]);
-            const sb = this.stats.get(b[0]);
-            // 按成功率×优先级排序
-            const scoreA = (sa.calls > 0 ? sa.successes / sa.calls : 0.5) * (1 / a[1].priority);
-            const scoreB = (sb.calls > 0 ? sb.successes / sb.calls : 0.5) * (1 / b[1].priority);
-            return scoreB - scoreA;
-        });
-    }
-
-    // --- Ollama ---
-    async _askOllama(prompt, sys) {
-        const body = JSON.stringify({
-            model: 'qwen2.5:7b',
-            messages: [
-                ...(sys ? [{ role: 'system', content: sys }] : []),
-                { role: 'user', content: prompt },
-            ],
-            stream: false,
-            options: { temperature: 0.3, num_predict: 500 },
-        });
-        const resp = await this._httpPost('http://127.0.0.1:11434/api/chat', body);
-        const data = JSON.parse(resp);
-        return data?.message?.content || '';
-    }
-
-    // --- Pollinations (多模型免费, 共享IP限速max 1 queued) ---
-    async _askPollinations(prompt, sys, model = 'openai') {
-        // 等待上次Pollinations请求完成(共享IP限速)
-        if (AIFleet._pollinationsLock) {
-            await AIFleet._pollinationsLock;
-        }
-        let unlock;
-        AIFleet._pollinationsLock = new Promise(r => { unlock = r; });
-
-        try {
-            const body = JSON.stringify({
-                model,
-                messages: [
-                    ...(sys ? [{ role: 'system', content: sys }] : []),
-                    { role: 'user', content: prompt },
-                ],
-                stream: false,
-            });
-            // text.pollinations.ai/openai 端点支持 model 字段路由(已验证)
-            const resp = await this._httpsPost('https://text.pollinations.ai/openai', body);
-
-            // 检查错误响应
-            if (resp.includes('"error"') && resp.includes('Queue full')) {
-                throw new Error('rate_limited');
-            }
-
+    // 近似重复查找的embedding: 借用VectorMemory.embed (无Ollama/OpenAI时为字面哈希向量, 只匹配措辞相近的提示词)
+    async _embed(text) {
+        if (!this._vectorMemory) {
             try {
-                const data = JSON.parse(resp);
-                if (data?.error) throw new Error(data.error);
-                return data?.choices?.[0]?.message?.content || '';
-            } catch (parseErr) {
-                // 非JSON响应 → 可能是纯文本
-                if (resp && resp.length > 2 && !resp.includes('"error"')) return resp.trim();
-                throw parseErr;
+                const { VectorMemory } = require('./seed-vector-brain');
+                // 独立存储路径: 只用embed(), 不碰主向量记忆
+                this._vectorMemory = new VectorMemory({ dbPath: path.join(SEED_HOME, 'ai-cache-vectors.json') });
+            } catch {
+                return null;
             }
-        } finally {
-            unlock();
-            AIFleet._pollinationsLock = null;
         }
-    }
-
-    // --- Groq ---
-    async _askGroq(prompt, sys) {
-        if (!this._keys.groq) throw new Error('no_key');
-        const body = JSON.stringify({
-            model: 'llama-3.1-8b-instant',
-            messages: [
-                ...(sys ? [{ role: 'system', content: sys }] : []),
-                { role: 'user', content: prompt },
-            ],
-            max_tokens: 500, temperature: 0.3,
-        });
-        const resp = await this._httpsPost('https://api.groq.com/openai/v1/chat/completions', body, {
-            'Authorization': `Bearer ${this._keys.groq}`,
-        });
-        const data = JSON.parse(resp);
-        return data?.choices?.[0]?.message?.content || '';
-    }
-
-    // --- Gemini ---
-    async _askGemini(prompt, sys) {
-        if (!this._keys.gemini) throw new Error('no_key');
-        const fullPrompt = (sys ? sys + '\n\n' : '') + prompt;
-        const body = JSON.stringify({
-            contents: [{ parts: [{ text: fullPrompt }] }],
-            generationConfig: { maxOutputTokens: 500 },
-        });
-        const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-lite:generateContent?key=${this._keys.gemini}`;
-        const resp = await this._httpsPost(url, body);
-        const data = JSON.parse(resp);
-        if (data?.error) throw new Error(data.error.message || 'gemini_error');
-        return data?.candidates?.[0]?.content?.parts?.[0]?.text || '';
-    }
-
-    // --- OpenRouter (免费模型聚合) ---
-    async _askOpenRouter(prompt, sys) {
-        if (!this._keys.openrouter) throw new Error('no_key');
-        const body = JSON.stringify({
-            model: 'meta-llama/llama-3.1-8b-instruct:free',
-            messages: [
-                ...(sys ? [{ role: 'system', content: sys }] : []),
-                { role: 'user', content: prompt },
-            ],
-            max_tokens: 500,
-        });
-        const resp = await this._httpsPost('https://openrouter.ai/api/v1/chat/completions', body, {
-            'Authorization': `Bearer ${this._keys.openrouter}`,
-            'X-Title': 'KaiLi-SeedAI',
-        });
-        const data = JSON.parse(resp);
-        return data?.choices?.[0]?.message?.content || '';
-    }
-
-    // --- Together AI ($25免费额度, Llama免费端点) ---
-    async _askTogether(prompt, sys) {
-        if (!this._keys.together) throw new Error('no_key');
-        const body = JSON.stringify({
-            model: 'meta-llama/Llama-3.3-70B-Instruct-Turbo-Free',
-            messages: [
-                ...(sys ? [{ role: 'system', content: sys }] : []),
-                { role: 'user', content: prompt },
-            ],
-            max_tokens: 500, temperature: 0.3,
-        });
-        const resp = await this._httpsPost('https://api.together.xyz/v1/chat/completions', body, {
-            'Authorization': `Bearer ${this._keys.together}`,
-        });
-        const data = JSON.parse(resp);
-        return data?.choices?.[0]?.message?.content || '';
-    }
-
-    // --- HuggingFace (免费推理API) ---
-    async _askHuggingFace(prompt, sys) {
-        if (!this._keys.huggingface) throw new Error('no_key');
-        const fullPrompt = (sys ? `[INST] ${sys} [/INST]\n` : '') + prompt;
-        const body = JSON.stringify({
-            inputs: fullPrompt,
-            parameters: { max_new_tokens: 500, temperature: 0.3 },
-        });
-        const resp = await this._httpsPost(
-            'https://api-inference.huggingface.co/models/meta-llama/Llama-3.2-3B-Instruct', body, {
-            'Authorization': `Bearer ${this._keys.huggingface}`,
-        });
-        const data = JSON.parse(resp);
-        if (Array.isArray(data)) return data[0]?.generated_text || '';
-        return data?.generated_text || data?.[0]?.generated_text || '';
-    }
-
-    // --- Cerebras (免费极速推理) ---
-    async _askCerebras(prompt, sys) {
-        if (!this._keys.cerebras) throw new Error('no_key');
-        const body = JSON.stringify({
-            model: 'llama-3.3-70b',
-            messages: [
-                ...(sys ? [{ role: 'system', content: sys }] : []),
-                { role: 'user', content: prompt },
-            ],
-            max_tokens: 500, temperature: 0.3,
-        });
-        const resp = await this._httpsPost('https://api.cerebras.ai/v1/chat/completions', body, {
-            'Authorization': `Bearer ${this._keys.cerebras}`,
-        });
-        const data = JSON.parse(resp);
-        return data?.choices?.[0]?.message?.content || '';
-    }
-
-    // --- Cohere (免费试用1000次/月) ---
-    async _askCohere(prompt, sys) {
-        if (!this._keys.cohere) throw new Error('no_key');
-        const body = JSON.stringify({
-            message: (sys ? sys + '\n\n' : '') + prompt,
-            model: 'command-r',
-            max_tokens: 500, temperature: 0.3,
-        });
-        const resp = await this._httpsPost('https://api.cohere.ai/v1/chat', body, {
-            'Authorization': `Bearer ${this._keys.cohere}`,
-        });
-        const data = JSON.parse(resp);
-        return data?.text || '';
-    }
-
-    // --- DeepSeek (OpenAI兼容, 超高性价比) ---
-    async _askDeepSeek(prompt, sys) {
-        if (!this._keys.deepseek) throw new Error('no_key');
-        const body = JSON.stringify({
-            model: 'deepseek-chat',
-            messages: [
-                ...(sys ? [{ role: 'system', content: sys }] : []),
-                { role: 'user', content: prompt },
-            ],
-            max_tokens: 500, temperature: 0.3,
-        });
-        const resp = await this._httpsPost('https://api.deepseek.com/chat/completions', body, {
-            'Authorization': `Bearer ${this._keys.deepseek}`,
-        });
-        const data = JSON.parse(resp);
-        return data?.choices?.[0]?.message?.content || '';
-    }
-
-    // --- 通义千问 DashScope (阿里云, OpenAI兼容模式) ---
-    async _askDashScope(prompt, sys) {
-        if (!this._keys.dashscope) throw new Error('no_key');
-        const body = JSON.stringify({
-            model: 'qwen-turbo',
-            messages: [
-                ...(sys ? [{ role: 'system', content: sys }] : []),
-                { role: 'user', content: prompt },
-            ],
-            max_tokens: 500, temperature: 0.3,
-        });
-        const resp = await this._httpsPost('https://dashscope.aliyuncs.com/compatible-mode/v1/chat/completions', body, {
-            'Authorization': `Bearer ${this._keys.dashscope}`,
-        });
-        const data = JSON.parse(resp);
-        return data?.choices?.[0]?.message?.content || '';
-    }
-
-    // 16. GitHub Models (免费GPT-4o-mini, OpenAI兼容格式, GitHub token即可)
-    async _askGitHubModels(prompt, sys) {
-        if (!this._keys['github-models']) throw new Error('no_key');
-        const body = JSON.stringify({
-            model: 'gpt-4o-mini',
-            messages: [
-                ...(sys ? [{ role: 'system', content: sys }] : []),
-                { role: 'user', content: prompt },
-            ],
-            max_tokens: 500, temperature: 0.3,
-        });
-        const resp = await this._httpsPost('https://models.inference.ai.azure.com/chat/completions', body, {
-            'Authorization': `Bearer ${this._keys['github-models']}`,
-        });
-        const data = JSON.parse(resp);
-        return data?.choices?.[0]?.message?.content || '';
-    }
-
-    // 17. Mistral AI (免费Experiment层, 500K TPM, OpenAI兼容)
-    async _askMistral(prompt, sys) {
-        if (!this._keys.mistral) throw new Error('no_key');
-        const body = JSON.stringify({
-            model: 'mistral-small-latest',
-            messages: [
-                ...(sys ? [{ role: 'system', content: sys }] : []),
-                { role: 'user', content: prompt },
-            ],
-            max_tokens: 500, temperature: 0.3,
-        });
-        const resp = await this._httpsPost('https://api.mistral.ai/v1/chat/completions', body, {
-            'Authorization': `Bearer ${this._keys.mistral}`,
-        });
-        const data = JSON.parse(resp);
-        return data?.choices?.[0]?.message?.content || '';
-    }
-
-    // HTTP helpers
-    _httpPost(url, body) {
-        return new Promise((resolve, reject) => {
-            const u = new URL(url);
-            const req = http.request({
-                hostname: u.hostname, port: u.port, path: u.pathname,
-                method: 'POST', headers: { 'Content-Type': 'application/json' },
-                timeout: 30000,
-            }, res => {
-                let data = '';
-                res.on('data', c => data += c);
-                res.on('end', () => resolve(data));
-            });
-            req.on('error', reject);
-            req.on('timeout', () => { req.destroy(); reject(new Error('timeout')); });
-            req.write(body);
-            req.end();
-        });
-    }
-
-    _httpsPost(url, body, extraHeaders = {}) {
-        return new Promise((resolve, reject) => {
-            const u = new URL(url);
-            const req = https.request({
-                hostname: u.hostname, path: u.pathname + u.search,
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json', ...extraHeaders },
-                timeout: 30000,
-            }, res => {
-                let data = '';
-                res.on('data', c => data += c);
-                res.on('end', () => resolve(data));
-            });
-            req.on('error', reject);
-            req.on('timeout', () => { req.destroy(); reject(new Error('timeout')); });
-            req.write(body);
-            req.end();
-        });
-    }
-
-    getStatus() {
-        const status = {};
-        for (const [key, stat] of this.stats) {
-            const provider = this.providers.get(key);
-            const rate = stat.calls > 0 ? (stat.successes / stat.calls * 100).toFixed(0) + '%' : 'N/A';
-            const available = !provider.needsKey || !!this._keys[key.replace('pollinations-', '')];
-            status[key] = { calls: stat.calls, rate, latency: Math.round(stat.avgLatency), available, type: provider.type };
-        }
-        return status;
-    }
-
-    // 健康检查: 测试所有可用提供商
-    async healthCheck() {
-        log('AI', '═══ AI舰队健康检查 ═══');
-        const results = {};
-        const testPrompt = '回复"OK"两个字母';
-
-        for (const [key, provider] of this.providers) {
-            if (provider.needsKey && !this._keys[key]) {
-                results[key] = { status: 'no_key', latency: 0 };
-                continue;
-            }
-            try {
-                const start = Date.now();
-                const resp = await Promise.race([
-                    provider.ask(testPrompt, ''),
-                    new Promise((_, rej) => setTimeout(() => rej(new Error('timeout')), 15000)),
-                ]);
-                const latency = Date.now() - start;
-                const ok = resp && resp.trim().length > 0;
-                results[key] = { status: ok ? 'ok' : 'empty', latency };
-                if (ok) log('AI', `  ${C.green}✓ ${key}: ${latency}ms${C.reset}`);
-                else log('AI', `  ${C.yellow}~ ${key}: 空响应${C.reset}`);
-            } catch (e) {
-                results[key] = { status: 'error', error: e.message, latency: 0 };
-                log('AI', `  ${C.red}✗ ${key}: ${e.message}${C.reset}`);
-            }
-        }
-
-        const ok = Object.values(results).filter(r => r.status === 'ok').length;
-        const noKey = Object.values(results).filter(r => r.status === 'no_key').length;
-        log('AI', `健康检查完成: ${ok}可用 / ${noKey}缺Key / ${this.providers.size}总计`);
-        return results;
+        return this._vectorMemory.embed(text);
     }
 
     // 保存自动获取的Key
@@ -675,8 +129,7 @@ class AIFleet {
 
     // 获取缺少的Key列表
     getMissingKeys() {
-        const needed = ['groq', 'gemini', 'openrouter', 'together', 'huggingface', 'cerebras', 'cohere', 'deepseek', 'dashscope', 'github-models', 'mistral'];
-        return needed.filter(k => !this._keys[k]);
+        return this.registry.keyedProviders().filter(k => !this._keys[k]);
     }
 }
 
@@ -1263,6 +716,22 @@ class AIProvisioner {
 // ═══════════════════════════════════════════════════════════
 
 class CodeEvolver {
+    // 代码段token上限: 超出的文件截掉中段, 不把整个大文件发给大上下文提供商
+    static MAX_CODE_TOKENS = 6000;
+
+    static SUGGESTION_SCHEMA = {
+        type: 'object',
+        required: ['hasBug', 'confidence'],
+        properties: {
+            hasBug: { type: 'boolean' },
+            description: { type: 'string' },
+            search: { type: 'string' },
+            replace: { type: 'string' },
+            confidence: { type: 'number', minimum: 0, maximum: 1 },
+            type: { type: 'string', enum: ['bug_fix', 'performance', 'safety'] },
+        },
+    };
+
     constructor(aiFleet) {
         this.ai = aiFleet;
         this.history = this._loadHistory();
@@ -1280,21 +749,12 @@ class CodeEvolver {
             code = fs.readFileSync(filePath, 'utf8');
         } catch { return { improved: false, reason: 'read_failed' }; }
 
-        // 代码太大则取核心部分
-        const codeSnippet = code.length > 6000 ? code.substring(0, 3000) + '\n...[中间省略]...\n' + code.substring(code.length - 2000) : code;
-
-        // 让AI分析
-        const analysis = await this.ai.ask(
-            `分析这段Node.js代码，找出最值得改进的1个问题（不要改变功能，只修复bug或优化性能）。
-
-文件: ${fileName}
-代码长度: ${code.length}字符, ${code.split('\n').length}行
-
-\`\`\`javascript
-${codeSnippet}
-\`\`\`
-
-请严格用以下JSON格式回复（不要其他内容）:
+        // 按提供商上下文打包: 放不下时先丢文件信息, 再截掉代码中段 (保留首尾); 代码段另有固定上限
+        const prompt = new PromptBuilder()
+            .add('task', '分析这段Node.js代码，找出最值得改进的1个问题（不要改变功能，只修复bug或优化性能）。', { required: true })
+            .add('file', `文件: ${fileName}\n代码长度: ${code.length}字符, ${code.split('\n').length}行`, { priority: 3 })
+            .add('code', `\`\`\`javascript\n${code}\n\`\`\``, { required: true, priority: 8, truncate: 'middle', maxTokens: CodeEvolver.MAX_CODE_TOKENS })
+            .add('format', `请严格用以下JSON格式回复（不要其他内容）:
 {
   "hasBug": true/false,
   "description": "问题描述",
@@ -1302,19 +762,22 @@ ${codeSnippet}
   "replace": "替换后的代码片段",
   "confidence": 0.0-1.0,
   "type": "bug_fix/performance/safety"
-}`,
-            '你是代码审查专家。只回复JSON，不要解释。只找确定的bug，不要做不确定的改动。confidence < 0.7时设hasBug为false。'
+}`, { required: true });
+
+        // 让AI分析 (correlationId串起本次进化的所有AI调用, 见 ai-traces.jsonl / GET /traces)
+        const correlationId = newTraceId('evo');
+        const analysis = await this.ai.askJSON(
+            prompt,
+            CodeEvolver.SUGGESTION_SCHEMA,
+            { system: '你是代码审查专家。只回复JSON，不要解释。只找确定的bug，不要做不确定的改动。confidence < 0.7时设hasBug为false。', task: 'code', correlationId }
         );
+        // 产生补丁的那次调用 (最后一次通过校验的尝试)
+        const trace = analysis.traces?.[analysis.traces.length - 1] || null;
 
-        if (!analysis.success) return { improved: false, reason: 'ai_unavailable' };
-
-        // 解析AI建议
-        let suggestion;
-        try {
-            const jsonMatch = analysis.content.match(/\{[\s\S]*\}/);
-            if (!jsonMatch) return { improved: false, reason: 'no_json' };
-            suggestion = JSON.parse(jsonMatch[0]);
-        } catch { return { improved: false, reason: 'parse_failed' }; }
+        if (!analysis.success) {
+            return { improved: false, reason: analysis.error === 'invalid_json' ? 'parse_failed' : 'ai_unavailable' };
+        }
+        const suggestion = analysis.data;
 
         if (!suggestion.hasBug || suggestion.confidence < 0.7) {
             return { improved: false, reason: 'no_confident_issue' };
@@ -1371,10 +834,12 @@ ${codeSnippet}
                 description: suggestion.description,
                 confidence: suggestion.confidence,
                 provider: analysis.provider,
+                correlationId, trace,
                 timestamp: Date.now(),
                 success: true,
             });
             this._saveHistory();
+            this.ai.traces?.annotate(trace, { evolution: 'applied', file: fileName });
 
             return { improved: true, file: fileName, type: suggestion.type, description: suggestion.description };
         } catch (e) {
@@ -1383,9 +848,11 @@ ${codeSnippet}
             fs.writeFileSync(filePath, backup);
             this.history.push({
                 file: fileName, description: suggestion.description,
+                provider: analysis.provider, correlationId, trace,
                 timestamp: Date.now(), success: false, error: e.message,
             });
             this._saveHistory();
+            this.ai.traces?.annotate(trace, { evolution: 'rolled_back', file: fileName, error: e.message });
             return { improved: false, reason: 'compile_failed', error: e.message };
         }
     }
@@ -1572,17 +1039,27 @@ class SmartLearner {
             `- [${r.source}] ${r.title}: ${r.content}`
         ).join('\n');
 
-        const aiResult = await this.ai.ask(
+        const aiResult = await this.ai.askJSON(
             `从以下搜索结果中提取5-10条最有价值的技术知识点，每条知识要简洁精确。
 
 ${summary}
 
 用JSON数组格式回复:
 [{"key": "唯一标识(英文小写)", "knowledge": "知识描述(中文,50字以内)", "category": "类别"}]`,
-            '你是技术知识提取专家。只回复JSON数组，不要其他内容。'
+            {
+                type: 'array', minItems: 1,
+                items: {
+                    type: 'object', required: ['key', 'knowledge'],
+                    properties: { key: { type: 'string' }, knowledge: { type: 'string' }, category: { type: 'string' } },
+                },
+            },
+            // 相近的搜索结果集6小时内复用提取结果
+            { system: '你是技术知识提取专家。只回复JSON，不要其他内容。', priority: 'low', task: 'summarize', cache: { ttl: 6 * 3600000, semantic: true } }
         );
 
-        if (!aiResult.success) {
+        if (aiResult.success) return aiResult.data;
+
+        if (aiResult.error !== 'invalid_json') {
             // AI不可用，直接用原始数据
             return unique.slice(0, 8).map(r => ({
                 key: r.id,
@@ -1591,11 +1068,6 @@ ${summary}
             }));
         }
 
-        try {
-            const jsonMatch = aiResult.content.match(/\[[\s\S]*\]/);
-            if (jsonMatch) return JSON.parse(jsonMatch[0]);
-        } catch {}
-
         // 解析失败，用原始数据
         return unique.slice(0, 5).map(r => ({
             key: r.id,
@@ -2398,7 +1870,7 @@ ${C.magenta}${C.bold}╔══════════════════
         // 2. 初始化大脑
         try {
             const { NeuroBrain } = require('./seed-neuro-brain');
-            this.brain = new NeuroBrain();
+            this.brain = new NeuroBrain({ aiClient: this.aiFleet });
             await this.brain.init();
             log('BRAIN', '大脑初始化成功 (6脑区 + 4层记忆)');
         } catch (e) {
@@ -2455,6 +1927,7 @@ ${C.magenta}${C.bold}╔══════════════════
         const health = await this.aiFleet.healthCheck();
         const okCount = Object.values(health).filter(h => h.status === 'ok').length;
         log('AI', `${C.green}${C.bold}AI舰队就绪: ${okCount}/${this.aiFleet.providers.size}个提供商可用${C.reset}`);
+        this.aiFleet.startProbes();
 
         log('CORE', `${C.green}${C.bold}活体核心初始化完成${C.reset}`);
         return true;
@@ -2795,7 +2268,7 @@ ${C.cyan}║${C.reset} 情感: 紧迫${(emo.urgency || 0).toFixed(2)} 好奇${(e
 ${C.cyan}║${C.reset} 手: ${this._stats.handsActions}次操作
 ${C.cyan}║${C.reset} 进化: ${evolveStats.total}次 (成功率${evolveStats.successRate}, 24h:${evolveStats.recent24h})
 ${C.cyan}║${C.reset} 学习: 搜索${learnStats.searched}条, 新增${learnStats.integrated}条知识
-${C.cyan}║${C.reset} AI舰队: ${Object.entries(aiStatus).filter(([_, v]) => v.available).map(([k, v]) => `${k}(${v.rate})`).join(' · ')}${this.globalEvolution ? `
+${C.cyan}║${C.reset} AI舰队: ${Object.entries(aiStatus).filter(([_, v]) => v.available).map(([k, v]) => `${k}(${v.rate})`).join(' · ')} | 缓存命中${this.aiFleet.cache.summary().hitRate}${(() => { const open = Object.entries(aiStatus).filter(([_, v]) => v.circuit.state !== 'closed').map(([k]) => k); return open.length > 0 ? ` | 熔断: ${open.join(',')}` : ''; })()}${this.globalEvolution ? `
 ${C.cyan}║${C.reset} 全球进化: ${(() => { const gs = this.globalEvolution.getStatus(); return `α${gs.stats.alphaEvolveSuccess} A0:${gs.dualAgent.approvalRate} DGM:${gs.formalVerifier.passRate} POET:${gs.openEnded.solved}解`; })()}` : ''}
 ${C.cyan}║${C.reset} 云资源: ${this.cloudResources.getStats().activeNodes}活跃/${this.cloudResources.getStats().totalPlatforms}总 | 成本: ¥0
 ${C.cyan}╚═══════════════════════════════════════════════════╝${C.reset}`);
@@ -2806,6 +2279,7 @@ ${C.cyan}╚══════════════════════
         this._running = false;
         for (const t of this._timers) clearInterval(t);
         this._timers = [];
+        this.aiFleet.stopProbes();
         if (this.eyes) this.eyes.stopWatching?.();
         if (this.brain) this.brain.stop();
         this._saveState();
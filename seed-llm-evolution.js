@@ -15,6 +15,7 @@ const fs = require('fs');
 const path = require('path');
 const http = require('http');
 const https = require('https');
+const { getClient } = require('./seed-ai-client');
 
 const SEED_PATH = __dirname;
 const EVOLUTION_LOG = path.join(SEED_PATH, 'llm-evolution-log.json');
@@ -49,9 +50,11 @@ function log(type, message) {
 }
 
 class LLMEvolutionEngine {
-  constructor() {
-    this.ollamaHost = 'http://127.0.0.1:11434';
-    this.model = 'qwen2.5:7b';
+  /**
+   * @param {Object} [options] - client: 注入的AIClient (如LivingCore的AI舰队), 默认进程内单例
+   */
+  constructor(options = {}) {
+    this.client = options.client || getClient();
     this.evolutionLog = this.loadEvolutionLog();
     this.evolutionQueue = this.loadQueue();
     this.claudeInstructions = this.loadClaudeInstructions();
@@ -147,32 +150,16 @@ class LLMEvolutionEngine {
   }
 
   /**
-   * 调用LLM
+   * 调用LLM (统一AI客户端: 与AI舰队共用失败切换/统计/缓存)
    */
   async askLLM(prompt, systemPrompt = '') {
-    try {
-      const response = await this.httpRequest(`${this.ollamaHost}/api/chat`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        timeout: 180000,
-        body: {
-          model: this.model,
-          messages: [
-            { role: 'system', content: systemPrompt || '你是活体种子AI的进化引擎核心。你的任务是分析代码、提出改进、生成新功能。' },
-            { role: 'user', content: prompt }
-          ],
-          stream: false,
-          options: { temperature: 0.7, num_predict: 2000 }
-        },
-      });
-
-      if (response.status === 200 && response.data.message) {
-        return { success: true, content: response.data.message.content };
-      }
-      return { success: false, error: 'No response' };
-    } catch (e) {
-      return { success: false, error: e.message };
-    }
+    const result = await this.client.request(
+      prompt,
+      systemPrompt || '你是活体种子AI的进化引擎核心。你的任务是分析代码、提出改进、生成新功能。',
+      { task: 'code', priority: 'low', maxTokens: 2000, temperature: 0.7, timeout: 180000 }
+    );
+    if (result.success) return { success: true, content: result.content, provider: result.provider };
+    return { success: false, error: result.error || 'No response' };
   }
 
   /**
@@ -35,17 +35,19 @@
  *   - seed-global-eyes.js (RealTimeEyes) — 全局实时视觉
  *   - seed-ai-agent.js (BrowserAgent) — 浏览器操控
  *   - seed-computer-agent.js — 桌面操控
- *   - Ollama 本地LLM — 高级推理
+ *   - seed-ai-client.js (AIClient) — 高级推理, 与AI舰队共用提供商 (Ollama/云端)
  */
 
 const fs = require('fs');
 const path = require('path');
-const http = require('http');
-const https = require('https');
 const { EventEmitter } = require('events');
+const { PromptBuilder } = require('./seed-ai-registry');
+const { getClient } = require('./seed-ai-client');
+const { RealQLearner, toPlanningAction } = require('./seed-rl-core');
 
 const BRAIN_STATE_FILE = path.join(__dirname, 'neuro-brain-state.json');
 const MEMORY_FILE = path.join(__dirname, 'neuro-memories.json');
+const MEMORY_VECTOR_DIR = path.join(__dirname, 'neuro-memories-vectors'); // 海马体长期记忆的向量索引
 
 // ═══════════════════════════════════════════════
 //  神经元 & 突触 — 最基础的计算单元
@@ -461,10 +463,27 @@ class SensoryCortex extends BrainRegion {
 // ═══════════════════════════════════════════════
 //  海马体 (Hippocampus) — 记忆形成与检索
 //  四层记忆系统的核心
+//  长期记忆整合时写入VectorMemory的hippocampus集合, 检索按语义相似度 + 时近/重要性排序;
+//  向量不可用或还没索引到的记忆仍按字面包含匹配
 // ═══════════════════════════════════════════════
 
+const RECALL_MIN_SIMILARITY = 0.5;
+
+// 记忆内容 → 向量化用的文本: 取可读的字符串字段, 没有则整体序列化
+function memoryText(content) {
+    if (typeof content === 'string') return content;
+    if (!content) return '';
+    const readable = Array.isArray(content)
+        ? content.map(memoryText)
+        : Object.values(content).filter(v => typeof v === 'string');
+    return (readable.join(' ').trim() || JSON.stringify(content)).substring(0, 2000);
+}
+
 class Hippocampus extends BrainRegion {
-    constructor() {
+    /**
+     * @param {Object} [options] - vectorMemory: 共用的VectorMemory实例 (默认在 neuro-memories-vectors/ 单独建一个)
+     */
+    constructor(options = {}) {
         super('hippocampus', 64);
 
         // ── 四层记忆系统 ──
@@ -477,6 +496,11 @@ class Hippocampus extends BrainRegion {
         this.EM_MAX = 2000;       // 情景记忆最大条数
         this.consolidationQueue = []; // 待整合的短期记忆
 
+        // ── 语义检索 ──
+        this._vectorMemory = options.vectorMemory || null;
+        this._vectors = undefined;  // hippocampus向量集合 (首次使用时创建, 不可用时为null)
+        this._indexing = null;      // 进行中的索引任务
+
         this._loadFromDisk();
     }
 
@@ -490,7 +514,7 @@ class Hippocampus extends BrainRegion {
 
         // 来自前额叶的检索请求
         if (data?.action === 'recall') {
-            return this._recall(data.query, data.type);
+            return await this._recall(data.query, data.type);
         }
 
         // 来自前额叶的存储请求
@@ -567,10 +591,11 @@ class Hippocampus extends BrainRegion {
                     weakest = i;
                 }
             }
-            this.episodicMemory.splice(weakest, 1);
+            this._forgetVectors(this.episodicMemory.splice(weakest, 1));
         }
 
         this._saveToDisk();
+        this._indexPending();
     }
 
     // ── 语义记忆提取 ──
@@ -630,9 +655,11 @@ class Hippocampus extends BrainRegion {
             existing.totalCount += 1;
             existing.successRate = existing.successCount / existing.totalCount;
             existing.lastUsed = Date.now();
-            // 更新步骤（如果新的更短/更成功）
+            // 更新步骤（如果新的更短/更成功）, 向量按新步骤重建
             if (seq.success && seq.steps.length < existing.steps.length) {
                 existing.steps = seq.steps;
+                this._forgetVectors([existing]);
+                delete existing.vectorId;
             }
         } else {
             this.proceduralMemory.set(key, {
@@ -648,9 +675,13 @@ class Hippocampus extends BrainRegion {
     }
 
     // ── 记忆检索 ──
-    _recall(query, memType = 'all') {
+    // 匹配度: 字面包含为1, 否则取向量相似度 (低于RECALL_MIN_SIMILARITY不算命中), 再与时近/重要性/置信度加权
+    async _recall(query, memType = 'all') {
         const results = [];
-        const queryLower = (typeof query === 'string' ? query : JSON.stringify(query)).toLowerCase();
+        const queryText = typeof query === 'string' ? query : JSON.stringify(query);
+        const queryLower = queryText.toLowerCase();
+        const similar = await this._semanticMatches(queryText, memType);
+        const match = (ref, text) => (text.includes(queryLower) ? 1 : similar.get(ref) || 0);
 
         // 1. 工作记忆 (最快)
         if (memType === 'all' || memType === 'working') {
@@ -667,14 +698,14 @@ class Hippocampus extends BrainRegion {
         if (memType === 'all' || memType === 'episodic') {
             const scored = [];
             for (const mem of this.episodicMemory) {
-                const content = JSON.stringify(mem.content).toLowerCase();
-                if (content.includes(queryLower)) {
+                const similarity = match(`episodic:${mem.id}`, JSON.stringify(mem.content).toLowerCase());
+                if (similarity > 0) {
                     mem.accessCount++;
                     const recency = 1 - Math.min(1, (Date.now() - mem.timestamp) / (86400000 * 7));
                     scored.push({
                         source: 'episodic',
                         memory: mem,
-                        relevance: 0.5 + recency * 0.3 + mem.importance * 0.2,
+                        relevance: similarity * 0.5 + recency * 0.3 + mem.importance * 0.2,
                     });
                 }
             }
@@ -685,9 +716,9 @@ class Hippocampus extends BrainRegion {
         // 3. 语义记忆 (事实查找)
         if (memType === 'all' || memType === 'semantic') {
             for (const [key, fact] of this.semanticMemory) {
-                if (key.toLowerCase().includes(queryLower) ||
-                    JSON.stringify(fact).toLowerCase().includes(queryLower)) {
-                    results.push({ source: 'semantic', key, fact, relevance: fact.confidence || 0.5 });
+                const similarity = match(`semantic:${key}`, `${key} ${JSON.stringify(fact)}`.toLowerCase());
+                if (similarity > 0) {
+                    results.push({ source: 'semantic', key, fact, relevance: (fact.confidence || 0.5) * similarity });
                 }
             }
         }
@@ -695,13 +726,14 @@ class Hippocampus extends BrainRegion {
         // 4. 程序记忆 (技能检索)
         if (memType === 'all' || memType === 'procedural') {
             for (const [key, proc] of this.proceduralMemory) {
-                if (key.toLowerCase().includes(queryLower)) {
+                const similarity = match(`procedural:${key}`, key.toLowerCase());
+                if (similarity > 0) {
                     results.push({
                         source: 'procedural',
                         goal: key,
                         steps: proc.steps,
                         successRate: proc.successRate,
-                        relevance: proc.successRate * 0.7 + 0.3,
+                        relevance: (proc.successRate * 0.7 + 0.3) * similarity,
                     });
                 }
             }
@@ -711,20 +743,109 @@ class Hippocampus extends BrainRegion {
         return { found: results.length, results: results.slice(0, 20) };
     }
 
+    // 向量检索: 'episodic:<id>' / 'semantic:<key>' / 'procedural:<key>' → 相似度 (向量不可用时为空)
+    async _semanticMatches(queryText, memType) {
+        const collection = this._vectorCollection();
+        if (!collection || memType === 'working') return new Map();
+        try {
+            const hits = await collection.search(queryText, {
+                k: 30,
+                minSimilarity: RECALL_MIN_SIMILARITY,
+                filter: memType === 'all' ? null : { kind: memType },
+            });
+            return new Map(hits.map(h => [`${h.metadata.kind}:${h.metadata.ref}`, h.similarity]));
+        } catch (e) {
+            return new Map();
+        }
+    }
+
+    // 语义检索用的向量集合 (首次使用时创建); 向量模块加载失败时为null, 检索只用字面匹配
+    _vectorCollection() {
+        if (this._vectors === undefined) {
+            try {
+                if (!this._vectorMemory) {
+                    const { VectorMemory } = require('./seed-vector-brain');
+                    this._vectorMemory = new VectorMemory({ dir: MEMORY_VECTOR_DIR, dbPath: null });
+                }
+                this._vectors = this._vectorMemory.collection('hippocampus');
+            } catch (e) {
+                console.log('[Hippocampus] 向量记忆不可用, 检索退回字面匹配:', e.message);
+                this._vectors = null;
+            }
+        }
+        return this._vectors;
+    }
+
+    /**
+     * 把还没有向量的长期记忆写入向量集合 (整合/存储后调用; 首次运行时顺带补齐旧记忆)
+     * 后台执行, 同一时间只跑一轮 (期间新增的记忆也在这一轮补上); 向量化失败就停下, 下次再试
+     * @returns {Promise<number>} 本轮索引的条数
+     */
+    _indexPending() {
+        if (this._indexing) return this._indexing;
+        const collection = this._vectorCollection();
+        if (!collection || this._unindexed().length === 0) return Promise.resolve(0);
+
+        this._indexing = (async () => {
+            let indexed = 0, failed = false;
+            for (let pending = this._unindexed(); pending.length > 0 && !failed; pending = this._unindexed()) {
+                for (const [kind, ref, mem, text] of pending) {
+                    const timestamp = mem.timestamp || mem.firstSeen || mem.createdAt || mem.storedAt;
+                    const id = await collection.add(text, { kind, ref }, { timestamp, dedup: false });
+                    if (!id) {
+                        failed = true;
+                        break;
+                    }
+                    mem.vectorId = id;
+                    indexed++;
+                }
+            }
+            if (indexed > 0) {
+                collection.save();
+                this._saveToDisk();
+            }
+            return indexed;
+        })().catch((e) => {
+            console.log('[Hippocampus] 记忆向量化失败:', e.message);
+            return 0;
+        }).finally(() => {
+            this._indexing = null;
+        });
+        return this._indexing;
+    }
+
+    // 还没有向量的长期记忆: [kind, ref, 记忆对象, 向量化文本]
+    _unindexed() {
+        return [
+            ...this.episodicMemory.map(mem => ['episodic', mem.id, mem, memoryText(mem.content)]),
+            ...[...this.semanticMemory].map(([key, fact]) => ['semantic', key, fact, `${key} ${memoryText(fact)}`]),
+            ...[...this.proceduralMemory].map(([key, proc]) => ['procedural', key, proc, `${key} ${memoryText(proc.steps)}`]),
+        ].filter(([, , mem]) => !mem.vectorId);
+    }
+
+    // 被遗忘/替换的记忆: 删掉对应向量
+    _forgetVectors(mems) {
+        const ids = mems.map(mem => mem?.vectorId).filter(Boolean);
+        if (ids.length > 0) this._vectorCollection()?.remove(ids);
+    }
+
     // ── 手动存储 ──
     _store(data) {
         if (data.type === 'semantic') {
+            this._forgetVectors([this.semanticMemory.get(data.key)]);
             this.semanticMemory.set(data.key, {
                 ...data.value,
                 storedAt: Date.now(),
             });
             this._saveToDisk();
+            this._indexPending();
             return { stored: true, type: 'semantic', key: data.key };
         }
 
         if (data.type === 'procedural') {
             this._storeProceduralMemory({ content: data.value });
             this._saveToDisk();
+            this._indexPending();
             return { stored: true, type: 'procedural' };
         }
 
@@ -738,6 +859,7 @@ class Hippocampus extends BrainRegion {
                 emotionalTag: data.emotion || null,
             });
             this._saveToDisk();
+            this._indexPending();
             return { stored: true, type: 'episodic' };
         }
 
@@ -814,11 +936,16 @@ class Hippocampus extends BrainRegion {
 
         // 3. 遗忘过旧且不重要的记忆
         const cutoff = Date.now() - 86400000 * 30; // 30天
-        this.episodicMemory = this.episodicMemory.filter(mem =>
-            mem.timestamp > cutoff || mem.importance > 0.7 || mem.accessCount > 3
-        );
+        const forgotten = [];
+        this.episodicMemory = this.episodicMemory.filter(mem => {
+            const keep = mem.timestamp > cutoff || mem.importance > 0.7 || mem.accessCount > 3;
+            if (!keep) forgotten.push(mem);
+            return keep;
+        });
+        this._forgetVectors(forgotten);
 
         this._saveToDisk();
+        this._indexPending();
         console.log(`[Hippocampus] 整合完成. 情景:${this.episodicMemory.length} 语义:${this.semanticMemory.size} 程序:${this.proceduralMemory.size}`);
     }
 
@@ -2509,21 +2636,20 @@ class PrefrontalCortex extends BrainRegion {
             { recentDecisions: this.decisionLog.slice(-5).map(d => d.decision) }
         );
 
-        const prompt = `你是AI Agent决策大脑。融合多层推理分析做出最优决策。
-
-当前目标: ${goal}
-感知: ${JSON.stringify(perception, null, 2).substring(0, 800)}
-情感: ${JSON.stringify(data.emotions || {})}
-推理分析: ${JSON.stringify(reasoningCtx).substring(0, 400)}
-效应评估: ${JSON.stringify(effectCtx).substring(0, 200)}
-Claude思维链: ${claudeThinking.chainOfThought?.reasoning?.substring(0, 300) || ''}
-元认知: 置信度${(claudeThinking.metacognition?.confidence * 100).toFixed(0)}% ${claudeThinking.metacognition?.status || ''}
-建议: ${claudeThinking.suggestedAction || 'none'}
-
-决策原则: 1.优先免费资源 2.失败即切换策略 3.循环即打破 4.有目标即规划 5.有代码即校验
-可用动作: CLICK|目标, TYPE|字段|内容, NAVIGATE|url, PRESS|键名, SCROLL|方向, ANALYZE|问题, WAIT|毫秒, DONE|结果
-回复格式: ACTION|参数
-`;
+        // 分段: 上下文不够时先丢推理/效应/思维链等辅助分析, 目标·动作·回复格式始终保留
+        const prompt = new PromptBuilder()
+            .add('role', '你是AI Agent决策大脑。融合多层推理分析做出最优决策。', { required: true })
+            .add('goal', `当前目标: ${goal}`, { required: true })
+            .add('perception', `感知: ${JSON.stringify(perception, null, 2).substring(0, 800)}`, { required: true, priority: 9, truncate: 'end' })
+            .add('emotions', `情感: ${JSON.stringify(data.emotions || {})}`, { priority: 4 })
+            .add('reasoning', `推理分析: ${JSON.stringify(reasoningCtx).substring(0, 400)}`, { priority: 3 })
+            .add('effects', `效应评估: ${JSON.stringify(effectCtx).substring(0, 200)}`, { priority: 2 })
+            .add('chainOfThought', `Claude思维链: ${claudeThinking.chainOfThought?.reasoning?.substring(0, 300) || ''}`, { priority: 2 })
+            .add('metacognition', `元认知: 置信度${(claudeThinking.metacognition?.confidence * 100).toFixed(0)}% ${claudeThinking.metacognition?.status || ''}`, { priority: 1 })
+            .add('suggestion', `建议: ${claudeThinking.suggestedAction || 'none'}`, { priority: 5 })
+            .add('principles', '决策原则: 1.优先免费资源 2.失败即切换策略 3.循环即打破 4.有目标即规划 5.有代码即校验', { priority: 6 })
+            .add('actions', '可用动作: CLICK|目标, TYPE|字段|内容, NAVIGATE|url, PRESS|键名, SCROLL|方向, ANALYZE|问题, WAIT|毫秒, DONE|结果', { required: true })
+            .add('format', '回复格式: ACTION|参数', { required: true });
 
         try {
             const response = await this.llm.think(prompt);
@@ -2587,19 +2713,20 @@ Claude思维链: ${claudeThinking.chainOfThought?.reasoning?.substring(0, 300) |
 
 // ═══════════════════════════════════════════════
 //  基底神经节 (BasalGanglia) — 动作选择 & 奖惩学习
+//  动作价值由共享的RL核心 (seed-rl-core.js RealQLearner) 维护,
+//  execute() 的奖惩与MCTS规划器读的是同一份策略
 // ═══════════════════════════════════════════════
 
 class BasalGanglia extends BrainRegion {
-    constructor() {
+    /**
+     * @param {Object} [options] - qLearner: 共享的RealQLearner (默认按其默认路径新建, 表格模式),
+     *   legacyStateFile: 旧版动作价值表所在的大脑状态文件 (默认 neuro-brain-state.json, null 不迁移)
+     */
+    constructor(options = {}) {
         super('basal_ganglia', 48);
-
-        // Q-learning式的动作价值表
-        this.actionValues = new Map(); // state_hash → { action → value }
-        this.learningRate = 0.1;
-        this.discountFactor = 0.9;
-        this.explorationRate = 0.15; // 15%概率尝试新动作
-        this._lastState = null;
-        this._lastAction = null;
+        this.rl = options.qLearner || new RealQLearner();
+        this.legacyState = null; // 迁移未完成的旧版状态, 大脑保存状态时原样写回
+        this._migrateActionValues(options.legacyStateFile !== undefined ? options.legacyStateFile : BRAIN_STATE_FILE);
     }
 
     async _compute(input) {
@@ -2615,84 +2742,65 @@ class BasalGanglia extends BrainRegion {
             return this._selectAction(data.state, data.availableActions);
         }
 
-        return { processed: false };
-    }
-
-    _stateHash(state) {
-        // 将状态转为简化的哈希键
-        const key = JSON.stringify(state).substring(0, 200);
-        let hash = 0;
-        for (let i = 0; i < key.length; i++) {
-            hash = ((hash << 5) - hash) + key.charCodeAt(i);
-            hash |= 0;
+        // 记录前额叶已做出的决策 (用于奖惩归因)
+        if (data?.action === 'record_action') {
+            return this._recordAction(data.state, data.taken);
         }
-        return hash.toString(36);
+
+        return { processed: false };
     }
 
-    // ── 动作选择 (ε-greedy策略) ──
+    // ── 动作选择 (ε-greedy, 候选限于availableActions, 操作动词先归成规划动作) ──
+    // state: 感知字段 (memUsedPct/knowledgeCount/cycle/keywords/stagnationCycles...), 原样交给RL核心
+    // (由它编码, 并把前后两次感知记成一条真实转移, 供MCTS规划器使用)
     _selectAction(state, availableActions) {
-        const stateKey = this._stateHash(state);
-        const values = this.actionValues.get(stateKey) || {};
-
-        // 探索: 随机选择
-        if (Math.random() < this.explorationRate) {
-            const action = availableActions[Math.floor(Math.random() * availableActions.length)];
-            this._lastState = stateKey;
-            this._lastAction = action;
-            return { action, method: 'explore', values };
-        }
-
-        // 利用: 选择最高价值动作
-        let bestAction = availableActions[0];
-        let bestValue = -Infinity;
-
-        for (const action of availableActions) {
-            const value = values[action] || 0;
-            if (value > bestValue) {
-                bestValue = value;
-                bestAction = action;
-            }
-        }
+        const candidates = [...new Set((availableActions || []).map(toPlanningAction).filter(Boolean))];
+        return this.rl.selectAction({ ...state }, candidates.length ? candidates : this.rl.actions);
+    }
 
-        this._lastState = stateKey;
-        this._lastAction = bestAction;
-        return { action: bestAction, method: 'exploit', value: bestValue };
+    // ── 记录已执行的决策: 动词归类后记到共享策略, 无对应规划动作的不学 ──
+    _recordAction(state, taken) {
+        const action = toPlanningAction(taken);
+        if (!action) return { recorded: false, action: taken };
+        return { recorded: this.rl.recordAction({ ...state }, action), action };
     }
 
-    // ── 接收奖惩 (更新Q值) ──
+    // ── 接收奖惩 (更新共享策略) ──
     _receiveReward(reward, newState) {
-        if (!this._lastState || !this._lastAction) return { updated: false };
-
-        const newStateKey = this._stateHash(newState);
-
-        // 获取新状态的最大价值
-        const newValues = this.actionValues.get(newStateKey) || {};
-        let maxNextValue = 0;
-        for (const v of Object.values(newValues)) {
-            maxNextValue = Math.max(maxNextValue, v);
-        }
+        const result = this.rl.receiveReward(reward, { ...newState });
+        if (!result) return { updated: false };
+        return { updated: true, oldValue: result.oldQ, newValue: result.newQ, reward };
+    }
 
-        // Q-learning更新 (使用QuantFormulas统一公式)
-        if (!this.actionValues.has(this._lastState)) {
-            this.actionValues.set(this._lastState, {});
+    // 旧版自带的哈希状态Q表 (neuro-brain-state.json 的 basalGanglia.actionValues/explorationRate)
+    // → RL核心的动作先验与探索率, 一次性; Q表写入成功后才从状态文件删掉旧表, 失败下次启动重试
+    _migrateActionValues(stateFile) {
+        try {
+            if (!stateFile || !fs.existsSync(stateFile)) return;
+            const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+            const legacy = state.basalGanglia?.actionValues;
+            if (!legacy || Object.keys(legacy).length === 0) return;
+
+            this.legacyState = state.basalGanglia;
+            const { states, actions } = this.rl.importActionPriors(legacy);
+            this.rl.setEpsilon(state.basalGanglia.explorationRate);
+            if (!this.rl.save()) throw new Error('Q表写入失败, 保留旧表');
+            delete state.basalGanglia;
+            fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+            this.legacyState = null;
+            console.log(`[BasalGanglia] 迁移旧动作价值表: ${states}个状态 → ${actions}个动作先验, 探索率${Math.round(this.rl.getStats().epsilon * 100)}%`);
+        } catch (e) {
+            console.log('[BasalGanglia] 迁移旧动作价值表失败:', e.message);
         }
-        const values = this.actionValues.get(this._lastState);
-        const oldValue = values[this._lastAction] || 0;
-        values[this._lastAction] = QuantFormulas.qLearningUpdate(
-            oldValue, reward, maxNextValue, this.learningRate, this.discountFactor
-        );
-
-        // 减少探索率 (越学越确信)
-        this.explorationRate = Math.max(0.05, this.explorationRate * 0.999);
-
-        return { updated: true, oldValue, newValue: values[this._lastAction], reward };
     }
 
     // 获取学习统计
     getStats() {
+        const stats = this.rl.getStats();
         return {
-            statesLearned: this.actionValues.size,
-            explorationRate: Math.round(this.explorationRate * 100) + '%',
+            mode: stats.mode,
+            statesLearned: stats.statesLearned,
+            explorationRate: Math.round(stats.epsilon * 100) + '%',
         };
     }
 }
@@ -2834,135 +2942,47 @@ class Cerebellum extends BrainRegion {
 }
 
 // ═══════════════════════════════════════════════
-//  LLM客户端 — 连接本地Ollama
+//  LLM客户端 — 统一AI客户端的薄适配层 (seed-ai-client.js)
+//  与AI舰队共用路由/失败切换/统计/缓存; 离线模拟与录制也由客户端处理
 // ═══════════════════════════════════════════════
 
 class LocalLLM {
-    constructor() {
-        this.ollamaHost = 'http://127.0.0.1:11434';
+    /**
+     * @param {Object} [options] - client: 注入的AIClient (LivingCore/云端传入各自舰队), 默认进程内单例
+     */
+    constructor(options = {}) {
+        this.client = options.client || getClient();
         this._available = false;
-        this._model = 'qwen2.5:7b';
-        this._geminiKey = null;
+        this._model = null; // 当前首选提供商 (仅用于展示)
     }
 
     async init() {
-        // 检查Ollama
-        try {
-            const resp = await this._get(`${this.ollamaHost}/api/tags`);
-            const data = JSON.parse(resp);
-            const models = data.models || [];
-            if (models.length > 0) {
-                this._available = true;
-                // 优先用较大的模型
-                const preferred = ['qwen2.5:14b', 'qwen2.5:7b', 'llama3.1:8b', 'mistral:7b'];
-                for (const p of preferred) {
-                    if (models.some(m => m.name.includes(p.split(':')[0]))) {
-                        this._model = p;
-                        break;
-                    }
-                }
-                console.log(`[LLM] Ollama就绪: ${this._model} (${models.length}个模型)`);
-            }
-        } catch (e) {
-            console.log('[LLM] Ollama未运行');
-        }
-
-        // 加载Gemini key作为备选
+        // 兼容旧配置: ai-resources-config.json 的 apiKeys (如Gemini)
         try {
             const config = JSON.parse(fs.readFileSync(path.join(__dirname, 'ai-resources-config.json'), 'utf8'));
-            this._geminiKey = config.apiKeys?.gemini || null;
-            if (this._geminiKey) console.log('[LLM] Gemini备选可用');
+            if (config.apiKeys) this.client.addKeys(config.apiKeys);
         } catch (e) {}
-    }
-
-    async think(prompt, systemPrompt = '') {
-        // 优先Gemini (更强)
-        if (this._geminiKey) {
-            try {
-                const result = await this._askGemini(prompt, systemPrompt);
-                if (result) return result;
-            } catch (e) {
-                if (e.message?.includes('429')) this._geminiKey = null;
-            }
-        }
-
-        // Ollama本地
-        if (this._available) {
-            return await this._askOllama(prompt, systemPrompt);
-        }
-
-        return '';
-    }
 
-    async _askOllama(prompt, systemPrompt) {
-        const body = JSON.stringify({
-            model: this._model,
-            messages: [
-                ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
-                { role: 'user', content: prompt.substring(0, 3000) },
-            ],
-            stream: false,
-            options: { temperature: 0.1, num_predict: 150 },
-        });
-        const resp = await this._post(`${this.ollamaHost}/api/chat`, body);
-        let data; try { data = JSON.parse(resp); } catch { data = null; }
-        return data?.message?.content || '';
-    }
-
-    async _askGemini(prompt, systemPrompt) {
-        const fullPrompt = (systemPrompt ? systemPrompt + '\n\n' : '') + prompt;
-        const body = JSON.stringify({
-            contents: [{ parts: [{ text: fullPrompt }] }],
-            generationConfig: { maxOutputTokens: 200 },
-        });
-        const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-lite:generateContent?key=${this._geminiKey}`;
-        const resp = await this._httpsPost(url, body);
-        let data; try { data = JSON.parse(resp); } catch { data = null; }
-        if (data?.error) {
-            if (data.error.code === 429) this._geminiKey = null;
-            throw new Error(`Gemini: ${data.error.message?.substring(0, 50)}`);
-        }
-        return data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-    }
-
-    _get(url) {
-        return new Promise((resolve, reject) => {
-            http.get(url, { timeout: 5000 }, res => {
-                let d = ''; res.on('data', c => d += c); res.on('end', () => resolve(d));
-            }).on('error', reject);
-        });
+        const usable = this.client.usable();
+        this._available = usable.length > 0;
+        this._model = usable[0] || null;
+        console.log(this._available ? `[LLM] 就绪: ${usable.join(', ')}` : '[LLM] 无可用AI提供商');
     }
 
-    _post(url, body) {
-        return new Promise((resolve, reject) => {
-            const u = new URL(url);
-            const req = http.request({
-                hostname: u.hostname, port: u.port, path: u.pathname,
-                method: 'POST', headers: { 'Content-Type': 'application/json' },
-                timeout: 60000,
-            }, res => {
-                let d = ''; res.on('data', c => d += c); res.on('end', () => resolve(d));
-            });
-            req.on('error', reject);
-            req.on('timeout', () => { req.destroy(); reject(new Error('timeout')); });
-            req.write(body); req.end();
+    // 决策用: 高优先级, 短回复; 上下文不够时PromptBuilder按段取舍
+    async think(prompt, systemPrompt = '') {
+        const result = await this.client.request(prompt, systemPrompt, {
+            task: 'reason', priority: 'high', maxWait: 5000, maxTokens: 200, temperature: 0.1,
         });
+        return result.success ? result.content : '';
     }
 
-    _httpsPost(url, body) {
-        return new Promise((resolve, reject) => {
-            const u = new URL(url);
-            const req = https.request({
-                hostname: u.hostname, path: u.pathname + u.search,
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
-                timeout: 30000,
-            }, res => {
-                let d = ''; res.on('data', c => d += c); res.on('end', () => resolve(d));
-            });
-            req.on('error', reject);
-            req.write(body); req.end();
+    // 看图: 截图 + 问题 → 文本 (路由到带vision能力的提供商), 没有可用的多模态模型时返回空串
+    async see(question, images, systemPrompt = '') {
+        const result = await this.client.askVision(question, images, {
+            system: systemPrompt, priority: 'high', maxWait: 5000, maxTokens: 300, temperature: 0.1,
         });
+        return result.success ? result.content : '';
     }
 }
 
@@ -2976,18 +2996,23 @@ class NeuroBrain extends EventEmitter {
         super();
 
         // ── 创建所有脑区 ──
-        this.llm = new LocalLLM();
+        this.llm = new LocalLLM({ client: options.aiClient });
         this.thalamus = new Thalamus();
         this.sensoryCortex = new SensoryCortex();
-        this.hippocampus = new Hippocampus();
+        this.hippocampus = new Hippocampus({ vectorMemory: options.vectorMemory });
         this.amygdala = new Amygdala();
         this.prefrontalCortex = new PrefrontalCortex(this.llm);
-        this.basalGanglia = new BasalGanglia();
+        this.basalGanglia = new BasalGanglia({ qLearner: options.qLearner, legacyStateFile: options.legacyStateFile });
+        this.qLearner = this.basalGanglia.rl; // 共享策略: 下面的MCTS规划器读同一份Q值
+        this.planner = this._createPlanner(options.planSimulations);
+        this._lastPlan = null;
         this.cerebellum = new Cerebellum();
 
         // ── 外部接口 ──
         this.eyes = null;    // RealTimeEyes
         this.hands = null;   // 执行引擎 (浏览器/桌面)
+        this._lastScreen = null; // 最近一次capture_screen的截图 (供vlm_analyze看图)
+        this._rlContext = {};    // 强化学习状态的感知来源: 最近的系统/进化状态与关键词
 
         // ── 神经通路 (脑区之间的连接) ──
         this._setupNeuralPathways();
@@ -3079,6 +3104,7 @@ class NeuroBrain extends EventEmitter {
         // 2. 感知结果送到杏仁核评估重要性
         const perceptionResult = routed.results?.[0]?.result;
         if (!perceptionResult || !perceptionResult.processed) return;
+        this._trackRLContext(perceptionResult);
 
         const emotional = await this.amygdala.process({ data: perceptionResult });
 
@@ -3094,6 +3120,43 @@ class NeuroBrain extends EventEmitter {
         }
     }
 
+    // 记下RL状态要用的感知字段 (系统状态/进化状态/OCR关键词各取最近一次)
+    _trackRLContext(perception) {
+        if (perception.type === 'system_status') {
+            Object.assign(this._rlContext, { memUsedPct: perception.memUsedPct, cpuLoad: perception.cpuLoad });
+        } else if (perception.type === 'evolution_status') {
+            this._rlContext.knowledgeCount = perception.knowledgeCount;
+        }
+        if (perception.keywords) this._rlContext.keywords = perception.keywords;
+    }
+
+    // 当前RL状态 (字段对应 RealQLearner.encodeState)
+    _rlState() {
+        return {
+            ...this._rlContext,
+            cycle: this._thinkCycle,
+            stagnationCycles: this.prefrontalCortex._stagnationCycles || 0,
+        };
+    }
+
+    // MCTS规划器: 与基底神经节共用Q策略、经验转移和动作空间; 向量模块加载失败时为null
+    _createPlanner(simulations = 30) {
+        try {
+            const { MCTSPlanner } = require('./seed-vector-brain');
+            return new MCTSPlanner({ simulations, qLearner: this.qLearner });
+        } catch (e) {
+            console.log('[NeuroBrain] MCTS规划器不可用:', e.message);
+            return null;
+        }
+    }
+
+    // ── 多步规划: 从当前RL状态搜索最佳规划动作 (规划器不可用时返回null) ──
+    plan() {
+        if (!this.planner) return null;
+        this._lastPlan = this.planner.plan(this._rlState());
+        return this._lastPlan;
+    }
+
     // ── 思考决策 (完整的神经回路) ──
     async think(triggerData = null) {
         this._thinkCycle++;
@@ -3135,13 +3198,8 @@ class NeuroBrain extends EventEmitter {
         const motorPlan = await this.cerebellum.process({ data: { decision } });
 
         // 6. 基底神经节记录 (用于奖惩学习)
-        const state = {
-            goal,
-            lastPerception: triggerData?.perception?.type,
-            emotions: { u: Math.round(emotions.urgency * 10), f: Math.round(emotions.frustration * 10) },
-        };
         await this.basalGanglia.process({
-            data: { action: 'select_action', state, availableActions: [decision.action] },
+            data: { action: 'record_action', state: this._rlState(), taken: decision.action },
         });
 
         this.emit('decision', { decision, motorPlan, emotions });
@@ -3191,18 +3249,23 @@ class NeuroBrain extends EventEmitter {
                         await new Promise(r => setTimeout(r, 3000));
                         result = { ok: true, msg: 'page loaded' };
                         break;
-                    case 'capture_screen':
-                        if (this.eyes) {
-                            const img = await this.eyes.capture?.captureSmall?.(960);
-                            result = { ok: true, msg: 'captured', image: img };
-                        }
+                    case 'capture_screen': {
+                        // 眼睛优先; 没有眼睛时用手(浏览器)截图, 留给后面的vlm_analyze
+                        const img = await this.eyes?.capture?.captureSmall?.(960)
+                            || await this.hands.screenshot?.();
+                        this._lastScreen = img || null;
+                        if (img) result = { ok: true, msg: 'captured', image: img };
                         break;
-                    case 'vlm_analyze':
-                        if (this.eyes) {
-                            const answer = await this.eyes.askNow(action.question);
-                            result = { ok: true, msg: answer };
-                        }
+                    }
+                    case 'vlm_analyze': {
+                        // 有截图时直接问多模态LLM, 答不上再交给眼睛
+                        let answer = this._lastScreen
+                            ? await this.llm.see(action.question, this._lastScreen)
+                            : '';
+                        if (!answer && this.eyes) answer = await this.eyes.askNow(action.question);
+                        if (answer) result = { ok: true, msg: answer };
                         break;
+                    }
                     case 'done':
                         result = { ok: true, msg: 'done', done: true, result: action.result };
                         break;
@@ -3231,7 +3294,7 @@ class NeuroBrain extends EventEmitter {
         if (isDone) {
             // 任务完成 → 大奖励
             await this.basalGanglia.process({
-                data: { action: 'reward', amount: 1.0, state: { done: true } },
+                data: { action: 'reward', amount: 1.0, state: this._rlState() },
             });
             this._stats.rewards++;
 
@@ -3249,7 +3312,7 @@ class NeuroBrain extends EventEmitter {
             });
         } else {
             await this.basalGanglia.process({
-                data: { action: 'reward', amount: reward, state: { step: this._thinkCycle } },
+                data: { action: 'reward', amount: reward, state: this._rlState() },
             });
         }
 
@@ -3344,10 +3407,6 @@ class NeuroBrain extends EventEmitter {
         try {
             const state = {
                 stats: this._stats,
-                basalGanglia: {
-                    actionValues: Object.fromEntries(this.basalGanglia.actionValues),
-                    explorationRate: this.basalGanglia.explorationRate,
-                },
                 cerebellum: {
                     habits: Object.fromEntries(this.cerebellum.habits),
                 },
@@ -3367,9 +3426,12 @@ class NeuroBrain extends EventEmitter {
                     correctionLog: this.prefrontalCortex.claude.correctionLog.slice(-20),
                     strategyHistory: this.prefrontalCortex.claude.strategyHistory.slice(-10),
                 },
+                // 旧版动作价值表还没迁移成功: 保留到下次启动重试
+                ...(this.basalGanglia.legacyState ? { basalGanglia: this.basalGanglia.legacyState } : {}),
                 savedAt: new Date().toISOString(),
             };
             fs.writeFileSync(BRAIN_STATE_FILE, JSON.stringify(state, null, 2));
+            this.qLearner.save(); // 基底神经节的动作价值在RL核心自己的文件里
             console.log('[NeuroBrain] 大脑状态已保存');
         } catch (e) {
             console.log('[NeuroBrain] 保存失败:', e.message);
@@ -3381,10 +3443,6 @@ class NeuroBrain extends EventEmitter {
             if (!fs.existsSync(BRAIN_STATE_FILE)) return;
             const state = JSON.parse(fs.readFileSync(BRAIN_STATE_FILE, 'utf8'));
 
-            if (state.basalGanglia?.actionValues) {
-                this.basalGanglia.actionValues = new Map(Object.entries(state.basalGanglia.actionValues));
-                this.basalGanglia.explorationRate = state.basalGanglia.explorationRate || 0.15;
-            }
             if (state.cerebellum?.habits) {
                 this.cerebellum.habits = new Map(Object.entries(state.cerebellum.habits));
             }
@@ -3426,6 +3484,7 @@ class NeuroBrain extends EventEmitter {
             emotions: emo,
             stats: this._stats,
             lastDecision: this._lastDecision?.action,
+            lastPlan: this._lastPlan ? { action: this._lastPlan.bestAction, confidence: this._lastPlan.confidence } : null,
             eyesConnected: !!this.eyes,
             handsConnected: !!this.hands,
         };
@@ -3442,7 +3501,16 @@ async function selfTest() {
     console.log('  5推理 + 10效应 + 7公式 + Vision-Agent + ★Claude思维模式');
     console.log('═'.repeat(60) + '\n');
 
-    const brain = new NeuroBrain();
+    // 向量记忆写到测试目录 (哈希嵌入, 离线可跑), 不碰真实的 neuro-memories-vectors/
+    const { VectorMemory } = require('./seed-vector-brain');
+    const testVectorDir = path.join(__dirname, 'test-neuro-vectors');
+    // Q表写到测试文件, 不碰真实的 q-learning-table.json / neuro-brain-state.json 里的旧动作价值表
+    const testFiles = ['test-neuro-q-table.json', 'test-neuro-q-migrate.json', 'test-neuro-legacy-state.json'].map(f => path.join(__dirname, f));
+    const brain = new NeuroBrain({
+        vectorMemory: new VectorMemory({ dir: testVectorDir, dbPath: null, embedder: 'hash', durable: false }),
+        qLearner: new RealQLearner({ dbPath: testFiles[0] }),
+        legacyStateFile: null,
+    });
     await brain.init();
 
     // 测试1: 感知处理
@@ -3631,6 +3699,42 @@ class Example {
     console.log('类比:', thinkResult.analogy?.found ? `找到类似解法(${(thinkResult.analogy.confidence * 100).toFixed(0)}%)` : '无类比');
     console.log('建议:', thinkResult.suggestedAction || '继续观察');
 
+    // 测试16: 海马体语义回忆
+    console.log('\n--- 测试16: 海马体语义回忆 ---');
+    const hippo = brain.hippocampus;
+    hippo._store({ type: 'episodic', value: { type: 'user_input', text: 'opened the Chrome browser to read reinforcement learning papers' }, importance: 0.9 });
+    const indexed = await hippo._indexPending();
+    const recalled = await hippo.process({ data: { action: 'recall', query: 'chrome browser learning', type: 'episodic' } });
+    const topText = recalled.results[0]?.memory?.content?.text || '';
+    console.log('新索引:', indexed, '条, 召回:', recalled.found, '条, top:', topText || '无');
+    fs.rmSync(testVectorDir, { recursive: true, force: true });
+    if (indexed < 1 || recalled.found < 1 || !topText.includes('Chrome')) throw new Error('海马体语义回忆未命中刚存入的情景记忆');
+    console.log('✓ 语义回忆命中');
+
+    // 测试17: 基底神经节与MCTS共用RL核心
+    console.log('\n--- 测试17: 共享强化学习核心 ---');
+    const rlKey = brain.qLearner.encodeState(brain._rlState());
+    const searchQBefore = brain.qLearner._getQ(rlKey, 'SEARCH');
+    const recorded = await brain.basalGanglia.process({ data: { action: 'record_action', state: brain._rlState(), taken: 'NAVIGATE' } });
+    const rewarded = await brain.basalGanglia.process({ data: { action: 'reward', amount: 5, state: brain._rlState() } });
+    const searchQAfter = brain.qLearner._getQ(rlKey, 'SEARCH');
+    console.log('奖惩更新:', recorded.action, rewarded.updated, `状态${rlKey} Q(SEARCH) ${searchQBefore.toFixed(2)} → ${searchQAfter.toFixed(2)}`);
+    const rlPlan = brain.plan();
+    console.log('MCTS规划(同一策略):', rlPlan.bestAction, `转移 经验${rlPlan.dynamics.learned}/规则${rlPlan.dynamics.prior}`, brain.qLearner.getStats().transitions);
+    if (recorded.action !== 'SEARCH' || !rewarded.updated || !(searchQAfter > searchQBefore)) throw new Error('奖惩没有更新 NAVIGATE→SEARCH 的Q值');
+    if (brain.qLearner.actions.includes('NAVIGATE')) throw new Error('操作动词混入了规划动作空间');
+    if (!brain.qLearner.actions.includes(rlPlan.bestAction) || brain.getStatus().lastPlan?.action !== rlPlan.bestAction) throw new Error('规划器没有用共享的动作空间');
+    fs.writeFileSync(testFiles[2], JSON.stringify({
+        basalGanglia: { actionValues: { s1: { LEARN: 2, WAIT: -1 }, s2: { LEARN: 4 } }, explorationRate: 0.3 },
+    }));
+    const migrated = new BasalGanglia({ qLearner: new RealQLearner({ dbPath: testFiles[1] }), legacyStateFile: testFiles[2] });
+    const migratedQ = migrated.rl._getQ(migrated.rl.encodeState({}), 'LEARN');
+    const leftover = JSON.parse(fs.readFileSync(testFiles[2], 'utf8')).basalGanglia;
+    console.log(`旧表迁移: LEARN先验${migratedQ} 探索率${migrated.getStats().explorationRate} 旧表${leftover ? '仍在' : '已删除'}`);
+    for (const f of testFiles) fs.rmSync(f, { force: true });
+    if (migratedQ !== 3 || leftover) throw new Error('旧动作价值表迁移结果不对');
+    console.log('✓ 奖惩归因到规划动作, 旧表迁移完成');
+
     // 最终状态
     const status = brain.getStatus();
     console.log('\n' + '═'.repeat(60));
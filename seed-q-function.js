@@ -0,0 +1,198 @@
+/**
+ * 活体种子AI - Q函数近似 v1.0
+ *
+ * RealQLearner 的函数近似模式: 连续特征向量 → 每个动作的Q值 (纯JS, CPU)
+ *   - LinearQFunction — 每个动作一组线性权重 Q(s,a) = w_a·x + b_a
+ *   - MLPQFunction    — 单隐层 (tanh) 小网络, 输出层每个动作一个Q值
+ *
+ * 统一接口: predict(x) → Q值数组; update(x, a, target, weight) 对动作a做一步SGD, 返回TD误差;
+ *   addOutputs(n) 动作空间扩大时加宽输出层, setBias(a, v) 设动作a的输出偏置 (先验价值)
+ * 误差裁剪到 ±clip (Huber式), 避免大奖励把权重一次推飞
+ * toJSON/qFunctionFromJSON 持久化权重, 维度不符时返回null (调用方重新初始化)
+ */
+
+// Xavier均匀初始化
+function xavier(size, fanIn, fanOut) {
+    const limit = Math.sqrt(6 / (fanIn + fanOut));
+    return Float64Array.from({ length: size }, () => (Math.random() * 2 - 1) * limit);
+}
+
+function clamp(x, limit) {
+    return Math.max(-limit, Math.min(limit, x));
+}
+
+class LinearQFunction {
+    /**
+     * @param {number} inputDim - 特征维度
+     * @param {number} outputDim - 动作数
+     * @param {Object} [options] - learningRate(默认0.02), clip(TD误差裁剪, 默认5)
+     */
+    constructor(inputDim, outputDim, options = {}) {
+        this.type = 'linear';
+        this.inputDim = inputDim;
+        this.outputDim = outputDim;
+        this.learningRate = options.learningRate || 0.02;
+        this.clip = options.clip ?? 5;
+        this._W = new Float64Array(outputDim * inputDim); // 第a行: 动作a的权重
+        this._b = new Float64Array(outputDim);
+    }
+
+    get parameters() { return this._W.length + this._b.length; }
+
+    predict(x) {
+        const q = new Array(this.outputDim);
+        for (let a = 0; a < this.outputDim; a++) {
+            let s = this._b[a];
+            const row = a * this.inputDim;
+            for (let i = 0; i < this.inputDim; i++) s += this._W[row + i] * x[i];
+            q[a] = s;
+        }
+        return q;
+    }
+
+    update(x, action, target, weight = 1) {
+        const error = target - this.predict(x)[action];
+        const step = this.learningRate * weight * clamp(error, this.clip);
+        const row = action * this.inputDim;
+        for (let i = 0; i < this.inputDim; i++) this._W[row + i] += step * x[i];
+        this._b[action] += step;
+        return error;
+    }
+
+    // 新动作的权重从0开始
+    addOutputs(n) {
+        const W = new Float64Array((this.outputDim + n) * this.inputDim);
+        W.set(this._W);
+        const b = new Float64Array(this.outputDim + n);
+        b.set(this._b);
+        this._W = W;
+        this._b = b;
+        this.outputDim += n;
+    }
+
+    setBias(action, value) {
+        this._b[action] = value;
+    }
+
+    toJSON() {
+        return { type: this.type, inputDim: this.inputDim, outputDim: this.outputDim, W: Array.from(this._W), b: Array.from(this._b) };
+    }
+}
+
+class MLPQFunction {
+    /**
+     * @param {number} inputDim - 特征维度
+     * @param {number} outputDim - 动作数
+     * @param {Object} [options] - hidden(隐层宽度, 默认32), learningRate(默认0.01), clip(默认5)
+     */
+    constructor(inputDim, outputDim, options = {}) {
+        this.type = 'mlp';
+        this.inputDim = inputDim;
+        this.outputDim = outputDim;
+        this.hidden = options.hidden || 32;
+        this.learningRate = options.learningRate || 0.01;
+        this.clip = options.clip ?? 5;
+        this._W1 = xavier(this.hidden * inputDim, inputDim, this.hidden);
+        this._b1 = new Float64Array(this.hidden);
+        this._W2 = xavier(outputDim * this.hidden, this.hidden, outputDim);
+        this._b2 = new Float64Array(outputDim);
+    }
+
+    get parameters() { return this._W1.length + this._b1.length + this._W2.length + this._b2.length; }
+
+    _forward(x) {
+        const h = new Float64Array(this.hidden);
+        for (let j = 0; j < this.hidden; j++) {
+            let s = this._b1[j];
+            const row = j * this.inputDim;
+            for (let i = 0; i < this.inputDim; i++) s += this._W1[row + i] * x[i];
+            h[j] = Math.tanh(s);
+        }
+        const q = new Array(this.outputDim);
+        for (let a = 0; a < this.outputDim; a++) {
+            let s = this._b2[a];
+            const row = a * this.hidden;
+            for (let j = 0; j < this.hidden; j++) s += this._W2[row + j] * h[j];
+            q[a] = s;
+        }
+        return { h, q };
+    }
+
+    predict(x) {
+        return this._forward(x).q;
+    }
+
+    // 只对动作a的输出反传: 输出层一行 + 整个隐层
+    update(x, action, target, weight = 1) {
+        const { h, q } = this._forward(x);
+        const error = target - q[action];
+        const step = this.learningRate * weight * clamp(error, this.clip);
+        const row = action * this.hidden;
+        for (let j = 0; j < this.hidden; j++) {
+            const grad = step * this._W2[row + j] * (1 - h[j] * h[j]); // 用更新前的输出权重
+            this._W2[row + j] += step * h[j];
+            const hrow = j * this.inputDim;
+            for (let i = 0; i < this.inputDim; i++) this._W1[hrow + i] += grad * x[i];
+            this._b1[j] += grad;
+        }
+        this._b2[action] += step;
+        return error;
+    }
+
+    // 新动作: 输出层加行 (与初始化同分布), 隐层不变
+    addOutputs(n) {
+        const W2 = new Float64Array((this.outputDim + n) * this.hidden);
+        W2.set(this._W2);
+        W2.set(xavier(n * this.hidden, this.hidden, this.outputDim + n), this._W2.length);
+        const b2 = new Float64Array(this.outputDim + n);
+        b2.set(this._b2);
+        this._W2 = W2;
+        this._b2 = b2;
+        this.outputDim += n;
+    }
+
+    setBias(action, value) {
+        this._b2[action] = value;
+    }
+
+    toJSON() {
+        return {
+            type: this.type, inputDim: this.inputDim, outputDim: this.outputDim, hidden: this.hidden,
+            W1: Array.from(this._W1), b1: Array.from(this._b1), W2: Array.from(this._W2), b2: Array.from(this._b2),
+        };
+    }
+}
+
+/**
+ * @param {string} type - 'linear' | 'mlp'
+ */
+function createQFunction(type, inputDim, outputDim, options = {}) {
+    switch (type) {
+        case 'linear': return new LinearQFunction(inputDim, outputDim, options);
+        case 'mlp': return new MLPQFunction(inputDim, outputDim, options);
+        default: throw new Error(`unknown_q_function:${type}`);
+    }
+}
+
+/**
+ * 从toJSON结果恢复; 类型/维度与期望不符或数据损坏时返回null
+ * @param {Object} [expect] - { type, inputDim, outputDim } 期望的结构
+ */
+function qFunctionFromJSON(data, expect = {}, options = {}) {
+    if (!data || (expect.type && data.type !== expect.type)) return null;
+    if ((expect.inputDim && data.inputDim !== expect.inputDim) || (expect.outputDim && data.outputDim !== expect.outputDim)) return null;
+    try {
+        const fn = createQFunction(data.type, data.inputDim, data.outputDim, { ...options, hidden: data.hidden });
+        const fields = data.type === 'linear' ? ['W', 'b'] : ['W1', 'b1', 'W2', 'b2'];
+        for (const field of fields) {
+            const target = fn[`_${field}`];
+            if (!Array.isArray(data[field]) || data[field].length !== target.length) return null;
+            target.set(data[field]);
+        }
+        return fn;
+    } catch {
+        return null;
+    }
+}
+
+module.exports = { LinearQFunction, MLPQFunction, createQFunction, qFunctionFromJSON };
@@ -0,0 +1,107 @@
+/**
+ * 活体种子AI - 优先经验回放 v1.0
+ *
+ * RealQLearner 的经验池 (Schaul et al., 2015 比例式优先回放):
+ *   - 优先级 p = (|TD误差| + ε)^α, 按 p/Σp 抽样; 新经验取当前最大优先级, 保证至少被回放一次
+ *   - 重要性采样权重 w = (N·P(i))^-β / max(w), 抵消非均匀抽样的偏差; β 随抽样次数从 beta 退火到1
+ *   - toJSON/fromJSON 随Q-table一起持久化, 重启不丢经验
+ *
+ * 容量一般在千条级, 抽样时现算前缀和 + 二分, 比维护求和树简单且足够快
+ */
+
+class PrioritizedReplayBuffer {
+    /**
+     * @param {Object} [options] - capacity(默认1000), alpha(优先程度, 0为均匀, 默认0.6),
+     *   beta(IS权重初始指数, 默认0.4), betaSteps(β退火到1的抽样批数, 默认5000), epsilon(最小优先级, 默认0.01)
+     */
+    constructor(options = {}) {
+        this.capacity = options.capacity || 1000;
+        this.alpha = options.alpha ?? 0.6;
+        this.beta = options.beta ?? 0.4;
+        this._betaStep = (1 - this.beta) / (options.betaSteps || 5000);
+        this.epsilon = options.epsilon ?? 0.01;
+        this._items = [];       // [{ experience, priority }]
+        this._maxPriority = 1;
+    }
+
+    get size() { return this._items.length; }
+
+    // 追加经验; 超出容量时丢掉最旧的20%
+    push(experience) {
+        this._items.push({ experience, priority: this._maxPriority });
+        if (this._items.length > this.capacity) {
+            this._items.splice(0, Math.floor(this.capacity * 0.2));
+        }
+    }
+
+    /**
+     * 按优先级抽k条 (可重复)
+     * @returns {Array<{ index, experience, weight }>} index供 updatePriorities 回写
+     */
+    sample(k) {
+        const n = this._items.length;
+        if (n === 0) return [];
+        const prefix = new Float64Array(n);
+        let total = 0;
+        for (let i = 0; i < n; i++) {
+            total += this._items[i].priority;
+            prefix[i] = total;
+        }
+
+        const picks = [];
+        let maxWeight = 0;
+        for (let j = 0; j < k; j++) {
+            const r = Math.random() * total;
+            let lo = 0, hi = n - 1;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (prefix[mid] > r) hi = mid; else lo = mid + 1;
+            }
+            const weight = Math.pow(n * this._items[lo].priority / total, -this.beta);
+            maxWeight = Math.max(maxWeight, weight);
+            picks.push({ index: lo, experience: this._items[lo].experience, weight });
+        }
+        for (const pick of picks) pick.weight /= maxWeight;
+        this.beta = Math.min(1, this.beta + this._betaStep);
+        return picks;
+    }
+
+    // 用新的TD误差更新被抽中经验的优先级
+    updatePriorities(indices, tdErrors) {
+        indices.forEach((index, i) => {
+            const item = this._items[index];
+            if (!item) return;
+            item.priority = Math.pow(Math.abs(tdErrors[i]) + this.epsilon, this.alpha);
+            this._maxPriority = Math.max(this._maxPriority, item.priority);
+        });
+    }
+
+    experiences() {
+        return this._items.map(item => item.experience);
+    }
+
+    toJSON() {
+        return {
+            beta: this.beta,
+            maxPriority: this._maxPriority,
+            items: this._items.map(item => ({ ...item.experience, p: item.priority })),
+        };
+    }
+
+    /**
+     * @param {Function} [accept] - 过滤经验 (如状态格式与当前模式不符的丢掉)
+     */
+    static fromJSON(data, options = {}, accept = () => true) {
+        const buffer = new PrioritizedReplayBuffer(options);
+        if (!data || !Array.isArray(data.items)) return buffer;
+        if (typeof data.beta === 'number') buffer.beta = Math.max(buffer.beta, data.beta);
+        buffer._maxPriority = data.maxPriority || 1;
+        for (const { p, ...experience } of data.items) {
+            if (accept(experience)) buffer._items.push({ experience, priority: p || buffer._maxPriority });
+        }
+        if (buffer._items.length > buffer.capacity) buffer._items.splice(0, buffer._items.length - buffer.capacity);
+        return buffer;
+    }
+}
+
+module.exports = { PrioritizedReplayBuffer };
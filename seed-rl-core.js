@@ -0,0 +1,562 @@
+/**
+ * 活体种子AI - 强化学习核心 v1.0
+ *
+ * RealQLearner — 全系统共用的一份Q策略:
+ *   - NeuroBrain 的基底神经节 (BasalGanglia) 用它选动作、收 execute() 的奖惩
+ *   - MCTSPlanner 读它的Q值评估叶子节点, 按它记下的真实转移模拟 (seed-vector-brain.js)
+ *   mode: 'tabular' (默认, 离散状态键) | 'linear' | 'mlp' (连续特征向量上的Q函数, 见 seed-q-function.js)
+ *   函数近似模式下 encodeState 返回特征向量, selectAction/receiveReward 用法不变
+ *   经验回放按TD误差优先抽样, 随Q-table持久化 (seed-replay-buffer.js)
+ *
+ * 动作空间可扩展: selectAction 传入的新动作自动登记 (Q函数输出层随之加宽)
+ * 大脑的操作动词 (NAVIGATE/CLICK/TYPE...) 不进动作空间, 经 toPlanningAction 归到 DEFAULT_ACTIONS 再记账
+ * 旧版基底神经节的哈希状态Q表无法还原成状态, 由 importActionPriors 折算成各动作的先验价值
+ * selectAction/receiveReward 传感知对象 (而非编码后的状态) 时, 真实的 (状态, 动作, 下一状态)
+ *   记入 TransitionModel, 供MCTS规划器按经验模拟
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createQFunction, qFunctionFromJSON } = require('./seed-q-function');
+const { PrioritizedReplayBuffer } = require('./seed-replay-buffer');
+
+const C = { green: '\x1b[32m', reset: '\x1b[0m' };
+
+const DEFAULT_ACTIONS = [
+    'ANALYZE', 'LEARN', 'EVOLVE', 'REPAIR', 'DEPLOY',
+    'SEARCH', 'WAIT', 'EXPLORE', 'OPTIMIZE', 'COMMUNICATE',
+];
+
+// 大脑决策的操作动词 → 规划动作 (Q表/MCTS只认规划动作, 动词按意图归类)
+const ACTION_CATEGORIES = {
+    NAVIGATE: 'SEARCH', OBSERVE: 'ANALYZE', THINK: 'ANALYZE', DONE: 'ANALYZE',
+    CLICK: 'EXPLORE', TYPE: 'EXPLORE', EXECUTE_PROCEDURE: 'EXPLORE', STOP: 'WAIT',
+};
+
+// 规划动作原样返回, 已知动词归类, 其余返回null (不参与学习)
+function toPlanningAction(action) {
+    if (DEFAULT_ACTIONS.includes(action)) return action;
+    return ACTION_CATEGORIES[action] || null;
+}
+
+// 连续状态特征 (各维归一到0~1)
+const STATE_FEATURES = ['memUsed', 'knowledge', 'cycle', 'hasError', 'errorCount', 'stagnation', 'aiProviders', 'cpuLoad'];
+
+// 转移模型记录的数值字段 (记增量); hasError 记转移后的值
+const TRANSITION_FIELDS = ['knowledgeCount', 'memUsedPct', 'stagnationCycles', 'cycle', 'instances', 'cpuLoad', 'aiProviders'];
+
+// 感知里的错误: 规划器状态直接给hasError, 真实感知看OCR关键词
+function perceivedError(perception) {
+    if (typeof perception.hasError === 'boolean') return perception.hasError;
+    return perception.keywords?.some(k => k.type === 'error') || false;
+}
+
+function isPerception(state) {
+    return state !== null && typeof state === 'object' && !Array.isArray(state);
+}
+
+// ═══════════════════════════════════════════════
+//  经验转移模型: (离散状态, 动作) → 实际观察到的结果 (各字段增量 + 是否出错)
+//  每对最多保留 maxSamples 个样本 (蓄水池抽样, 新旧经验等概率留存)
+// ═══════════════════════════════════════════════
+
+class TransitionModel {
+    /**
+     * @param {Function} keyOf - 感知 → 离散状态键 (RealQLearner.encodeKey)
+     * @param {Object} [options] - maxSamples(每对样本上限, 默认50)
+     */
+    constructor(keyOf, options = {}) {
+        this._keyOf = keyOf;
+        this._maxSamples = options.maxSamples || 50;
+        this._pairs = new Map(); // `${key}#${action}` → { seen, samples: [{ d: {字段: 增量}, e: hasError }] }
+    }
+
+    get size() { return this._pairs.size; }
+
+    record(before, action, after) {
+        const outcome = { d: {}, e: perceivedError(after) };
+        for (const field of TRANSITION_FIELDS) {
+            if (typeof before[field] === 'number' && typeof after[field] === 'number') {
+                outcome.d[field] = after[field] - before[field];
+            }
+        }
+        const id = `${this._keyOf(before)}#${action}`;
+        const pair = this._pairs.get(id) || { seen: 0, samples: [] };
+        pair.seen++;
+        if (pair.samples.length < this._maxSamples) {
+            pair.samples.push(outcome);
+        } else {
+            const slot = Math.floor(Math.random() * pair.seen);
+            if (slot < this._maxSamples) pair.samples[slot] = outcome;
+        }
+        this._pairs.set(id, pair);
+    }
+
+    count(state, action) {
+        return this._pairs.get(`${this._keyOf(state)}#${action}`)?.seen || 0;
+    }
+
+    // 按经验抽一个结果作用到state上; 没见过这对时返回null
+    sample(state, action) {
+        const samples = this._pairs.get(`${this._keyOf(state)}#${action}`)?.samples;
+        if (!samples || samples.length === 0) return null;
+        const outcome = samples[Math.floor(Math.random() * samples.length)];
+        const next = { ...state, hasError: outcome.e };
+        for (const [field, delta] of Object.entries(outcome.d)) {
+            next[field] = (typeof next[field] === 'number' ? next[field] : 0) + delta;
+        }
+        if (typeof next.memUsedPct === 'number') next.memUsedPct = Math.max(0, Math.min(100, next.memUsedPct));
+        return next;
+    }
+
+    getStats() {
+        let samples = 0, seen = 0;
+        for (const pair of this._pairs.values()) {
+            samples += pair.samples.length;
+            seen += pair.seen;
+        }
+        return { pairs: this._pairs.size, samples, observed: seen };
+    }
+
+    toJSON() {
+        return Object.fromEntries(this._pairs);
+    }
+
+    load(data) {
+        for (const [id, pair] of Object.entries(data || {})) {
+            if (Array.isArray(pair?.samples)) this._pairs.set(id, { seen: pair.seen || pair.samples.length, samples: pair.samples });
+        }
+    }
+}
+
+class RealQLearner {
+    /**
+     * @param {Object} [options] - learningRate(表格α), discountFactor, epsilon, dbPath,
+     *   mode('tabular'|'linear'|'mlp'), hidden(MLP隐层宽度), fnLearningRate(Q函数学习率),
+     *   replay(优先回放参数, 见 seed-replay-buffer.js), batchSize(每次回放条数, 默认16),
+     *   actions(初始动作空间, 默认 DEFAULT_ACTIONS)
+     */
+    constructor(options = {}) {
+        this._mode = options.mode || 'tabular';
+        if (!['tabular', 'linear', 'mlp'].includes(this._mode)) throw new Error(`unknown_q_mode:${this._mode}`);
+        this._alpha = options.learningRate || 0.15;    // 学习率
+        this._gamma = options.discountFactor || 0.9;   // 折扣因子
+        this._epsilon = options.epsilon || 0.15;       // 探索率
+        this._epsilonDecay = 0.999;                    // 探索衰减
+        this._minEpsilon = 0.05;
+
+        // 动作空间 (可扩展)
+        this._actions = [...(options.actions || DEFAULT_ACTIONS)];
+
+        // Q-table: Map<stateKey, Map<action, qValue>>
+        this._qTable = new Map();
+        this._priors = new Map(); // action → 先验价值 (表格里还没学到时的默认Q值)
+
+        // 函数近似: 特征向量 → 各动作Q值
+        this._fnOptions = { hidden: options.hidden, learningRate: options.fnLearningRate };
+        this._qFunction = this._mode === 'tabular' ? null
+            : createQFunction(this._mode, STATE_FEATURES.length, this._actions.length, this._fnOptions);
+        this._savedQFunction = null; // 表格模式下读到的Q函数权重, 保存时原样写回
+
+        // 经验回放缓冲 (按TD误差优先抽样, 随Q-table持久化)
+        this._replayOptions = options.replay || {};
+        this._replay = new PrioritizedReplayBuffer(this._replayOptions);
+        this._batchSize = options.batchSize || 16;
+
+        // 真实转移统计 (MCTS规划器的经验动力学)
+        this.transitions = new TransitionModel(p => this.encodeKey(p), options.transitions);
+        this._lastPerception = null;
+
+        // 状态追踪
+        this._lastState = null;
+        this._lastAction = null;
+        this._totalReward = 0;
+        this._episodeRewards = [];
+        this._stats = {
+            decisions: 0, explorations: 0, exploitations: 0,
+            totalReward: 0, avgReward: 0, episodes: 0,
+        };
+
+        this._dbPath = options.dbPath || path.join(__dirname, 'q-learning-table.json');
+        this._load();
+    }
+
+    get mode() { return this._mode; }
+
+    get actions() { return [...this._actions]; }
+
+    // 登记新动作 (函数近似模式加宽输出层), 返回新增数
+    addActions(actions) {
+        const added = [...new Set(actions)].filter(a => !this._actions.includes(a));
+        if (added.length === 0) return 0;
+        this._actions.push(...added);
+        this._qFunction?.addOutputs(added.length);
+        return added.length;
+    }
+
+    /**
+     * 导入旧版Q表 { 状态哈希: { 动作: 价值 } } (如基底神经节的 actionValues)
+     * 哈希状态无法还原, 按动作取各状态的平均价值作先验: 表格模式下是未学过的(状态,动作)的默认Q值,
+     * 函数近似模式下写成该动作的输出偏置
+     * @returns {{ states, actions }} 导入的状态数与得到先验的动作数
+     */
+    importActionPriors(actionValues) {
+        const sums = new Map();
+        let states = 0;
+        for (const values of actionValues instanceof Map ? actionValues.values() : Object.values(actionValues || {})) {
+            states++;
+            for (const [action, value] of Object.entries(values || {})) {
+                if (typeof value !== 'number' || !isFinite(value)) continue;
+                const sum = sums.get(action) || { total: 0, n: 0 };
+                sum.total += value;
+                sum.n++;
+                sums.set(action, sum);
+            }
+        }
+        this.addActions([...sums.keys()]);
+        for (const [action, { total, n }] of sums) {
+            this._priors.set(action, total / n);
+            this._qFunction?.setBias(this._actions.indexOf(action), total / n);
+        }
+        return { states, actions: sums.size };
+    }
+
+    // 探索率 (如沿用旧版基底神经节的 explorationRate), 限制在 [最小探索率, 1]
+    setEpsilon(epsilon) {
+        if (typeof epsilon !== 'number' || !isFinite(epsilon)) return;
+        this._epsilon = Math.max(this._minEpsilon, Math.min(1, epsilon));
+    }
+
+    // ═══ 核心: 状态→特征向量→离散化 (函数近似模式直接返回特征向量) ═══
+    encodeState(perception) {
+        return this._qFunction ? this.encodeFeatures(perception) : this.encodeKey(perception);
+    }
+
+    // 离散状态键 (表格模式的状态; 任何模式下的转移统计也按它分组)
+    encodeKey(perception) {
+        // 将连续感知转化为离散状态键
+        const features = [];
+
+        // 内存压力: low/medium/high
+        const memPct = perception.memUsedPct || 50;
+        features.push(memPct < 40 ? 'mem_low' : memPct < 75 ? 'mem_med' : 'mem_high');
+
+        // 知识水平: few/some/many
+        const knowledge = perception.knowledgeCount || 0;
+        features.push(knowledge < 50 ? 'know_few' : knowledge < 200 ? 'know_some' : 'know_many');
+
+        // 时段: 根据运行周期
+        const cycle = perception.cycle || 0;
+        features.push(cycle < 10 ? 'early' : cycle < 100 ? 'mid' : 'late');
+
+        // 错误状态
+        features.push(perceivedError(perception) ? 'error' : 'ok');
+
+        // 进化停滞
+        const stagnation = perception.stagnationCycles || 0;
+        features.push(stagnation > 5 ? 'stagnant' : 'active');
+
+        // AI资源
+        const aiAvailable = perception.aiProviders || 3;
+        features.push(aiAvailable > 5 ? 'ai_rich' : aiAvailable > 2 ? 'ai_ok' : 'ai_poor');
+
+        return features.join('|');
+    }
+
+    // 连续特征向量 (顺序见 STATE_FEATURES), 相邻状态的特征相近, Q函数可以在它们之间泛化
+    encodeFeatures(perception) {
+        const errors = perception.keywords?.filter(k => k.type === 'error').length || 0;
+        const scale = (value, max) => Math.min(1, Math.log1p(Math.max(0, value)) / Math.log1p(max));
+        return [
+            (perception.memUsedPct ?? 50) / 100,
+            scale(perception.knowledgeCount || 0, 1000),
+            scale(perception.cycle || 0, 1000),
+            perceivedError(perception) ? 1 : 0,
+            Math.min(1, errors / 5),
+            Math.min(1, (perception.stagnationCycles || 0) / 10),
+            Math.min(1, (perception.aiProviders || 3) / 10),
+            Math.min(1, (perception.cpuLoad || 0) / os.cpus().length),
+        ];
+    }
+
+    // ═══ 核心: 选择动作 (ε-greedy); availableActions 限定候选, 其中的新动作自动登记 ═══
+    // state: 编码后的状态, 或感知对象 (内部编码, 并记下原始感知供转移统计)
+    selectAction(state, availableActions = null) {
+        this._lastPerception = isPerception(state) ? state : null;
+        const stateKey = this._lastPerception ? this.encodeState(state) : state;
+        this._stats.decisions++;
+        const candidates = availableActions?.length ? availableActions : this._actions;
+        this.addActions(candidates);
+
+        // ε-greedy 探索
+        if (Math.random() < this._epsilon) {
+            this._stats.explorations++;
+            const action = candidates[Math.floor(Math.random() * candidates.length)];
+            this._lastState = stateKey;
+            this._lastAction = action;
+            return { action, method: 'explore', epsilon: this._epsilon };
+        }
+
+        // 利用: 选择Q值最高的动作
+        this._stats.exploitations++;
+        const qValues = this._actionValues(stateKey);
+        let bestAction = candidates[0];
+        let bestQ = -Infinity;
+
+        for (const action of candidates) {
+            const q = qValues[this._actions.indexOf(action)];
+            if (q > bestQ) {
+                bestQ = q;
+                bestAction = action;
+            }
+        }
+
+        this._lastState = stateKey;
+        this._lastAction = bestAction;
+
+        // 衰减探索率
+        this._epsilon = Math.max(this._minEpsilon, this._epsilon * this._epsilonDecay);
+
+        return { action: bestAction, method: 'exploit', qValue: bestQ, epsilon: this._epsilon };
+    }
+
+    // 记录别处决定并执行的动作 (不走ε-greedy), 下一次 receiveReward 归因给它; 动作须已在动作空间
+    // state 同 selectAction: 编码后的状态或感知对象
+    recordAction(state, action) {
+        if (!this._actions.includes(action)) return false;
+        this._lastPerception = isPerception(state) ? state : null;
+        this._stats.decisions++;
+        this._lastState = this._lastPerception ? this.encodeState(state) : state;
+        this._lastAction = action;
+        return true;
+    }
+
+    // ═══ 核心: 接收奖励并更新Q-table / Q函数 ═══
+    receiveReward(reward, newState) {
+        if (!this._lastState || !this._lastAction) return;
+        const newStateKey = isPerception(newState) ? this.encodeState(newState) : newState;
+
+        const { oldQ, newQ } = this._update(this._lastState, this._lastAction, reward, newStateKey);
+
+        // 前后都是感知对象: 记一条真实转移
+        if (this._lastPerception && isPerception(newState)) {
+            this.transitions.record(this._lastPerception, this._lastAction, newState);
+        }
+
+        // 经验回放
+        this._replay.push({
+            state: this._lastState,
+            action: this._lastAction,
+            reward,
+            nextState: newStateKey,
+        });
+
+        // 小批量经验回放
+        this._replayLearn();
+
+        this._totalReward += reward;
+        this._stats.totalReward += reward;
+        this._stats.avgReward = this._stats.totalReward / this._stats.decisions;
+
+        return { oldQ, newQ, reward, delta: newQ - oldQ };
+    }
+
+    // ═══ 经验回放学习: 按优先级抽一批, 步长乘重要性采样权重, 回写新的TD误差 ═══
+    // 返回这批的平均|TD误差|, 经验不足一批时为null
+    _replayLearn() {
+        if (this._replay.size < this._batchSize) return null;
+
+        const batch = this._replay.sample(this._batchSize);
+        const tdErrors = batch.map(({ experience: exp, weight }) =>
+            this._update(exp.state, exp.action, exp.reward, exp.nextState, 0.5 * weight).tdError);
+        this._replay.updatePriorities(batch.map(b => b.index), tdErrors);
+        return tdErrors.reduce((sum, e) => sum + Math.abs(e), 0) / tdErrors.length;
+    }
+
+    /**
+     * 离线重训: 不跑决策循环, 只用存下的经验回放n批 (如重启后、换Q函数模式后), 完成后保存
+     * @returns {{ batches, updates, firstTdError, lastTdError }} 首/末批的平均|TD误差|
+     */
+    replayOffline(n = 100) {
+        let batches = 0, firstTdError = null, lastTdError = null;
+        for (let i = 0; i < n; i++) {
+            const tdError = this._replayLearn();
+            if (tdError === null) break;
+            if (firstTdError === null) firstTdError = tdError;
+            lastTdError = tdError;
+            batches++;
+        }
+        if (batches > 0) this._save();
+        return { batches, updates: batches * this._batchSize, firstTdError, lastTdError };
+    }
+
+    // 一步TD更新: Q(s,a) = Q(s,a) + α * (r + γ * max(Q(s',a')) - Q(s,a)); rate缩放步长 (回放用0.5×IS权重)
+    _update(state, action, reward, nextState, rate = 1) {
+        const oldQ = this._getQ(state, action);
+        const target = reward + this._gamma * this._getMaxQ(nextState);
+        if (this._qFunction) {
+            this._qFunction.update(state, this._actions.indexOf(action), target, rate);
+            return { oldQ, newQ: this._getQ(state, action), tdError: target - oldQ };
+        }
+        const newQ = oldQ + this._alpha * rate * (target - oldQ);
+        this._setQ(state, action, newQ);
+        return { oldQ, newQ, tdError: target - oldQ };
+    }
+
+    // 状态格式是否适用于当前模式 (表格: 状态键字符串; 函数近似: 特征向量)
+    _isStateForMode(state) {
+        return this._qFunction ? Array.isArray(state) && state.length === STATE_FEATURES.length : typeof state === 'string';
+    }
+
+    // 各动作的Q值 (按 this._actions 顺序)
+    _actionValues(state) {
+        if (this._qFunction) return this._qFunction.predict(state);
+        const qValues = this._getQValues(state);
+        return this._actions.map(action => qValues.get(action) ?? this._priors.get(action) ?? 0);
+    }
+
+    // ═══ Q-table操作 ═══
+    _getQValues(state) {
+        if (!this._qTable.has(state)) {
+            this._qTable.set(state, new Map());
+        }
+        return this._qTable.get(state);
+    }
+
+    _getQ(state, action) {
+        if (this._qFunction) return this._qFunction.predict(state)[this._actions.indexOf(action)];
+        return this._getQValues(state).get(action) ?? this._priors.get(action) ?? 0;
+    }
+
+    _setQ(state, action, value) {
+        this._getQValues(state).set(action, value);
+    }
+
+    _getMaxQ(state) {
+        if (this._qFunction) return Math.max(...this._qFunction.predict(state));
+        return Math.max(0, ...this._actionValues(state));
+    }
+
+    // ═══ 计算奖励信号 (从环境反馈) ═══
+    static computeReward(beforeState, afterState, actionResult) {
+        let reward = 0;
+
+        // 知识增长 → 正奖励
+        const knowledgeDelta = (afterState.knowledgeCount || 0) - (beforeState.knowledgeCount || 0);
+        reward += knowledgeDelta * 0.5;
+
+        // 错误修复 → 大正奖励
+        if (beforeState.hasError && !afterState.hasError) reward += 3.0;
+
+        // 产生新错误 → 大负奖励
+        if (!beforeState.hasError && afterState.hasError) reward -= 5.0;
+
+        // 进化成功 → 正奖励
+        if (actionResult?.evolved) reward += 2.0;
+
+        // 停滞 → 小负奖励
+        if (afterState.stagnationCycles > beforeState.stagnationCycles) reward -= 0.5;
+
+        // 内存泄漏 → 负奖励
+        const memDelta = (afterState.memUsedPct || 0) - (beforeState.memUsedPct || 0);
+        if (memDelta > 10) reward -= 1.0;
+
+        // WAIT惩罚 (鼓励行动)
+        if (actionResult?.action === 'WAIT') reward -= 0.2;
+
+        return Math.max(-10, Math.min(10, reward)); // 裁剪到[-10, 10]
+    }
+
+    // ═══ 持久化 (返回是否写入成功) ═══
+    _save() {
+        try {
+            const tableData = {};
+            for (const [state, actions] of this._qTable) {
+                tableData[state] = Object.fromEntries(actions);
+            }
+            fs.writeFileSync(this._dbPath, JSON.stringify({
+                version: 1,
+                mode: this._mode,
+                actions: this._actions,
+                actionPriors: Object.fromEntries(this._priors),
+                qTable: tableData,
+                qFunction: this._qFunction ? this._qFunction.toJSON() : this._savedQFunction || null,
+                epsilon: this._epsilon,
+                stats: this._stats,
+                replay: this._replay.toJSON(),
+                transitions: this.transitions.toJSON(),
+            }, null, 2));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    _load() {
+        try {
+            if (!fs.existsSync(this._dbPath)) return;
+            const data = JSON.parse(fs.readFileSync(this._dbPath, 'utf8'));
+            if (data.version !== 1) return;
+
+            for (const [state, actions] of Object.entries(data.qTable || {})) {
+                this._qTable.set(state, new Map(Object.entries(actions)));
+            }
+            if (Array.isArray(data.actions)) this.addActions(data.actions);
+            this._priors = new Map(Object.entries(data.actionPriors || {}));
+            // Q函数权重: 类型/维度/动作顺序一致才接着用; 表格模式下原样保留, 切回时不丢
+            let restored = null;
+            if (this._qFunction) {
+                const sameActions = !data.actions || data.actions.every((a, i) => this._actions[i] === a);
+                restored = sameActions && qFunctionFromJSON(data.qFunction, {
+                    type: this._mode, inputDim: STATE_FEATURES.length, outputDim: this._actions.length,
+                }, this._fnOptions);
+                if (restored) this._qFunction = restored;
+            } else {
+                this._savedQFunction = data.qFunction || null;
+            }
+            if (data.epsilon) this._epsilon = data.epsilon;
+            if (data.stats) Object.assign(this._stats, data.stats);
+            // 经验池: 只保留状态格式与当前模式相符的 (换模式后旧格式的经验用不上)
+            this._replay = PrioritizedReplayBuffer.fromJSON(data.replay, this._replayOptions,
+                exp => this._actions.includes(exp.action) && this._isStateForMode(exp.state) && this._isStateForMode(exp.nextState));
+            this.transitions.load(data.transitions);
+
+            const states = this._qTable.size;
+            console.log(restored
+                ? `${C.green}[QLearner]${C.reset} 加载Q函数(${this._mode}): ${this._qFunction.parameters}个参数, ${this._replay.size}条经验, ε=${this._epsilon.toFixed(3)}`
+                : `${C.green}[QLearner]${C.reset} 加载Q-table: ${states}个状态, ${this._replay.size}条经验, ε=${this._epsilon.toFixed(3)}`);
+        } catch {}
+    }
+
+    save() { return this._save(); }
+
+    getStats() {
+        return {
+            ...this._stats,
+            mode: this._mode,
+            epsilon: this._epsilon,
+            actions: this._actions.length,
+            statesLearned: this._qTable.size,
+            parameters: this._qFunction?.parameters || 0,
+            replayBufferSize: this._replay.size,
+            replayBeta: this._replay.beta,
+            transitions: this.transitions.getStats(),
+        };
+    }
+
+    // 获取当前最佳策略摘要 (Q-table里的离散状态; 函数近似模式没有离散状态, 为空)
+    getPolicy() {
+        const policy = {};
+        for (const [state, actions] of this._qTable) {
+            let bestAction = 'WAIT', bestQ = -Infinity;
+            for (const [action, q] of actions) {
+                if (q > bestQ) { bestQ = q; bestAction = action; }
+            }
+            policy[state] = { action: bestAction, qValue: bestQ };
+        }
+        return policy;
+    }
+}
+
+module.exports = { RealQLearner, TransitionModel, STATE_FEATURES, DEFAULT_ACTIONS, toPlanningAction };
@@ -3,16 +3,22 @@
  *
  * 4大突破，从L3推向L4:
  *   1. VectorMemory    — 向量记忆 + 语义检索 (替代hash去重)
- *   2. RealQLearner    — 真正Q-Learning决策 (替代规则匹配)
+ *   2. RealQLearner    — 真正Q-Learning决策 (替代规则匹配), 在 seed-rl-core.js, 与NeuroBrain基底神经节共用
  *   3. MCTSPlanner     — 蒙特卡洛搜索树 (多步规划)
  *   4. KnowledgeGraph  — 知识图谱 (实体+关系+图推理)
  *
- * 依赖: Ollama nomic-embed-text (768维, 274MB)
+ * 依赖: Ollama nomic-embed-text (768维, 274MB); 不可用时 OpenAI兼容embeddings 或纯JS哈希向量 (seed-embeddings.js)
+ * VectorMemory的近似最近邻索引见 seed-vector-index.js (HNSW), 磁盘格式见 seed-vector-store.js (追加写分段),
+ * 元数据过滤DSL与BM25关键词检索见 seed-vector-search.js
  */
 
 const fs = require('fs');
 const path = require('path');
-const http = require('http');
+const { HNSWIndex } = require('./seed-vector-index');
+const { VectorStore } = require('./seed-vector-store');
+const { resolveEmbedder } = require('./seed-embeddings');
+const { matchFilter, BM25Index } = require('./seed-vector-search');
+const { RealQLearner, DEFAULT_ACTIONS } = require('./seed-rl-core');
 
 const C = {
     red: '\x1b[31m', green: '\x1b[32m', yellow: '\x1b[33m',
@@ -22,34 +28,93 @@ const C = {
 
 // ═══════════════════════════════════════════════
 //  1. 向量记忆系统 (Vector Memory)
-//     Ollama embedding → 余弦相似 → 语义检索
+//     多个命名集合 (代码/知识/情景...), 各自的容量上限、淘汰策略、embedding模型
+//     每个集合: embedding (Ollama/OpenAI/哈希) → 余弦相似 → 语义检索
+//     记忆数达到 annThreshold 后走HNSW索引, 索引异常/结果不足时退回暴力搜索
+//     存储记录embedding后端签名与维度, 换模型时用原文重新向量化 (reembed)
+//     'auto' 解析到的后端与存储不符 (如Ollama暂时不可用退到哈希) 时不迁移, 集合降级为只读:
+//       向量检索不可用 (混合检索只剩关键词分), add失败, 过一段时间重新探测
+//     每条记忆添加即落盘 (追加写), 死槽位多了自动压缩
+//     search 支持元数据/时间过滤, 以及BM25关键词分与余弦相似度的混合排序
 // ═══════════════════════════════════════════════
 
-class VectorMemory {
+// 后端签名: 内置后端自带, 自定义对象按 name:model
+function embedderSignature(embedder) {
+    return embedder.signature || `${embedder.name || 'custom'}:${embedder.model || 'default'}`;
+}
+
+// 淘汰策略 (比较函数, 排在前面的先淘汰)
+const EVICTION_POLICIES = {
+    score: (a, b) => (a.accessCount * 0.3 + a.timestamp / 1e12) - (b.accessCount * 0.3 + b.timestamp / 1e12), // 访问少且旧的先走
+    fifo: (a, b) => a.timestamp - b.timestamp,
+    lfu: (a, b) => a.accessCount - b.accessCount || a.timestamp - b.timestamp,
+};
+
+class VectorCollection {
+    /**
+     * @param {Object} [options] - name(集合名, 默认default), maxSize,
+     *   eviction('score'默认 | 'fifo' | 'lfu' | 比较函数), evictRatio(超限时淘汰的比例, 默认0.1),
+     *   dir(存储目录, 默认dbPath去掉.json), dbPath(旧版JSON, 存在则首次打开时导入),
+     *   durable(每次追加fsync, 默认true),
+     *   embedder('auto'默认 | 'ollama' | 'openai' | 'hash' | {type,...} | 自定义{embed(text)}),
+     *   model/ollamaHost/ollamaPort(Ollama参数), openai({apiKey, baseURL, model, dimensions}), hash({dim}),
+     *   retryDelay('auto'降级只读后多久重新探测原后端, 默认60000ms),
+     *   ann(false关闭索引), annThreshold(启用索引的最少记忆数, 默认500), hnsw(HNSWIndex参数: M/efConstruction/efSearch)
+     */
     constructor(options = {}) {
-        this._embedModel = options.model || 'nomic-embed-text';
-        this._dim = 768;  // nomic-embed-text 输出768维
+        this.name = options.name || 'default';
+        this._tag = this.name === 'default' ? '[VectorMem]' : `[VectorMem:${this.name}]`;
+        this._dim = null;       // 由embedding后端决定; 加载时先取存储记录的维度
         this._vectors = [];     // [{id, text, vector, metadata, timestamp}]
-        this._maxSize = options.maxSize || 5000;
-        this._dbPath = options.dbPath || path.join(__dirname, 'vector-memory.json');
-        this._ollamaHost = options.ollamaHost || 'localhost';
-        this._ollamaPort = options.ollamaPort || 11434;
+        this.setPolicy(options);
+        this._dbPath = options.dbPath !== undefined ? options.dbPath : path.join(__dirname, 'vector-memory.json');
+        this._store = new VectorStore(options.dir || this._dbPath.replace(/\.json$/, ''), { durable: options.durable });
+        this._embedderSpec = options.embedder || 'auto';
+        this._embedderOptions = {
+            ollama: { model: options.model, host: options.ollamaHost, port: options.ollamaPort },
+            openai: options.openai,
+            hash: options.hash,
+        };
+        this._embedder = null;       // 解析后的后端 (首次embed时探测)
+        this._storedEmbedder = null; // 已存向量所用后端的签名
+        this._ready = null;          // 后端解析+迁移的Promise
+        this._degraded = null;       // { embedder, since, retryAt } 'auto'解析到的后端与已存向量不符, 只读
+        this._retryDelay = options.retryDelay ?? 60000;
+        this._allowMigration = false; // reembed() 显式要求迁移
         this._cache = new Map(); // text → vector 缓存
-        this._stats = { embedCalls: 0, searches: 0, hits: 0 };
+        this._byId = new Map();  // id → entry
+        this._bm25 = new BM25Index(); // 关键词倒排 (加载时由原文重建, 不落盘)
+        this._index = options.ann === false ? null : new HNSWIndex(options.hnsw);
+        this._annThreshold = options.annThreshold ?? 500;
+        this._stats = { embedCalls: 0, searches: 0, hits: 0, annSearches: 0, exactSearches: 0, evicted: 0 };
         this._load();
     }
 
+    // 容量与淘汰策略 (可在运行中调整, 不影响已存数据)
+    setPolicy({ maxSize, eviction, evictRatio } = {}) {
+        if (maxSize !== undefined || !this._maxSize) this._maxSize = maxSize || 5000;
+        if (eviction !== undefined || !this._eviction) {
+            const policy = typeof eviction === 'function' ? eviction : EVICTION_POLICIES[eviction || 'score'];
+            if (!policy) throw new Error(`unknown_eviction:${eviction}`);
+            this._eviction = policy;
+            this._evictionName = typeof eviction === 'function' ? 'custom' : (eviction || 'score');
+        }
+        if (evictRatio !== undefined || !this._evictRatio) this._evictRatio = evictRatio || 0.1;
+    }
+
     // ═══ 核心: 获取文本的向量表示 ═══
     async embed(text) {
         if (!text || text.length === 0) return null;
+        if (!(await this._prepare())) return null;
 
         // 缓存命中
         const cacheKey = text.substring(0, 200);
         if (this._cache.has(cacheKey)) return this._cache.get(cacheKey);
 
         try {
-            const vector = await this._ollamaEmbed(text);
-            if (vector && vector.length === this._dim) {
+            const vector = await this._embedder.embed(text);
+            if (vector && (this._dim === null || vector.length === this._dim)) {
+                this._dim = vector.length;
                 this._cache.set(cacheKey, vector);
                 if (this._cache.size > 1000) {
                     // LRU: 删除前500个
@@ -63,15 +128,112 @@ class VectorMemory {
         return null;
     }
 
+    // ═══ embedding后端: 首次使用时解析; 与已存向量的签名/维度不符则先迁移 ═══
+    _prepare() {
+        if (this._degraded && Date.now() < this._degraded.retryAt) return Promise.resolve(false);
+        if (!this._ready) {
+            this._ready = this._resolveEmbedder().then(ok => {
+                if (!ok) this._ready = null; // 迁移没完成: 下次再试
+                return ok;
+            });
+        }
+        return this._ready;
+    }
+
+    async _resolveEmbedder() {
+        try {
+            this._embedder = await resolveEmbedder(this._embedderSpec, { ...this._embedderOptions, prefer: this._storedEmbedder });
+        } catch (e) {
+            console.log(`${C.yellow}${this._tag}${C.reset} embedding后端不可用: ${e.message}`);
+            return false;
+        }
+        const signature = embedderSignature(this._embedder);
+        if (this._vectors.length === 0) {
+            // 空存储直接换后端; 残留的死槽位可能是旧维度, 一并清掉
+            if (signature !== this._storedEmbedder) this._store.compact([], { dim: null, embedder: signature });
+            this._storedEmbedder = signature;
+            this._dim = this._embedder.dim || null;
+            return true;
+        }
+        if (signature === this._storedEmbedder && (!this._embedder.dim || this._embedder.dim === this._dim)) {
+            if (this._degraded) console.log(`${C.green}${this._tag}${C.reset} embedding后端 ${signature} 已恢复, 退出只读`);
+            this._degraded = null;
+            return true;
+        }
+        // 'auto' 只是没探测到原后端: 保留已存向量, 不迁移 (显式配置其他后端或调用reembed才迁移)
+        if (this._embedderSpec === 'auto' && !this._allowMigration) {
+            if (!this._degraded) {
+                console.log(`${C.yellow}${this._tag}${C.reset} 已存向量用 ${this._storedEmbedder}, 当前只有 ${signature} 可用: 只读 (向量检索暂停, 不迁移)`);
+            }
+            this._degraded = { embedder: signature, since: this._degraded?.since || Date.now(), retryAt: Date.now() + this._retryDelay };
+            this._embedder = null;
+            return false;
+        }
+        this._migration = await this._migrate();
+        if (this._migration.ok) this._degraded = null;
+        return this._migration.ok;
+    }
+
+    /**
+     * 切换embedding后端, 签名/维度与已存向量不同时用原文重新向量化 (无损迁移)
+     * 任一条失败则放弃, 保留原向量 (后端恢复后下次使用时重试)
+     * @returns {{ ok, migrated, from, to, error? }}
+     */
+    async reembed(embedder = null) {
+        if (embedder) {
+            this._embedderSpec = embedder;
+            this._embedder = null;
+            this._ready = null;
+        }
+        this._migration = null;
+        this._degraded = null;
+        this._allowMigration = true;
+        let ok;
+        try {
+            ok = await this._prepare();
+        } finally {
+            this._allowMigration = false;
+        }
+        return this._migration || { ok, migrated: 0, from: this._storedEmbedder, to: ok ? this._storedEmbedder : null };
+    }
+
+    async _migrate() {
+        const from = this._storedEmbedder;
+        const to = embedderSignature(this._embedder);
+        const start = Date.now();
+        console.log(`${C.cyan}${this._tag}${C.reset} embedding后端变更 ${from}(${this._dim}维) → ${to}, 重新向量化${this._vectors.length}条...`);
+        const vectors = [];
+        for (const entry of this._vectors) {
+            const vector = await this._embedder.embed(entry.text);
+            if (!vector || (vectors.length > 0 && vector.length !== vectors[0].length)) {
+                console.log(`${C.yellow}${this._tag}${C.reset} 迁移中断 (${vectors.length}/${this._vectors.length}), 保留原向量`);
+                return { ok: false, migrated: 0, from, to, error: 'embed_failed' };
+            }
+            vectors.push(vector);
+        }
+        this._vectors.forEach((entry, i) => { entry.vector = vectors[i]; });
+        this._dim = vectors[0].length;
+        this._storedEmbedder = to;
+        this._cache.clear();
+        this._rebuildIndex();
+        this._store.compact(this._vectors, { dim: this._dim, embedder: to, index: this._index?.toJSON() });
+        console.log(`${C.green}${this._tag}${C.reset} 迁移完成: ${vectors.length}条 → ${to} (${this._dim}维, ${Date.now() - start}ms)`);
+        return { ok: true, migrated: vectors.length, from, to };
+    }
+
     // ═══ 添加记忆 (自动去重: 语义相似度>0.92则视为重复) ═══
-    async add(text, metadata = {}) {
+    // options.timestamp: 记忆对应的时间 (如知识的发布时间), 默认现在; options.dedup: false 不去重
+    // 返回新记忆的id, 重复或向量化失败时为false
+    async add(text, metadata = {}, options = {}) {
         const vector = await this.embed(text);
         if (!vector) return false;
 
         // 语义去重: 找最相似的现有记忆
-        const similar = this._findSimilar(vector, 1);
-        if (similar.length > 0 && similar[0].similarity > 0.92) {
-            return false; // 语义重复，跳过
+        if (options.dedup !== false) {
+            const similar = this._findSimilar(vector, 1);
+            if (similar.length > 0 && similar[0].similarity > 0.92) {
+                return false; // 语义重复，跳过
+            }
         }
 
         const entry = {
@@ -79,65 +241,215 @@ class VectorMemory {
             text: text.substring(0, 2000),
             vector,
             metadata,
-            timestamp: Date.now(),
+            timestamp: options.timestamp ?? Date.now(),
             accessCount: 0,
         };
 
+        try {
+            this._store.append(entry);
+        } catch (e) {
+            console.log(`${C.yellow}${this._tag}${C.reset} 写入失败: ${e.message}`);
+            return false;
+        }
         this._vectors.push(entry);
+        this._byId.set(entry.id, entry);
+        this._index?.insert(entry.id, vector);
+        this._bm25.add(entry.id, entry.text);
 
-        // 超过上限，删除最老最少访问的
+        // 超过上限，按集合的淘汰策略删除一批
         if (this._vectors.length > this._maxSize) {
-            this._vectors.sort((a, b) => {
-                const scoreA = a.accessCount * 0.3 + (a.timestamp / 1e12);
-                const scoreB = b.accessCount * 0.3 + (b.timestamp / 1e12);
-                return scoreA - scoreB;
-            });
-            this._vectors.splice(0, Math.floor(this._maxSize * 0.1));
+            const victims = [...this._vectors].sort(this._eviction)
+                .slice(0, Math.max(1, Math.floor(this._maxSize * this._evictRatio)));
+            this.remove(victims.map(e => e.id));
+            this._stats.evicted += victims.length;
         }
 
-        // 每100次添加自动保存
+        // 记忆已逐条落盘; 每100次添加写一次访问计数和索引快照 (死槽位多了顺带压缩)
         if (this._vectors.length % 100 === 0) this._save();
 
-        return true;
+        return entry.id;
     }
 
-    // ═══ 语义搜索: 找最相似的k条记忆 ═══
+    // ═══ 删除记忆 (内存/索引/磁盘日志), 返回删除条数 ═══
+    remove(ids) {
+        const removed = (Array.isArray(ids) ? ids : [ids]).filter(id => this._byId.has(id));
+        if (removed.length === 0) return 0;
+        const set = new Set(removed);
+        this._vectors = this._vectors.filter(v => !set.has(v.id));
+        for (const id of removed) {
+            this._byId.delete(id);
+            this._bm25.remove(id);
+        }
+        this._index?.remove(removed);
+        this._store.remove(removed);
+        return removed.length;
+    }
+
+    /**
+     * ═══ 语义搜索: 找最相似的k条记忆 ═══
+     * search(query, k, minSimilarity) 或 search(query, { k, minSimilarity, filter, since, until, hybrid })
+     *   filter: 元数据过滤 (见 seed-vector-search.js), 如 { source: 'github', stars: { $gte: 100 } }
+     *   since/until: 时间范围, 毫秒数 / Date / ISO字符串 / '7d' 这样的相对时长
+     *   hybrid: true 或向量权重(0~1, 默认0.7) — 余弦相似度与BM25关键词分加权;
+     *     关键词命中的条目不受minSimilarity限制, 拿不到查询向量时只按关键词排序
+     * 混合模式的结果多 score(综合分) 与 bm25 字段
+     */
     async search(query, k = 5, minSimilarity = 0.5) {
+        const opts = typeof k === 'object' && k !== null ? k : { k, minSimilarity };
+        const limit = opts.k ?? 5;
+        const minSim = opts.minSimilarity ?? 0.5;
+        const hybrid = opts.hybrid ? (typeof opts.hybrid === 'number' ? opts.hybrid : 0.7) : 0;
+        const filter = this._buildFilter(opts);
+
         const queryVector = await this.embed(query);
-        if (!queryVector) return [];
+        if (!queryVector && !hybrid) return [];
 
         this._stats.searches++;
-        const results = this._findSimilar(queryVector, k)
-            .filter(r => r.similarity >= minSimilarity);
+        const allowed = filter
+            ? new Set(this._vectors.filter(e => matchFilter(e, filter)).map(e => e.id))
+            : null;
+        const results = hybrid
+            ? this._hybridSearch(query, queryVector, limit, allowed, hybrid, minSim)
+            : this._vectorSearch(queryVector, limit, allowed).filter(r => r.similarity >= minSim);
 
         // 更新访问计数
         for (const r of results) {
-            const entry = this._vectors.find(v => v.id === r.id);
-            if (entry) entry.accessCount++;
+            const entry = this._byId.get(r.id);
+            if (entry) {
+                entry.accessCount++;
+                this._store.touch(entry.id, entry.accessCount);
+            }
         }
 
         if (results.length > 0) this._stats.hits++;
         return results;
     }
 
-    // ═══ 余弦相似度搜索 (纯CPU，无需GPU) ═══
+    // filter + since/until 合成一个过滤条件
+    _buildFilter({ filter, since, until }) {
+        const parts = [];
+        if (filter) parts.push(filter);
+        if (since !== undefined) parts.push({ timestamp: { $gte: since } });
+        if (until !== undefined) parts.push({ timestamp: { $lte: until } });
+        if (parts.length === 0) return null;
+        return parts.length === 1 ? parts[0] : { $and: parts };
+    }
+
+    // 带过滤的向量检索: 范围大时索引多取几倍再过滤, 不够或范围小时在范围内暴力搜索
+    _vectorSearch(queryVector, k, allowed) {
+        if (!allowed) return this._findSimilar(queryVector, k);
+        if (allowed.size === 0) return [];
+        if (this._index && allowed.size >= this._annThreshold) {
+            const hits = this._findSimilar(queryVector, k * 5).filter(r => allowed.has(r.id));
+            if (hits.length >= k) return hits.slice(0, k);
+        }
+        this._stats.exactSearches++;
+        return this._exactSimilar(queryVector, k, allowed);
+    }
+
+    // 混合检索: 向量候选 ∪ BM25候选, 按 weight×余弦 + (1-weight)×归一化BM25 排序
+    _hybridSearch(query, queryVector, k, allowed, weight, minSimilarity) {
+        const pool = Math.max(k * 5, 50);
+        const candidates = new Map(); // id → { similarity, bm25 }
+        if (queryVector) {
+            for (const r of this._vectorSearch(queryVector, pool, allowed)) {
+                candidates.set(r.id, { similarity: r.similarity, bm25: 0 });
+            }
+        }
+        for (const hit of this._bm25.search(query, pool, allowed)) {
+            const c = candidates.get(hit.id) || {
+                similarity: queryVector ? this._cosineSimilarity(queryVector, this._byId.get(hit.id).vector) : 0,
+            };
+            c.bm25 = hit.score;
+            candidates.set(hit.id, c);
+        }
+
+        const maxBm25 = Math.max(0, ...[...candidates.values()].map(c => c.bm25)) || 1;
+        const w = queryVector ? weight : 0;
+        return [...candidates]
+            .filter(([_, c]) => c.bm25 > 0 || c.similarity >= minSimilarity)
+            .map(([id, c]) => ({
+                ...this._toResult(this._byId.get(id), c.similarity),
+                bm25: c.bm25,
+                score: w * c.similarity + (1 - w) * c.bm25 / maxBm25,
+            }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k);
+    }
+
+    // ═══ 相似搜索: 记忆够多走HNSW索引, 否则/索引出错时暴力搜索 ═══
     _findSimilar(queryVector, k) {
+        if (this._index && this._vectors.length >= this._annThreshold) {
+            try {
+                const hits = this._index.search(queryVector, k);
+                const results = hits.filter(h => this._byId.has(h.id))
+                    .map(h => this._toResult(this._byId.get(h.id), h.similarity));
+                if (results.length >= Math.min(k, this._vectors.length)) {
+                    this._stats.annSearches++;
+                    return results;
+                }
+            } catch (e) {}
+        }
+        this._stats.exactSearches++;
+        return this._exactSimilar(queryVector, k);
+    }
+
+    // ═══ 余弦相似度暴力搜索 (纯CPU，无需GPU) ═══
+    _exactSimilar(queryVector, k, allowed = null) {
         const results = [];
+        const pool = allowed ? [...allowed].map(id => this._byId.get(id)) : this._vectors;
 
-        for (const entry of this._vectors) {
+        for (const entry of pool) {
             const sim = this._cosineSimilarity(queryVector, entry.vector);
-            results.push({
-                id: entry.id,
-                text: entry.text,
-                metadata: entry.metadata,
-                similarity: sim,
-                timestamp: entry.timestamp,
-            });
+            results.push(this._toResult(entry, sim));
         }
 
         return results.sort((a, b) => b.similarity - a.similarity).slice(0, k);
     }
 
+    _toResult(entry, similarity) {
+        return {
+            id: entry.id,
+            text: entry.text,
+            metadata: entry.metadata,
+            similarity,
+            timestamp: entry.timestamp,
+        };
+    }
+
+    /**
+     * 召回率自检: 随机抽已存向量 (各维±10%扰动) 作查询, 对比索引与暴力搜索的top-k
+     * @returns {{ recall, samples, k, annMs, exactMs } | null} 无索引或无记忆时为null
+     */
+    checkRecall(samples = 50, k = 10) {
+        if (!this._index || this._vectors.length === 0) return null;
+        let found = 0, expected = 0, annMs = 0, exactMs = 0;
+        for (let i = 0; i < samples; i++) {
+            const base = this._vectors[Math.floor(Math.random() * this._vectors.length)].vector;
+            const query = base.map(x => x * (0.9 + Math.random() * 0.2));
+            let t = performance.now();
+            const ann = new Set(this._index.search(query, k).map(r => r.id));
+            annMs += performance.now() - t;
+            t = performance.now();
+            const exact = this._exactSimilar(query, k);
+            exactMs += performance.now() - t;
+            found += exact.filter(r => ann.has(r.id)).length;
+            expected += exact.length;
+        }
+        return {
+            recall: expected > 0 ? found / expected : 1,
+            samples, k,
+            annMs: Math.round(annMs), exactMs: Math.round(exactMs),
+        };
+    }
+
+    // 全量重建索引 (索引文件缺失/与记忆不一致时)
+    _rebuildIndex() {
+        if (!this._index) return;
+        this._index = new HNSWIndex({ M: this._index.M, efConstruction: this._index.efConstruction, efSearch: this._index.efSearch });
+        for (const v of this._vectors) this._index.insert(v.id, v.vector);
+    }
+
     // ═══ 余弦相似度 ═══
     _cosineSimilarity(a, b) {
         if (!a || !b || a.length !== b.length) return 0;
@@ -151,382 +463,218 @@ class VectorMemory {
         return denom > 0 ? dot / denom : 0;
     }
 
-    // ═══ Ollama Embedding API ═══
-    _ollamaEmbed(text) {
-        return new Promise((resolve) => {
-            const data = JSON.stringify({ model: this._embedModel, prompt: text.substring(0, 8000) });
-            const req = http.request({
-                hostname: this._ollamaHost, port: this._ollamaPort,
-                path: '/api/embeddings', method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                timeout: 10000,
-            }, (res) => {
-                let body = '';
-                res.on('data', c => body += c);
-                res.on('end', () => {
-                    try {
-                        const result = JSON.parse(body);
-                        resolve(result.embedding || null);
-                    } catch { resolve(null); }
-                });
-            });
-            req.on('error', () => resolve(null));
-            req.on('timeout', () => { req.destroy(); resolve(null); });
-            req.write(data);
-            req.end();
-        });
-    }
-
-    // ═══ 持久化 ═══
+    // ═══ 持久化 (追加写已在add时完成, 这里写访问计数+索引快照, 或压缩) ═══
     _save() {
         try {
-            // 只保存向量的前32维(压缩存储)，搜索时用完整向量
-            const compact = this._vectors.map(v => ({
-                id: v.id,
-                text: v.text,
-                // 存完整向量会很大，用Float32压缩
-                v: Buffer.from(new Float32Array(v.vector).buffer).toString('base64'),
-                m: v.metadata,
-                t: v.timestamp,
-                a: v.accessCount,
-            }));
-            fs.writeFileSync(this._dbPath, JSON.stringify({
-                version: 1,
-                dim: this._dim,
-                count: compact.length,
-                entries: compact,
-            }));
+            const index = this._index?.toJSON();
+            if (this._store.needsCompaction()) {
+                this._store.compact(this._vectors, { dim: this._dim, embedder: this._storedEmbedder, index });
+            } else {
+                this._store.flush(index);
+            }
         } catch (e) {
-            console.log(`${C.yellow}[VectorMem]${C.reset} 保存失败: ${e.message}`);
+            console.log(`${C.yellow}${this._tag}${C.reset} 保存失败: ${e.message}`);
         }
     }
 
     _load() {
         try {
-            if (!fs.existsSync(this._dbPath)) return;
-            const data = JSON.parse(fs.readFileSync(this._dbPath, 'utf8'));
-            if (data.version !== 1 || data.dim !== this._dim) return;
-
-            this._vectors = (data.entries || []).map(e => ({
-                id: e.id,
-                text: e.text,
-                vector: [...new Float32Array(Buffer.from(e.v, 'base64').buffer)],
-                metadata: e.m || {},
-                timestamp: e.t,
-                accessCount: e.a || 0,
-            }));
+            const { entries, index, imported } = this._store.open(this._dbPath);
+            if (imported !== undefined) console.log(`${C.cyan}${this._tag}${C.reset} 已导入旧版JSON: ${imported}条 → ${this._store.dir}`);
+            this._storedEmbedder = this._store.meta.embedder;
+            this._dim = this._store.meta.dim;
+            this._vectors = entries;
+            for (const v of this._vectors) {
+                this._byId.set(v.id, v);
+                this._bm25.add(v.id, v.text);
+            }
+            this._loadIndex(index);
+            if (this._store.needsCompaction()) this._save();
 
-            console.log(`${C.green}[VectorMem]${C.reset} 加载${this._vectors.length}条向量记忆 (${this._dim}维)`);
+            if (this._vectors.length > 0) {
+                console.log(`${C.green}${this._tag}${C.reset} 加载${this._vectors.length}条向量记忆 (${this._storedEmbedder}, ${this._dim}维)`);
+            }
         } catch (e) {
-            console.log(`${C.yellow}[VectorMem]${C.reset} 加载失败: ${e.message}`);
+            console.log(`${C.yellow}${this._tag}${C.reset} 加载失败: ${e.message}`);
         }
     }
 
+    // 恢复索引快照并补上快照之后的增删; 没有快照或结构损坏则重建
+    _loadIndex(saved) {
+        if (!this._index || this._vectors.length === 0) return;
+        const restored = saved && HNSWIndex.fromJSON(saved, id => this._byId.get(id)?.vector);
+        if (restored) {
+            for (const v of this._vectors) {
+                if (!restored.has(v.id)) restored.insert(v.id, v.vector);
+            }
+            this._index = restored;
+            return;
+        }
+        const start = Date.now();
+        this._rebuildIndex();
+        console.log(`${C.cyan}${this._tag}${C.reset} 重建HNSW索引: ${this._index.size}条 (${Date.now() - start}ms)`);
+    }
+
     save() { this._save(); }
 
     getStats() {
         return {
             totalMemories: this._vectors.length,
+            maxSize: this._maxSize,
+            eviction: this._evictionName,
             dimension: this._dim,
-            model: this._embedModel,
+            embedder: this._storedEmbedder, // 已存向量所用后端 (迁移完成前不是新后端)
+            degraded: this._degraded && { embedder: this._degraded.embedder, since: this._degraded.since, readOnly: true },
             ...this._stats,
+            store: this._store.getStats(),
             cacheSize: this._cache.size,
+            index: this._index
+                ? { type: 'hnsw', size: this._index.size, active: this._vectors.length >= this._annThreshold, threshold: this._annThreshold }
+                : null,
         };
     }
 }
 
-// ═══════════════════════════════════════════════
-//  2. 真正Q-Learning决策器
-//     状态→动作→奖励→更新 持久化Q-table
-// ═══════════════════════════════════════════════
-
-class RealQLearner {
+// 集合管理: 默认集合沿用原存储目录 (兼容单池时代的接口和数据), 其他集合在 <目录>/collections/<名称>/
+class VectorMemory {
+    /**
+     * @param {Object} [options] - 同 VectorCollection (作为默认集合的配置, 也是其他集合的缺省值),
+     *   collections: { 名称: VectorCollection参数 } 预先声明的集合 (如各自的maxSize/eviction/embedder)
+     *   dbPath: null 表示没有要导入的旧版文件 (此时须给dir)
+     */
     constructor(options = {}) {
-        this._alpha = options.learningRate || 0.15;    // 学习率
-        this._gamma = options.discountFactor || 0.9;   // 折扣因子
-        this._epsilon = options.epsilon || 0.15;       // 探索率
-        this._epsilonDecay = 0.999;                    // 探索衰减
-        this._minEpsilon = 0.05;
-
-        // 动作空间
-        this._actions = [
-            'ANALYZE', 'LEARN', 'EVOLVE', 'REPAIR', 'DEPLOY',
-            'SEARCH', 'WAIT', 'EXPLORE', 'OPTIMIZE', 'COMMUNICATE',
-        ];
-
-        // Q-table: Map<stateKey, Map<action, qValue>>
-        this._qTable = new Map();
-
-        // 经验回放缓冲
-        this._replayBuffer = [];
-        this._maxReplaySize = 1000;
-        this._batchSize = 16;
-
-        // 状态追踪
-        this._lastState = null;
-        this._lastAction = null;
-        this._totalReward = 0;
-        this._episodeRewards = [];
-        this._stats = {
-            decisions: 0, explorations: 0, exploitations: 0,
-            totalReward: 0, avgReward: 0, episodes: 0,
-        };
-
-        this._dbPath = options.dbPath || path.join(__dirname, 'q-learning-table.json');
-        this._load();
-    }
-
-    // ═══ 核心: 状态→特征向量→离散化 ═══
-    encodeState(perception) {
-        // 将连续感知转化为离散状态键
-        const features = [];
-
-        // 内存压力: low/medium/high
-        const memPct = perception.memUsedPct || 50;
-        features.push(memPct < 40 ? 'mem_low' : memPct < 75 ? 'mem_med' : 'mem_high');
-
-        // 知识水平: few/some/many
-        const knowledge = perception.knowledgeCount || 0;
-        features.push(knowledge < 50 ? 'know_few' : knowledge < 200 ? 'know_some' : 'know_many');
-
-        // 时段: 根据运行周期
-        const cycle = perception.cycle || 0;
-        features.push(cycle < 10 ? 'early' : cycle < 100 ? 'mid' : 'late');
-
-        // 错误状态
-        const hasError = perception.keywords?.some(k => k.type === 'error') || false;
-        features.push(hasError ? 'error' : 'ok');
-
-        // 进化停滞
-        const stagnation = perception.stagnationCycles || 0;
-        features.push(stagnation > 5 ? 'stagnant' : 'active');
-
-        // AI资源
-        const aiAvailable = perception.aiProviders || 3;
-        features.push(aiAvailable > 5 ? 'ai_rich' : aiAvailable > 2 ? 'ai_ok' : 'ai_poor');
-
-        return features.join('|');
-    }
-
-    // ═══ 核心: 选择动作 (ε-greedy) ═══
-    selectAction(stateKey) {
-        this._stats.decisions++;
-
-        // ε-greedy 探索
-        if (Math.random() < this._epsilon) {
-            this._stats.explorations++;
-            const action = this._actions[Math.floor(Math.random() * this._actions.length)];
-            this._lastState = stateKey;
-            this._lastAction = action;
-            return { action, method: 'explore', epsilon: this._epsilon };
-        }
-
-        // 利用: 选择Q值最高的动作
-        this._stats.exploitations++;
-        const qValues = this._getQValues(stateKey);
-        let bestAction = this._actions[0];
-        let bestQ = -Infinity;
-
-        for (const action of this._actions) {
-            const q = qValues.get(action) || 0;
-            if (q > bestQ) {
-                bestQ = q;
-                bestAction = action;
+        const { collections, ...defaults } = options;
+        this._dbPath = options.dbPath !== undefined ? options.dbPath : path.join(__dirname, 'vector-memory.json');
+        this._root = options.dir || this._dbPath.replace(/\.json$/, '');
+        this._defaults = defaults;
+        this._collections = new Map();
+        this._collections.set('default', new VectorCollection({ ...defaults, name: 'default', dir: this._root, dbPath: this._dbPath }));
+        for (const [name, config] of Object.entries(collections || {})) this.collection(name, config);
+        // 磁盘上已有但没声明的集合: 按缺省配置打开
+        try {
+            for (const name of fs.readdirSync(path.join(this._root, 'collections'))) {
+                if (!this._collections.has(name)) this.collection(name);
             }
-        }
-
-        this._lastState = stateKey;
-        this._lastAction = bestAction;
-
-        // 衰减探索率
-        this._epsilon = Math.max(this._minEpsilon, this._epsilon * this._epsilonDecay);
-
-        return { action: bestAction, method: 'exploit', qValue: bestQ, epsilon: this._epsilon };
+        } catch {}
     }
 
-    // ═══ 核心: 接收奖励并更新Q-table ═══
-    receiveReward(reward, newStateKey) {
-        if (!this._lastState || !this._lastAction) return;
-
-        // Q-Learning更新公式:
-        // Q(s,a) = Q(s,a) + α * (r + γ * max(Q(s',a')) - Q(s,a))
-        const oldQ = this._getQ(this._lastState, this._lastAction);
-        const maxNextQ = this._getMaxQ(newStateKey);
-        const newQ = oldQ + this._alpha * (reward + this._gamma * maxNextQ - oldQ);
-
-        this._setQ(this._lastState, this._lastAction, newQ);
-
-        // 经验回放
-        this._replayBuffer.push({
-            state: this._lastState,
-            action: this._lastAction,
-            reward,
-            nextState: newStateKey,
-        });
-        if (this._replayBuffer.length > this._maxReplaySize) {
-            this._replayBuffer.splice(0, Math.floor(this._maxReplaySize * 0.2));
+    /**
+     * 取集合, 不存在则创建; 已存在时 options 中的 maxSize/eviction/evictRatio 会更新其策略
+     * (换embedding模型用 reembed)
+     */
+    collection(name = 'default', options = null) {
+        const existing = this._collections.get(name);
+        if (existing) {
+            if (options) existing.setPolicy(options);
+            return existing;
         }
-
-        // 小批量经验回放
-        this._replayLearn();
-
-        this._totalReward += reward;
-        this._stats.totalReward += reward;
-        this._stats.avgReward = this._stats.totalReward / this._stats.decisions;
-
-        return { oldQ, newQ, reward, delta: newQ - oldQ };
+        if (!/^[\w-]+$/.test(name)) throw new Error(`invalid_collection_name:${name}`);
+        const { dbPath, dir, ...shared } = this._defaults;
+        const created = new VectorCollection({
+            ...shared, ...options, name,
+            dir: path.join(this._root, 'collections', name),
+            dbPath: null,
+        });
+        this._collections.set(name, created);
+        return created;
     }
 
-    // ═══ 经验回放学习 ═══
-    _replayLearn() {
-        if (this._replayBuffer.length < this._batchSize) return;
-
-        // 随机抽取一批经验
-        for (let i = 0; i < this._batchSize; i++) {
-            const idx = Math.floor(Math.random() * this._replayBuffer.length);
-            const exp = this._replayBuffer[idx];
-
-            const oldQ = this._getQ(exp.state, exp.action);
-            const maxNextQ = this._getMaxQ(exp.nextState);
-            const newQ = oldQ + this._alpha * 0.5 * (exp.reward + this._gamma * maxNextQ - oldQ);
-            this._setQ(exp.state, exp.action, newQ);
-        }
+    collections() {
+        return [...this._collections.keys()];
     }
 
-    // ═══ Q-table操作 ═══
-    _getQValues(state) {
-        if (!this._qTable.has(state)) {
-            this._qTable.set(state, new Map());
-        }
-        return this._qTable.get(state);
+    // 删除整个集合 (含磁盘文件); 默认集合不能删
+    dropCollection(name) {
+        if (name === 'default' || !this._collections.has(name)) return false;
+        this._collections.delete(name);
+        fs.rmSync(path.join(this._root, 'collections', name), { recursive: true, force: true });
+        return true;
     }
 
-    _getQ(state, action) {
-        return this._getQValues(state).get(action) || 0;
+    // ═══ 默认集合的快捷方式 (options.collection 指定其他集合) ═══
+    embed(text) {
+        return this.collection().embed(text);
     }
 
-    _setQ(state, action, value) {
-        this._getQValues(state).set(action, value);
+    add(text, metadata = {}, options = {}) {
+        return this.collection(options.collection).add(text, metadata, options);
     }
 
-    _getMaxQ(state) {
-        const qValues = this._getQValues(state);
-        let maxQ = 0;
-        for (const q of qValues.values()) {
-            if (q > maxQ) maxQ = q;
+    /**
+     * 参数同 VectorCollection.search; options.collection 为名称或名称数组 ('*' 为全部),
+     * 多个集合时合并排序, 结果带 collection 字段
+     */
+    async search(query, k = 5, minSimilarity = 0.5) {
+        const opts = typeof k === 'object' && k !== null ? k : { k, minSimilarity };
+        const names = opts.collection === '*' ? this.collections()
+            : Array.isArray(opts.collection) ? opts.collection : null;
+        if (!names) return this.collection(opts.collection).search(query, opts);
+
+        const limit = opts.k ?? 5;
+        const merged = [];
+        for (const name of names.filter(n => this._collections.has(n))) {
+            for (const r of await this._collections.get(name).search(query, opts)) merged.push({ ...r, collection: name });
         }
-        return maxQ;
+        const key = (r) => r.score ?? r.similarity;
+        return merged.sort((a, b) => key(b) - key(a)).slice(0, limit);
     }
 
-    // ═══ 计算奖励信号 (从环境反馈) ═══
-    static computeReward(beforeState, afterState, actionResult) {
-        let reward = 0;
-
-        // 知识增长 → 正奖励
-        const knowledgeDelta = (afterState.knowledgeCount || 0) - (beforeState.knowledgeCount || 0);
-        reward += knowledgeDelta * 0.5;
-
-        // 错误修复 → 大正奖励
-        if (beforeState.hasError && !afterState.hasError) reward += 3.0;
-
-        // 产生新错误 → 大负奖励
-        if (!beforeState.hasError && afterState.hasError) reward -= 5.0;
-
-        // 进化成功 → 正奖励
-        if (actionResult?.evolved) reward += 2.0;
-
-        // 停滞 → 小负奖励
-        if (afterState.stagnationCycles > beforeState.stagnationCycles) reward -= 0.5;
-
-        // 内存泄漏 → 负奖励
-        const memDelta = (afterState.memUsedPct || 0) - (beforeState.memUsedPct || 0);
-        if (memDelta > 10) reward -= 1.0;
-
-        // WAIT惩罚 (鼓励行动)
-        if (actionResult?.action === 'WAIT') reward -= 0.2;
-
-        return Math.max(-10, Math.min(10, reward)); // 裁剪到[-10, 10]
+    remove(ids, options = {}) {
+        return this.collection(options.collection).remove(ids);
     }
 
-    // ═══ 持久化 ═══
-    _save() {
-        try {
-            const tableData = {};
-            for (const [state, actions] of this._qTable) {
-                tableData[state] = Object.fromEntries(actions);
-            }
-            fs.writeFileSync(this._dbPath, JSON.stringify({
-                version: 1,
-                qTable: tableData,
-                epsilon: this._epsilon,
-                stats: this._stats,
-                replaySize: this._replayBuffer.length,
-            }, null, 2));
-        } catch {}
+    reembed(embedder = null, options = {}) {
+        return this.collection(options.collection).reembed(embedder);
     }
 
-    _load() {
-        try {
-            if (!fs.existsSync(this._dbPath)) return;
-            const data = JSON.parse(fs.readFileSync(this._dbPath, 'utf8'));
-            if (data.version !== 1) return;
-
-            for (const [state, actions] of Object.entries(data.qTable || {})) {
-                this._qTable.set(state, new Map(Object.entries(actions)));
-            }
-            if (data.epsilon) this._epsilon = data.epsilon;
-            if (data.stats) Object.assign(this._stats, data.stats);
-
-            const states = this._qTable.size;
-            console.log(`${C.green}[QLearner]${C.reset} 加载Q-table: ${states}个状态, ε=${this._epsilon.toFixed(3)}`);
-        } catch {}
+    checkRecall(samples = 50, k = 10, options = {}) {
+        return this.collection(options.collection).checkRecall(samples, k);
     }
 
-    save() { this._save(); }
+    save() {
+        for (const c of this._collections.values()) c.save();
+    }
 
+    // 顶层字段沿用默认集合 (totalMemories为全部集合之和), collections 为逐个集合的明细
     getStats() {
+        const collections = {};
+        for (const [name, c] of this._collections) collections[name] = c.getStats();
         return {
-            ...this._stats,
-            epsilon: this._epsilon,
-            statesLearned: this._qTable.size,
-            replayBufferSize: this._replayBuffer.length,
+            ...collections.default,
+            totalMemories: Object.values(collections).reduce((n, c) => n + c.totalMemories, 0),
+            collections,
         };
     }
-
-    // 获取当前最佳策略摘要
-    getPolicy() {
-        const policy = {};
-        for (const [state, actions] of this._qTable) {
-            let bestAction = 'WAIT', bestQ = -Infinity;
-            for (const [action, q] of actions) {
-                if (q > bestQ) { bestQ = q; bestAction = action; }
-            }
-            policy[state] = { action: bestAction, qValue: bestQ };
-        }
-        return policy;
-    }
 }
 
 // ═══════════════════════════════════════════════
 //  3. MCTS决策规划器
 //     蒙特卡洛树搜索: 模拟→选择→扩展→回溯
+//     状态转移优先按Q学习器记下的真实转移抽样, 没见过的 (状态, 动作) 才用手写规则
 // ═══════════════════════════════════════════════
 
 class MCTSPlanner {
+    /**
+     * @param {Object} [options] - simulations, explorationC, maxDepth,
+     *   qLearner(共享的RealQLearner: 评估叶子、提供经验转移与动作空间), transitions(单独的转移模型),
+     *   actions(显式动作集; 默认每次规划时取 qLearner.actions, 无学习器时用RL核心的 DEFAULT_ACTIONS)
+     */
     constructor(options = {}) {
         this._simulations = options.simulations || 100;   // 每次决策模拟次数
         this._explorationC = options.explorationC || 1.41; // UCB1探索常数 (√2)
         this._maxDepth = options.maxDepth || 5;            // 最大搜索深度
         this._qLearner = options.qLearner || null;         // 复用Q-table评估
-
-        this._actions = [
-            'ANALYZE', 'LEARN', 'EVOLVE', 'REPAIR', 'DEPLOY',
-            'SEARCH', 'WAIT', 'EXPLORE', 'OPTIMIZE',
-        ];
+        this._transitions = options.transitions || this._qLearner?.transitions || null; // 经验转移模型
+        this._dynamics = { learned: 0, prior: 0 };         // 本次规划中两种转移各用了几次
+        this._fixedActions = options.actions ? [...options.actions] : null;
+        this._actions = this._fixedActions || this._qLearner?.actions || [...DEFAULT_ACTIONS];
     }
 
     // ═══ 核心: 规划最佳动作序列 ═══
     plan(currentState, stateEncoder) {
+        this._dynamics = { learned: 0, prior: 0 };
+        if (!this._fixedActions && this._qLearner) this._actions = this._qLearner.actions; // 学习器登记的新动作也参与搜索
+
         // 创建根节点
         const root = this._createNode(currentState, null, null);
 
@@ -552,6 +700,7 @@ class MCTSPlanner {
                 action: node.action,
                 visits: node.visits,
                 avgValue: node.visits > 0 ? node.totalValue / node.visits : 0,
+                model: node.model,
             });
             // 跟随最高访问子节点
             node = node.children.reduce((best, c) =>
@@ -564,6 +713,25 @@ class MCTSPlanner {
             plan: plan.slice(0, this._maxDepth),
             rootVisits: root.visits,
             method: 'mcts',
+            dynamics: this._dynamicsReport(root),
+        };
+    }
+
+    // 转移来源统计: 全部转移 (扩展+rollout) 与树中节点各自的 learned/prior 数
+    _dynamicsReport(root) {
+        const treeNodes = { learned: 0, prior: 0 };
+        const stack = [...root.children];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            treeNodes[node.model]++;
+            stack.push(...node.children);
+        }
+        const { learned, prior } = this._dynamics;
+        return {
+            learned,
+            prior,
+            learnedRatio: learned + prior > 0 ? learned / (learned + prior) : 0,
+            treeNodes,
         };
     }
 
@@ -589,8 +757,8 @@ class MCTSPlanner {
 
         if (untried.length > 0) {
             const action = untried[Math.floor(Math.random() * untried.length)];
-            const nextState = this._transitionModel(node.state, action);
-            const child = this._createNode(nextState, action, node);
+            const { state: nextState, model } = this._transitionModel(node.state, action);
+            const child = this._createNode(nextState, action, node, model);
             node.children.push(child);
 
             // 模拟 (rollout)
@@ -627,7 +795,7 @@ class MCTSPlanner {
 
         for (let d = depth; d < this._maxDepth; d++) {
             const action = this._actions[Math.floor(Math.random() * this._actions.length)];
-            currentState = this._transitionModel(currentState, action);
+            currentState = this._transitionModel(currentState, action).state;
             totalValue += discount * this._evaluate(currentState);
             discount *= 0.9;
         }
@@ -644,8 +812,19 @@ class MCTSPlanner {
         }
     }
 
-    // ═══ 状态转移模型 (简化) ═══
+    // ═══ 状态转移: 经验模型有这对 (状态, 动作) 的样本就按经验抽, 否则用手写规则 ═══
     _transitionModel(state, action) {
+        const learned = this._transitions?.sample(state, action);
+        if (learned) {
+            this._dynamics.learned++;
+            return { state: learned, model: 'learned' };
+        }
+        this._dynamics.prior++;
+        return { state: this._priorTransition(state, action), model: 'prior' };
+    }
+
+    // ═══ 先验转移规则 (简化) ═══
+    _priorTransition(state, action) {
         const next = { ...state };
 
         switch (action) {
@@ -709,9 +888,10 @@ class MCTSPlanner {
         return value;
     }
 
-    _createNode(state, action, parent) {
+    // model: 到达该节点的转移来源 'learned' | 'prior' (根节点为null)
+    _createNode(state, action, parent, model = null) {
         return {
-            state, action, parent,
+            state, action, parent, model,
             children: [],
             visits: 0,
             totalValue: 0,
@@ -954,7 +1134,7 @@ class KnowledgeGraph {
 //  导出 + 自测
 // ═══════════════════════════════════════════════
 
-module.exports = { VectorMemory, RealQLearner, MCTSPlanner, KnowledgeGraph };
+module.exports = { VectorMemory, VectorCollection, RealQLearner, MCTSPlanner, KnowledgeGraph };
 
 // 自测
 if (require.main === module) {
@@ -968,10 +1148,12 @@ if (require.main === module) {
         const vm = new VectorMemory({ dbPath: path.join(__dirname, 'test-vector-mem.json') });
         const added1 = await vm.add('JavaScript是一种动态类型的编程语言');
         const added2 = await vm.add('Python是用于机器学习的流行语言');
-        const added3 = await vm.add('JavaScript是一种动态编程语言'); // 语义重复
+        // 只差标点的近似重复: 离线的哈希后端 (Ollama不可用时) 与神经embedding都应判为重复
+        const added3 = await vm.add('JavaScript是一种动态类型的编程语言。');
         console.log(`  添加: ${added1} ${added2} ${added3}(应为false-语义重复)`);
-        const results = await vm.search('编程语言设计模式', 3);
-        console.log(`  搜索"编程语言设计模式": ${results.length}条 (top: ${results[0]?.text?.substring(0, 30)}... sim=${results[0]?.similarity?.toFixed(3)})`);
+        // 查询与记忆有字面重叠, 哈希后端也能过默认相似度阈值
+        const results = await vm.search('动态类型的编程语言', 3);
+        console.log(`  搜索"动态类型的编程语言": ${results.length}条 (top: ${results[0]?.text?.substring(0, 30)}... sim=${results[0]?.similarity?.toFixed(3)})`);
         if (added1 && added2 && !added3 && results.length > 0) {
             console.log(`  ${C.green}✓ 通过${C.reset}`); passed++;
         } else {
@@ -1009,7 +1191,13 @@ if (require.main === module) {
         const plan = mcts.plan(mctsState);
         console.log(`  最佳动作: ${plan.bestAction} (置信度${(plan.confidence * 100).toFixed(0)}%)`);
         console.log(`  规划路径: ${plan.plan.map(p => p.action).join(' → ')}`);
-        if (plan.bestAction && plan.confidence > 0 && plan.plan.length > 0) {
+        // 动作空间: 默认跟随Q学习器 (含它新登记的动作), 也可显式指定
+        ql.addActions(['REFACTOR']);
+        const sharedRoot = mcts.plan(mctsState).plan.length > 0 && mcts._actions.includes('REFACTOR');
+        const fixedPlan = new MCTSPlanner({ simulations: 20, qLearner: ql, actions: ['LEARN', 'WAIT'] }).plan(mctsState);
+        console.log(`  共享动作空间: ${sharedRoot ? '含新登记的REFACTOR' : '未跟随'} | 显式动作集 → ${fixedPlan.bestAction}`);
+        if (plan.bestAction && plan.confidence > 0 && plan.plan.length > 0 && ql.actions.includes(plan.bestAction)
+            && sharedRoot && ['LEARN', 'WAIT'].includes(fixedPlan.bestAction)) {
             console.log(`  ${C.green}✓ 通过${C.reset}`); passed++;
         } else {
             console.log(`  ${C.red}✗ 失败${C.reset}`);
@@ -1041,11 +1229,254 @@ if (require.main === module) {
             console.log(`  ${C.red}✗ 失败${C.reset}`);
         }
 
+        // 5. HNSW索引召回 (合成聚类向量, 不依赖Ollama)
+        console.log(`\n${C.cyan}[5] HNSW近邻索引召回测试${C.reset}`);
+        total++;
+        const dim = 128, k = 10;
+        const centers = Array.from({ length: 40 }, () => Array.from({ length: dim }, () => Math.random() - 0.5));
+        const randomVec = () => centers[Math.floor(Math.random() * centers.length)].map(x => x + (Math.random() - 0.5) * 0.3);
+        const points = new Map(Array.from({ length: 2000 }, (_, i) => [`p${i}`, randomVec()]));
+        const index = new HNSWIndex();
+        let t = Date.now();
+        for (const [id, v] of points) index.insert(id, v);
+        const buildMs = Date.now() - t;
+        const measureRecall = (idx) => {
+            let found = 0;
+            for (let i = 0; i < 50; i++) {
+                const q = randomVec();
+                const exact = [...points].map(([id, v]) => ({ id, sim: vm.collection()._cosineSimilarity(q, v) }))
+                    .sort((a, b) => b.sim - a.sim).slice(0, k);
+                const ann = new Set(idx.search(q, k).map(r => r.id));
+                found += exact.filter(r => ann.has(r.id)).length;
+            }
+            return found / (50 * k);
+        };
+        const recall = measureRecall(index);
+        const removedIds = [...points.keys()].slice(0, 300);
+        index.remove(removedIds);
+        removedIds.forEach(id => points.delete(id));
+        const recallAfterRemove = measureRecall(index);
+        const restored = HNSWIndex.fromJSON(JSON.parse(JSON.stringify(index.toJSON())), id => points.get(id));
+        const recallRestored = restored ? measureRecall(restored) : 0;
+        console.log(`  建索引${index.size + removedIds.length}条 ${buildMs}ms, 召回@${k}: ${recall.toFixed(3)} / 删除300条后 ${recallAfterRemove.toFixed(3)} / 持久化恢复 ${recallRestored.toFixed(3)}`);
+        if (recall >= 0.9 && recallAfterRemove >= 0.9 && recallRestored >= 0.9 && restored.size === points.size) {
+            console.log(`  ${C.green}✓ 通过${C.reset}`); passed++;
+        } else {
+            console.log(`  ${C.red}✗ 失败${C.reset}`);
+        }
+
+        // 6. 离线embedding + 换后端迁移 (哈希向量, 不依赖Ollama)
+        console.log(`\n${C.cyan}[6] embedding后端迁移测试${C.reset}`);
+        total++;
+        const migratePath = path.join(__dirname, 'test-vector-migrate.json');
+        const hm = new VectorMemory({ dbPath: migratePath, embedder: { type: 'hash', dim: 256 } });
+        await hm.add('Node.js uses the V8 JavaScript engine');
+        await hm.add('Python is popular for machine learning');
+        hm.save();
+        const reopened = new VectorMemory({ dbPath: migratePath, embedder: { type: 'hash', dim: 512 } });
+        const migrated = await reopened.reembed();
+        const hmTop = (await reopened.search('V8 engine', 1, 0))[0];
+        console.log(`  迁移: ${migrated.from} → ${migrated.to} (${migrated.migrated}条, ${reopened.getStats().dimension}维), "V8 engine"命中: ${hmTop?.text}`);
+
+        // 'auto' 探测不到原后端 (Ollama停了): 只读, 不把已存向量改写成哈希向量
+        const outagePath = path.join(__dirname, 'test-vector-outage.json');
+        const outageHasher = new (require('./seed-embeddings').HashEmbedder)({ dim: 64 });
+        const fakeOllama = { signature: 'ollama:nomic-embed-text', dim: 64, embed: async (text) => outageHasher.embedSync(text) };
+        const om = new VectorMemory({ dbPath: outagePath, embedder: fakeOllama, durable: false });
+        await om.add('Node.js uses the V8 JavaScript engine');
+        om.save();
+        const om2 = new VectorMemory({ dbPath: outagePath, embedder: 'auto', ollamaPort: 9, durable: false });
+        const offlineVector = await om2.search('V8 engine', 1, 0);
+        const offlineKeyword = await om2.search('V8 engine', { k: 1, hybrid: true });
+        const offlineAdded = await om2.add('Python is popular for machine learning');
+        const offlineStats = om2.getStats();
+        console.log(`  离线重开: ${offlineStats.embedder} ${offlineStats.dimension}维, 只读=${!!offlineStats.degraded?.readOnly} (可用${offlineStats.degraded?.embedder}), 关键词命中${offlineKeyword.length}条`);
+        if (migrated.ok && migrated.migrated === 2 && reopened.getStats().dimension === 512 && hmTop?.text.includes('V8')
+            && offlineStats.embedder === 'ollama:nomic-embed-text' && offlineStats.dimension === 64 && offlineStats.degraded?.readOnly
+            && offlineVector.length === 0 && offlineKeyword.length === 1 && offlineAdded === false && offlineStats.totalMemories === 1
+            && offlineStats.store.generation === om.getStats().store.generation) {
+            console.log(`  ${C.green}✓ 通过${C.reset}`); passed++;
+        } else {
+            console.log(`  ${C.red}✗ 失败${C.reset}`);
+        }
+
+        // 7. 追加写存储: 旧版JSON导入 + 崩溃截断恢复 + 压缩
+        console.log(`\n${C.cyan}[7] 追加写存储测试${C.reset}`);
+        total++;
+        const legacyPath = path.join(__dirname, 'test-vector-store.json');
+        const hasher = new (require('./seed-embeddings').HashEmbedder)({ dim: 64 });
+        fs.writeFileSync(legacyPath, JSON.stringify({
+            version: 1, dim: 64, embedder: hasher.signature, count: 1,
+            entries: [{ id: 'legacy_1', text: 'legacy memory', v: Buffer.from(new Float32Array(hasher.embedSync('legacy memory')).buffer).toString('base64'), m: {}, t: Date.now(), a: 3 }],
+        }));
+        const sm = new VectorMemory({ dbPath: legacyPath, embedder: hasher, durable: false });
+        const randomWords = () => Array.from({ length: 4 }, () => Math.random().toString(36).substring(2, 8)).join(' ');
+        for (let i = 0; i < 120; i++) await sm.add(randomWords());
+        const added = sm.getStats().totalMemories;
+        // 模拟写到一半崩溃: 半条向量 + 半行日志
+        const smStore = sm.collection()._store;
+        fs.appendFileSync(path.join(smStore.dir, `vectors-${smStore.meta.generation}.f32`), Buffer.alloc(10));
+        fs.appendFileSync(path.join(smStore.dir, `entries-${smStore.meta.generation}.jsonl`), '{"op":"add","id":"torn');
+        const sm2 = new VectorMemory({ dbPath: legacyPath, embedder: hasher, durable: false });
+        const recovered = sm2.getStats().totalMemories;
+        sm2.remove(sm2.collection()._vectors.slice(0, 60).map(v => v.id));
+        sm2.save();
+        const sm3 = new VectorMemory({ dbPath: legacyPath, embedder: hasher, durable: false });
+        const storeStats = sm3.getStats().store;
+        console.log(`  导入+添加 ${added}条, 崩溃恢复 ${recovered}条, 删除60条压缩后 ${sm3.getStats().totalMemories}条 (generation ${storeStats.generation}, 死槽位${storeStats.garbage})`);
+        if (fs.existsSync(`${legacyPath}.imported`) && recovered === added && sm3.getStats().totalMemories === added - 60 && storeStats.garbage === 0) {
+            console.log(`  ${C.green}✓ 通过${C.reset}`); passed++;
+        } else {
+            console.log(`  ${C.red}✗ 失败${C.reset}`);
+        }
+
+        // 8. 元数据过滤 + 混合检索
+        console.log(`\n${C.cyan}[8] 过滤+混合检索测试${C.reset}`);
+        total++;
+        const fm = new VectorMemory({ dbPath: path.join(__dirname, 'test-vector-filter.json'), embedder: 'hash', durable: false });
+        const day = 86400000;
+        await fm.add('MCTS tree search for multi-step planning', { source: 'github', stars: 320 }, { timestamp: Date.now() - 2 * day });
+        await fm.add('MCTS rollout policy notes', { source: 'github', stars: 15 }, { timestamp: Date.now() - 30 * day });
+        await fm.add('npm package implementing MCTS', { source: 'npm' });
+        await fm.add('Q-learning with prioritized replay buffer', { source: 'github', stars: 900 });
+        const recent = await fm.search('MCTS', { filter: { source: 'github' }, since: '7d', hybrid: true, minSimilarity: 0.9 });
+        const popular = await fm.search('planning', { filter: { $or: [{ stars: { $gte: 300 } }, { source: 'npm' }] }, k: 5, minSimilarity: 0 });
+        console.log(`  "GitHub上一周内的MCTS": ${recent.map(r => r.text).join(' | ')}`);
+        console.log(`  "stars≥300或npm": ${popular.length}条`);
+        if (recent.length === 1 && recent[0].text.startsWith('MCTS tree') && recent[0].bm25 > 0 && popular.length === 3) {
+            console.log(`  ${C.green}✓ 通过${C.reset}`); passed++;
+        } else {
+            console.log(`  ${C.red}✗ 失败${C.reset}`);
+        }
+
+        // 9. 多集合: 各自容量/淘汰策略/embedding, 分集合统计
+        console.log(`\n${C.cyan}[9] 多集合测试${C.reset}`);
+        total++;
+        const collectionsPath = path.join(__dirname, 'test-vector-collections.json');
+        const cm = new VectorMemory({
+            dbPath: collectionsPath, embedder: 'hash', durable: false,
+            collections: {
+                code: { maxSize: 5, eviction: 'fifo', embedder: { type: 'hash', dim: 128 } },
+                episodic: { maxSize: 3, eviction: 'lfu' },
+            },
+        });
+        for (let i = 0; i < 8; i++) await cm.add(`function handler${i}() { return fetchData${i}(); }`, {}, { collection: 'code', timestamp: Date.now() + i });
+        for (let i = 0; i < 4; i++) await cm.add(`看到屏幕上出现第${i}个弹窗 ${Math.random().toString(36).substring(2, 8)}`, {}, { collection: 'episodic' });
+        await cm.add('default pool memory about MCTS planning');
+        const codeHits = await cm.search('handler7 fetchData7', { collection: 'code', k: 1, minSimilarity: 0 });
+        const allHits = await cm.search('MCTS handler7', { collection: '*', k: 10, minSimilarity: 0, hybrid: true });
+        const reopenedCm = new VectorMemory({ dbPath: collectionsPath, embedder: 'hash', durable: false });
+        const cs = reopenedCm.getStats().collections;
+        console.log(`  code ${cs.code?.totalMemories}/${cs.code?.maxSize}(${cs.code?.dimension}维) · episodic ${cs.episodic?.totalMemories} · default ${cs.default.totalMemories}, 跨集合命中: ${[...new Set(allHits.map(r => r.collection))].join(',')}`);
+        if (cs.code?.totalMemories === 5 && cs.code.dimension === 128 && cs.episodic?.totalMemories === 3 && cs.default.totalMemories === 1
+            && codeHits[0]?.text.includes('handler7') && allHits.some(r => r.collection === 'default') && allHits.some(r => r.collection === 'code')) {
+            console.log(`  ${C.green}✓ 通过${C.reset}`); passed++;
+        } else {
+            console.log(`  ${C.red}✗ 失败${C.reset}`);
+        }
+
+        // 10. Q函数近似: 线性/MLP在连续特征上学习, 泛化到没见过的状态
+        console.log(`\n${C.cyan}[10] Q函数近似测试${C.reset}`);
+        total++;
+        const fnResults = [];
+        for (const mode of ['linear', 'mlp']) {
+            const fnPath = path.join(__dirname, `test-q-${mode}.json`);
+            const fq = new RealQLearner({ dbPath: fnPath, mode, epsilon: 0.3 });
+            // 有错误时REPAIR最好, 否则LEARN最好
+            const perceive = (hasError) => ({
+                memUsedPct: 20 + Math.random() * 60, knowledgeCount: Math.floor(Math.random() * 400), cycle: Math.floor(Math.random() * 200),
+                keywords: hasError ? [{ type: 'error' }] : [],
+            });
+            let state = fq.encodeState(perceive(false));
+            for (let i = 0; i < 3000; i++) {
+                const hasError = state[3] === 1;
+                const { action } = fq.selectAction(state);
+                const reward = action === (hasError ? 'REPAIR' : 'LEARN') ? 2 : -0.5;
+                state = fq.encodeState(perceive(Math.random() < 0.5));
+                fq.receiveReward(reward, state);
+            }
+            fq.save();
+            const reloaded = new RealQLearner({ dbPath: fnPath, mode });
+            const best = (perception) => {
+                const q = reloaded._actionValues(reloaded.encodeState(perception));
+                return reloaded._actions[q.indexOf(Math.max(...q))];
+            };
+            // 训练中没出现过的内存占用/知识量
+            const errorAction = best({ memUsedPct: 95, knowledgeCount: 900, keywords: [{ type: 'error' }] });
+            const okAction = best({ memUsedPct: 5, knowledgeCount: 900, keywords: [] });
+            fnResults.push(errorAction === 'REPAIR' && okAction === 'LEARN' && reloaded.getStats().parameters > 0);
+            console.log(`  ${mode}: ${reloaded.getStats().parameters}个参数, 错误→${errorAction} 正常→${okAction}`);
+        }
+        if (fnResults.every(Boolean)) {
+            console.log(`  ${C.green}✓ 通过${C.reset}`); passed++;
+        } else {
+            console.log(`  ${C.red}✗ 失败${C.reset}`);
+        }
+
+        // 11. 优先经验回放: TD误差大的多抽, 经验池随Q-table持久化, 离线重训
+        console.log(`\n${C.cyan}[11] 优先经验回放测试${C.reset}`);
+        total++;
+        const { PrioritizedReplayBuffer } = require('./seed-replay-buffer');
+        const per = new PrioritizedReplayBuffer({ capacity: 100 });
+        for (let i = 0; i < 100; i++) per.push({ i });
+        per.updatePriorities([...Array(100).keys()], Array.from({ length: 100 }, (_, i) => (i === 7 ? 10 : 0)));
+        const draws = per.sample(1000);
+        const hotShare = draws.filter(d => d.experience.i === 7).length / draws.length; // 均匀抽样约1%
+        const hotWeight = draws.find(d => d.experience.i === 7)?.weight;
+
+        const replayPath = path.join(__dirname, 'test-q-replay.json');
+        const rq = new RealQLearner({ dbPath: replayPath, epsilon: 1 });
+        for (let i = 0; i < 200; i++) {
+            const s = i % 2 === 0 ? 'busy' : 'idle';
+            const { action } = rq.selectAction(s);
+            rq.receiveReward(action === 'WAIT' ? (s === 'idle' ? 1 : -1) : 0, i % 2 === 0 ? 'idle' : 'busy');
+        }
+        rq.save();
+        const rq2 = new RealQLearner({ dbPath: replayPath });
+        const offline = rq2.replayOffline(200);
+        console.log(`  高误差经验抽中率 ${(hotShare * 100).toFixed(0)}% (IS权重${hotWeight?.toFixed(2)}), 重启后经验 ${rq2.getStats().replayBufferSize}条`);
+        console.log(`  离线重训 ${offline.batches}批: |TD误差| ${offline.firstTdError?.toFixed(3)} → ${offline.lastTdError?.toFixed(3)}`);
+        if (hotShare > 0.2 && hotWeight < 1 && rq2.getStats().replayBufferSize === rq.getStats().replayBufferSize
+            && offline.batches === 200 && offline.lastTdError < offline.firstTdError) {
+            console.log(`  ${C.green}✓ 通过${C.reset}`); passed++;
+        } else {
+            console.log(`  ${C.red}✗ 失败${C.reset}`);
+        }
+
+        // 12. 经验转移模型: 真实转移与手写规则不符时 (LEARN一次+10知识, REPAIR修不好错误), MCTS按经验模拟
+        console.log(`\n${C.cyan}[12] 经验转移模型测试${C.reset}`);
+        total++;
+        const dynPath = path.join(__dirname, 'test-q-dynamics.json');
+        const dq = new RealQLearner({ dbPath: dynPath, epsilon: 1 });
+        const broken = { knowledgeCount: 100, memUsedPct: 50, stagnationCycles: 0, hasError: true };
+        for (let i = 0; i < 40; i++) {
+            const before = { ...broken, cycle: i };
+            const { action } = dq.selectAction(before, ['LEARN', 'REPAIR']);
+            const after = { ...before, cycle: i + 1 };
+            if (action === 'LEARN') after.knowledgeCount += 10;
+            dq.receiveReward(0, after);
+        }
+        dq.save();
+        const dq2 = new RealQLearner({ dbPath: dynPath });
+        const learnedRepair = dq2.transitions.sample(broken, 'REPAIR');
+        const learnedLearn = dq2.transitions.sample(broken, 'LEARN');
+        const dynPlan = new MCTSPlanner({ simulations: 50, qLearner: dq2 }).plan(broken);
+        const { dynamics } = dynPlan;
+        console.log(`  转移模型: ${dq2.getStats().transitions.pairs}对/${dq2.getStats().transitions.samples}个样本 (重启后), REPAIR后出错=${learnedRepair?.hasError} LEARN后知识=${learnedLearn?.knowledgeCount}`);
+        console.log(`  规划转移: 经验${dynamics.learned}次/规则${dynamics.prior}次 (${(dynamics.learnedRatio * 100).toFixed(0)}%), 树节点 经验${dynamics.treeNodes.learned}/规则${dynamics.treeNodes.prior}`);
+        if (learnedRepair?.hasError === true && learnedLearn?.knowledgeCount === 110
+            && dynamics.learned > 0 && dynamics.prior > 0 && dynamics.treeNodes.learned > 0
+            && dynPlan.plan[0].model === (['LEARN', 'REPAIR'].includes(dynPlan.plan[0].action) ? 'learned' : 'prior')) {
+            console.log(`  ${C.green}✓ 通过${C.reset}`); passed++;
+        } else {
+            console.log(`  ${C.red}✗ 失败${C.reset}`);
+        }
+
         console.log(`\n${C.magenta}═══ 结果: ${passed}/${total} 通过 ═══${C.reset}\n`);
 
         // 清理测试文件
-        for (const f of ['test-vector-mem.json', 'test-q-table.json', 'test-knowledge-graph.json']) {
-            try { fs.unlinkSync(path.join(__dirname, f)); } catch {}
+        for (const f of ['test-vector-mem', 'test-q-table.json', 'test-knowledge-graph.json', 'test-vector-migrate', 'test-vector-outage', 'test-vector-store', 'test-vector-store.json.imported', 'test-vector-filter', 'test-vector-collections', 'test-q-linear.json', 'test-q-mlp.json', 'test-q-replay.json', 'test-q-dynamics.json']) {
+            try { fs.rmSync(path.join(__dirname, f), { recursive: true, force: true }); } catch {}
         }
 
         process.exit(passed === total ? 0 : 1);
@@ -0,0 +1,248 @@
+/**
+ * 活体种子AI - 向量近邻索引 (HNSW) v1.0
+ *
+ * VectorMemory 的近似最近邻索引: 分层可导航小世界图 (Malkov & Yashunin, 2016)
+ *   - insert/remove 增量维护, 不需要全量重建
+ *   - search 约 O(log N), 召回率由 efSearch 调节 (越大越准越慢)
+ *   - toJSON/fromJSON 只存图结构 (邻居下标), 向量由 VectorMemory 加载后回填, 快照后的增删在加载时补上
+ *
+ * 相似度为余弦: 入索引时归一化, 检索用点积
+ */
+
+// 归一化为Float32Array (零向量原样返回, 与任何向量点积为0)
+function normalize(vector) {
+    const out = Float32Array.from(vector);
+    let norm = 0;
+    for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+    norm = Math.sqrt(norm);
+    if (norm > 0) for (let i = 0; i < out.length; i++) out[i] /= norm;
+    return out;
+}
+
+function dot(a, b) {
+    if (a.length !== b.length) return 0;
+    let s = 0;
+    for (let i = 0; i < a.length; i++) s += a[i] * b[i];
+    return s;
+}
+
+// 按相似度降序插入 (ef通常≤200, 有序数组比堆简单且足够快)
+function insertSorted(list, item) {
+    let lo = 0, hi = list.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (list[mid].sim > item.sim) lo = mid + 1; else hi = mid;
+    }
+    list.splice(lo, 0, item);
+}
+
+class HNSWIndex {
+    /**
+     * @param {Object} [options] - M(每层邻居数, 默认16; 第0层为2M), efConstruction(建图候选数, 默认100),
+     *   efSearch(检索候选数, 默认64)
+     */
+    constructor(options = {}) {
+        this.M = options.M || 16;
+        this.M0 = this.M * 2;
+        this.efConstruction = options.efConstruction || 100;
+        this.efSearch = options.efSearch || 64;
+        this._mL = 1 / Math.log(this.M);
+        this._nodes = new Map(); // id → { vec: Float32Array, links: [[id...] 每层一组] }
+        this._entry = null;
+        this._maxLevel = -1;
+    }
+
+    get size() { return this._nodes.size; }
+
+    has(id) { return this._nodes.has(id); }
+
+    // ═══ 插入: 随机层高, 自顶向下贪心找入口, 每层连M个邻居 ═══
+    insert(id, vector) {
+        if (this._nodes.has(id)) this.remove(id);
+        const vec = normalize(vector);
+        const level = Math.floor(-Math.log(1 - Math.random()) * this._mL);
+        const node = { vec, links: Array.from({ length: level + 1 }, () => []) };
+        this._nodes.set(id, node);
+        if (this._entry === null) {
+            this._entry = id;
+            this._maxLevel = level;
+            return;
+        }
+
+        let ep = { id: this._entry, sim: dot(vec, this._nodes.get(this._entry).vec) };
+        for (let l = this._maxLevel; l > level; l--) ep = this._greedy(vec, ep, l);
+
+        let eps = [ep];
+        for (let l = Math.min(level, this._maxLevel); l >= 0; l--) {
+            const found = this._searchLayer(vec, eps, this.efConstruction, l);
+            const neighbors = this._selectNeighbors(found.filter(c => c.id !== id), this.M);
+            node.links[l] = neighbors.map(n => n.id);
+            for (const n of neighbors) this._link(n.id, id, l);
+            eps = found;
+        }
+        if (level > this._maxLevel) {
+            this._maxLevel = level;
+            this._entry = id;
+        }
+    }
+
+    // ═══ 删除 (单个或批量): 断开指向被删节点的边, 用被删节点的邻居补边, 保持图连通 ═══
+    remove(ids) {
+        const removed = new Map();
+        for (const id of Array.isArray(ids) ? ids : [ids]) {
+            const node = this._nodes.get(id);
+            if (node) removed.set(id, node);
+        }
+        if (removed.size === 0) return 0;
+        for (const id of removed.keys()) this._nodes.delete(id);
+
+        for (const [id, node] of this._nodes) {
+            for (let l = 0; l < node.links.length; l++) {
+                const links = node.links[l];
+                if (!links.some(n => removed.has(n))) continue;
+                const candidates = new Set(links.filter(n => !removed.has(n)));
+                for (const n of links) {
+                    if (!removed.has(n)) continue;
+                    for (const nn of removed.get(n).links[l] || []) {
+                        if (nn !== id && this._nodes.has(nn)) candidates.add(nn);
+                    }
+                }
+                const scored = [...candidates]
+                    .map(c => ({ id: c, sim: dot(node.vec, this._nodes.get(c).vec) }))
+                    .sort((a, b) => b.sim - a.sim);
+                node.links[l] = this._selectNeighbors(scored, l === 0 ? this.M0 : this.M).map(c => c.id);
+            }
+        }
+
+        // 入口被删: 换成剩余节点中层数最高的
+        if (removed.has(this._entry)) {
+            this._entry = null;
+            this._maxLevel = -1;
+            for (const [id, node] of this._nodes) {
+                if (node.links.length - 1 > this._maxLevel) {
+                    this._entry = id;
+                    this._maxLevel = node.links.length - 1;
+                }
+            }
+        }
+        return removed.size;
+    }
+
+    // ═══ 检索: 返回 [{id, similarity}] 按相似度降序 ═══
+    search(vector, k = 5, ef = this.efSearch) {
+        if (this._entry === null) return [];
+        const q = normalize(vector);
+        let ep = { id: this._entry, sim: dot(q, this._nodes.get(this._entry).vec) };
+        for (let l = this._maxLevel; l > 0; l--) ep = this._greedy(q, ep, l);
+        return this._searchLayer(q, [ep], Math.max(ef, k), 0)
+            .slice(0, k)
+            .map(c => ({ id: c.id, similarity: c.sim }));
+    }
+
+    // 上层: 贪心走向更近的邻居, 直到局部最优
+    _greedy(q, ep, layer) {
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const nb of this._nodes.get(ep.id).links[layer] || []) {
+                const sim = dot(q, this._nodes.get(nb).vec);
+                if (sim > ep.sim) {
+                    ep = { id: nb, sim };
+                    changed = true;
+                }
+            }
+        }
+        return ep;
+    }
+
+    // 单层束搜索: 保留ef个最近候选
+    _searchLayer(q, entryPoints, ef, layer) {
+        const visited = new Set(entryPoints.map(e => e.id));
+        const candidates = [...entryPoints].sort((a, b) => b.sim - a.sim);
+        const results = [...candidates];
+        while (candidates.length > 0) {
+            const c = candidates.shift();
+            if (results.length >= ef && c.sim < results[results.length - 1].sim) break;
+            for (const nb of this._nodes.get(c.id).links[layer] || []) {
+                if (visited.has(nb)) continue;
+                visited.add(nb);
+                const sim = dot(q, this._nodes.get(nb).vec);
+                if (results.length < ef || sim > results[results.length - 1].sim) {
+                    insertSorted(candidates, { id: nb, sim });
+                    insertSorted(results, { id: nb, sim });
+                    if (results.length > ef) results.pop();
+                }
+            }
+        }
+        return results;
+    }
+
+    // 启发式选邻居: 优先保留"离查询点比离已选邻居更近"的候选 (覆盖不同方向), 不足再用剩余的补满
+    _selectNeighbors(candidates, max) {
+        const selected = [];
+        const pruned = [];
+        for (const c of candidates) {
+            if (selected.length >= max) break;
+            const vec = this._nodes.get(c.id).vec;
+            const diverse = selected.every(s => dot(vec, this._nodes.get(s.id).vec) <= c.sim);
+            (diverse ? selected : pruned).push(c);
+        }
+        for (const p of pruned) {
+            if (selected.length >= max) break;
+            selected.push(p);
+        }
+        return selected;
+    }
+
+    // 反向连边, 超出上限时重新挑选
+    _link(from, to, layer) {
+        const node = this._nodes.get(from);
+        const links = node.links[layer];
+        if (links.includes(to)) return;
+        links.push(to);
+        const max = layer === 0 ? this.M0 : this.M;
+        if (links.length <= max) return;
+        const scored = links
+            .map(id => ({ id, sim: dot(node.vec, this._nodes.get(id).vec) }))
+            .sort((a, b) => b.sim - a.sim);
+        node.links[layer] = this._selectNeighbors(scored, max).map(c => c.id);
+    }
+
+    // ═══ 持久化: 只存图结构, 邻居按ids下标存 ═══
+    toJSON() {
+        const ids = [...this._nodes.keys()];
+        const pos = new Map(ids.map((id, i) => [id, i]));
+        return {
+            M: this.M, efConstruction: this.efConstruction, efSearch: this.efSearch,
+            entry: this._entry, maxLevel: this._maxLevel,
+            ids,
+            links: ids.map(id => this._nodes.get(id).links.map(layer => layer.map(n => pos.get(n)))),
+        };
+    }
+
+    /**
+     * 从toJSON结果恢复, getVector(id) 回填向量
+     * 取不到向量的节点 (快照之后已删除的记忆) 先按原连接恢复再删除, 由remove补边
+     * @returns {HNSWIndex|null} 结构损坏时为null (调用方应重建)
+     */
+    static fromJSON(data, getVector) {
+        if (!data || !Array.isArray(data.ids) || !Array.isArray(data.links)) return null;
+        const index = new HNSWIndex(data);
+        const missing = [];
+        for (let i = 0; i < data.ids.length; i++) {
+            const vector = getVector(data.ids[i]);
+            if (!vector) missing.push(data.ids[i]);
+            index._nodes.set(data.ids[i], {
+                vec: vector ? normalize(vector) : null,
+                links: data.links[i].map(layer => layer.map(j => data.ids[j])),
+            });
+        }
+        if (!index._nodes.has(data.entry) && index._nodes.size > 0) return null;
+        index._entry = index._nodes.size > 0 ? data.entry : null;
+        index._maxLevel = index._entry === null ? -1 : data.maxLevel;
+        index.remove(missing);
+        return index;
+    }
+}
+
+module.exports = { HNSWIndex };
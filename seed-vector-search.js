@@ -0,0 +1,159 @@
+/**
+ * 活体种子AI - 向量记忆的过滤与关键词检索 v1.0
+ *
+ * matchFilter(entry, filter) — 元数据过滤DSL (MongoDB风格的子集):
+ *   { source: 'github' }                        相等 (数组字段为包含)
+ *   { stars: { $gte: 100, $lt: 1000 } }         $eq $ne $gt $gte $lt $lte
+ *   { tags: { $in: ['rl', 'mcts'] } }           $in $nin $exists $contains $regex(字符串默认不区分大小写)
+ *   { $or: [...], $and: [...], $not: {...} }
+ *   字段 id / text / timestamp / accessCount 取条目本身, 其余取 metadata (支持 a.b 路径)
+ *   timestamp 的比较值可写 毫秒数 / Date / ISO字符串 / 相对时长 '7d' (=7天前, 单位 s m h d w)
+ *
+ * BM25Index — 增量维护的BM25倒排索引 (英文按词, 中日韩按单字+二元组), 供混合检索的关键词分
+ */
+
+const ENTRY_FIELDS = ['id', 'text', 'timestamp', 'accessCount'];
+const TIME_FIELDS = ['timestamp'];
+const DURATION_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+// 时间值 → 毫秒时间戳 ('7d' 为相对现在往前)
+function toTime(value) {
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'number') return value;
+    const rel = String(value).match(/^(\d+(?:\.\d+)?)([smhdw])$/);
+    if (rel) return Date.now() - Number(rel[1]) * DURATION_UNITS[rel[2]];
+    const parsed = Date.parse(value);
+    if (isNaN(parsed)) throw new Error(`invalid_time:${value}`);
+    return parsed;
+}
+
+function fieldValue(entry, key) {
+    if (ENTRY_FIELDS.includes(key)) return entry[key];
+    return key.split('.').reduce((obj, k) => (obj == null ? undefined : obj[k]), entry.metadata);
+}
+
+function isOperatorObject(cond) {
+    return cond !== null && typeof cond === 'object' && !Array.isArray(cond)
+        && !(cond instanceof Date) && !(cond instanceof RegExp);
+}
+
+function equals(value, expected) {
+    if (expected instanceof RegExp) return typeof value === 'string' && expected.test(value);
+    return Array.isArray(value) ? value.includes(expected) : value === expected;
+}
+
+function matchCondition(value, cond, isTime) {
+    const norm = (v) => (isTime && v !== undefined && v !== null ? toTime(v) : v);
+    if (!isOperatorObject(cond)) return equals(value, norm(cond));
+    return Object.entries(cond).every(([op, arg]) => {
+        switch (op) {
+            case '$eq': return equals(value, norm(arg));
+            case '$ne': return !equals(value, norm(arg));
+            case '$gt': return value !== undefined && value !== null && value > norm(arg);
+            case '$gte': return value !== undefined && value !== null && value >= norm(arg);
+            case '$lt': return value !== undefined && value !== null && value < norm(arg);
+            case '$lte': return value !== undefined && value !== null && value <= norm(arg);
+            case '$in': return arg.some(a => equals(value, norm(a)));
+            case '$nin': return !arg.some(a => equals(value, norm(a)));
+            case '$exists': return (value !== undefined) === !!arg;
+            case '$contains':
+                return Array.isArray(value) ? value.includes(arg) : typeof value === 'string' && value.includes(arg);
+            case '$regex': return typeof value === 'string' && (arg instanceof RegExp ? arg : new RegExp(arg, 'i')).test(value);
+            default: throw new Error(`unknown_filter_op:${op}`);
+        }
+    });
+}
+
+/**
+ * 条目是否满足过滤条件; entry: { id, text, timestamp, accessCount, metadata }
+ */
+function matchFilter(entry, filter) {
+    if (!filter) return true;
+    return Object.entries(filter).every(([key, cond]) => {
+        if (key === '$and') return cond.every(f => matchFilter(entry, f));
+        if (key === '$or') return cond.some(f => matchFilter(entry, f));
+        if (key === '$not') return !matchFilter(entry, cond);
+        return matchCondition(fieldValue(entry, key), cond, TIME_FIELDS.includes(key));
+    });
+}
+
+// 分词: 英文/数字按词, 中日韩按单字 + 相邻二元组
+function tokenize(text) {
+    const lower = String(text || '').toLowerCase();
+    const tokens = lower.match(/[a-z0-9_]+/g) || [];
+    for (const run of lower.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]+/g) || []) {
+        for (let i = 0; i < run.length; i++) {
+            tokens.push(run[i]);
+            if (i + 1 < run.length) tokens.push(run.substring(i, i + 2));
+        }
+    }
+    return tokens;
+}
+
+class BM25Index {
+    /**
+     * @param {Object} [options] - k1(词频饱和, 默认1.2), b(长度归一, 默认0.75)
+     */
+    constructor(options = {}) {
+        this.k1 = options.k1 ?? 1.2;
+        this.b = options.b ?? 0.75;
+        this._docs = new Map();     // id → { len, tf: Map<term, n> }
+        this._postings = new Map(); // term → Set<id>
+        this._totalLen = 0;
+    }
+
+    get size() { return this._docs.size; }
+
+    add(id, text) {
+        if (this._docs.has(id)) this.remove(id);
+        const tokens = tokenize(text);
+        const tf = new Map();
+        for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+        this._docs.set(id, { len: tokens.length, tf });
+        this._totalLen += tokens.length;
+        for (const term of tf.keys()) {
+            if (!this._postings.has(term)) this._postings.set(term, new Set());
+            this._postings.get(term).add(id);
+        }
+    }
+
+    remove(id) {
+        const doc = this._docs.get(id);
+        if (!doc) return;
+        for (const term of doc.tf.keys()) {
+            const ids = this._postings.get(term);
+            ids.delete(id);
+            if (ids.size === 0) this._postings.delete(term);
+        }
+        this._totalLen -= doc.len;
+        this._docs.delete(id);
+    }
+
+    /**
+     * @param {Set} [allowed] - 只在这些id里打分 (元数据过滤后的范围)
+     * @returns {Array<{id, score}>} 按分数降序, 只含至少命中一个词的
+     */
+    search(query, k = 10, allowed = null) {
+        const n = this._docs.size;
+        if (n === 0) return [];
+        const avgLen = this._totalLen / n || 1;
+        const scores = new Map();
+        for (const term of new Set(tokenize(query))) {
+            const ids = this._postings.get(term);
+            if (!ids) continue;
+            const idf = Math.log(1 + (n - ids.size + 0.5) / (ids.size + 0.5));
+            for (const id of ids) {
+                if (allowed && !allowed.has(id)) continue;
+                const doc = this._docs.get(id);
+                const f = doc.tf.get(term);
+                const s = idf * f * (this.k1 + 1) / (f + this.k1 * (1 - this.b + this.b * doc.len / avgLen));
+                scores.set(id, (scores.get(id) || 0) + s);
+            }
+        }
+        return [...scores].map(([id, score]) => ({ id, score }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k);
+    }
+}
+
+module.exports = { matchFilter, toTime, tokenize, BM25Index };
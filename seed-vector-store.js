@@ -0,0 +1,258 @@
+/**
+ * 活体种子AI - 向量存储 (追加写分段格式) v2
+ *
+ * VectorMemory 的磁盘格式, 一个目录:
+ *   meta.json            — { version: 2, generation, dim, embedder } (临时文件+rename原子替换)
+ *   vectors-<gen>.f32    — 向量, 每条 dim×Float32 定长, 按槽位追加
+ *   entries-<gen>.jsonl  — 元数据日志, 逐行追加: add(含槽位) / del / acc(访问计数)
+ *   index-<gen>.json     — HNSW图结构快照 (可能落后于日志, 加载时由VectorMemory补齐)
+ *
+ * 崩溃安全: 先写向量再写日志行, 日志行是提交点; 打开时截掉半条向量/半行日志
+ * 压缩: 死槽位(已删除/已迁移)超过 compactRatio 时按新generation重写, meta.json切换后删旧文件
+ * 旧格式: version:1 的单个JSON文件在首次打开时导入, 原文件改名为 .imported 保留
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const EXT = { vectors: 'f32', entries: 'jsonl', index: 'json' };
+
+class VectorStore {
+    /**
+     * @param {string} dir - 存储目录
+     * @param {Object} [options] - durable(每次追加后fsync, 默认true), compactRatio(死槽位占比阈值, 默认0.3)
+     */
+    constructor(dir, options = {}) {
+        this.dir = dir;
+        this.durable = options.durable !== false;
+        this.compactRatio = options.compactRatio ?? 0.3;
+        this.meta = { version: 2, generation: 0, dim: null, embedder: null };
+        this._slots = 0;             // 向量文件里的槽位数 (含死槽位)
+        this._live = new Map();      // id → 槽位
+        this._dirtyAccess = new Map(); // id → 访问计数 (flush时写一条acc)
+        this._stats = { appends: 0, compactions: 0, repaired: 0 };
+    }
+
+    _file(kind, generation = this.meta.generation) {
+        return path.join(this.dir, `${kind}-${generation}.${EXT[kind]}`);
+    }
+
+    /**
+     * 打开存储 (不存在则创建, 有旧版JSON则导入)
+     * @param {string} [legacyPath] - version:1 JSON文件路径
+     * @returns {{ entries: Array<{id, text, vector, metadata, timestamp, accessCount}>, index: Object|null, imported?: number }}
+     */
+    open(legacyPath = null) {
+        const metaPath = path.join(this.dir, 'meta.json');
+        if (!fs.existsSync(metaPath)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+            if (legacyPath && fs.existsSync(legacyPath)) return this._importLegacy(legacyPath);
+            this._writeMeta();
+            return { entries: [], index: null };
+        }
+
+        this.meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+        this._cleanup();
+        const vectors = this._readVectors();
+        const entries = this._replayLog();
+        for (const entry of entries.values()) {
+            const offset = entry.slot * this.meta.dim;
+            entry.vector = Array.from(vectors.subarray(offset, offset + this.meta.dim));
+            this._live.set(entry.id, entry.slot);
+            delete entry.slot;
+        }
+        let index = null;
+        try { index = JSON.parse(fs.readFileSync(this._file('index'), 'utf8')); } catch {}
+        return { entries: [...entries.values()], index };
+    }
+
+    // 向量文件: 截掉尾部不完整的一条 (写到一半崩溃)
+    _readVectors() {
+        let buf;
+        try { buf = fs.readFileSync(this._file('vectors')); } catch { buf = Buffer.alloc(0); }
+        const recordBytes = (this.meta.dim || 0) * 4;
+        if (!recordBytes) return new Float32Array(0);
+        const whole = Math.floor(buf.length / recordBytes) * recordBytes;
+        if (whole !== buf.length) {
+            fs.truncateSync(this._file('vectors'), whole);
+            this._stats.repaired++;
+        }
+        this._slots = whole / recordBytes;
+        // 复制一份保证4字节对齐
+        return new Float32Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + whole));
+    }
+
+    // 元数据日志: 截掉尾部半行, 按顺序重放 add/del/acc
+    _replayLog() {
+        let text;
+        try { text = fs.readFileSync(this._file('entries'), 'utf8'); } catch { text = ''; }
+        const end = text.lastIndexOf('\n') + 1;
+        if (end !== text.length) {
+            text = text.slice(0, end);
+            fs.truncateSync(this._file('entries'), Buffer.byteLength(text));
+            this._stats.repaired++;
+        }
+
+        const entries = new Map();
+        for (const line of text.split('\n')) {
+            if (!line) continue;
+            let rec;
+            try { rec = JSON.parse(line); } catch { continue; }
+            if (rec.op === 'add') {
+                // 槽位超出向量文件: 向量没写完整, 这条不算提交
+                if (rec.s >= this._slots) continue;
+                entries.set(rec.id, {
+                    id: rec.id, text: rec.text, metadata: rec.m || {},
+                    timestamp: rec.t, accessCount: rec.a || 0, slot: rec.s,
+                });
+            } else if (rec.op === 'del') {
+                for (const id of rec.ids) entries.delete(id);
+            } else if (rec.op === 'acc') {
+                for (const [id, n] of Object.entries(rec.a)) {
+                    const entry = entries.get(id);
+                    if (entry) entry.accessCount = n;
+                }
+            }
+        }
+        return entries;
+    }
+
+    // ═══ 追加一条记忆 (向量先落盘, 日志行是提交点) ═══
+    append(entry) {
+        const vector = Float32Array.from(entry.vector);
+        if (!this.meta.dim) this.updateMeta({ dim: vector.length });
+        if (vector.length !== this.meta.dim) throw new Error(`dim_mismatch:${vector.length}/${this.meta.dim}`);
+        const slot = this._slots;
+        this._appendFile('vectors', Buffer.from(vector.buffer));
+        this._slots++;
+        this._appendFile('entries', JSON.stringify({
+            op: 'add', id: entry.id, s: slot, text: entry.text,
+            m: entry.metadata, t: entry.timestamp, a: entry.accessCount || 0,
+        }) + '\n');
+        this._live.set(entry.id, slot);
+        this._stats.appends++;
+    }
+
+    remove(ids) {
+        const live = ids.filter(id => this._live.has(id));
+        if (live.length === 0) return 0;
+        this._appendFile('entries', JSON.stringify({ op: 'del', ids: live }) + '\n');
+        for (const id of live) {
+            this._live.delete(id);
+            this._dirtyAccess.delete(id);
+        }
+        return live.length;
+    }
+
+    // 访问计数只记在内存, flush时合成一行
+    touch(id, accessCount) {
+        if (this._live.has(id)) this._dirtyAccess.set(id, accessCount);
+    }
+
+    // 写出待定的访问计数 + 索引快照
+    flush(index = null) {
+        if (this._dirtyAccess.size > 0) {
+            this._appendFile('entries', JSON.stringify({ op: 'acc', a: Object.fromEntries(this._dirtyAccess) }) + '\n');
+            this._dirtyAccess.clear();
+        }
+        if (index) this._writeAtomic(this._file('index'), JSON.stringify(index));
+    }
+
+    needsCompaction() {
+        return this._slots >= 100 && (this._slots - this._live.size) / this._slots > this.compactRatio;
+    }
+
+    /**
+     * 压缩: 只写存活记忆到新generation, meta.json原子切换后删旧文件
+     * 也用于维度变化 (换embedding后端) 后的整体重写
+     */
+    compact(entries, { dim = this.meta.dim, embedder = this.meta.embedder, index = null } = {}) {
+        const generation = this.meta.generation + 1;
+        const vectors = Buffer.alloc(entries.length * dim * 4);
+        const lines = entries.map((e, slot) => {
+            Buffer.from(Float32Array.from(e.vector).buffer).copy(vectors, slot * dim * 4);
+            return JSON.stringify({ op: 'add', id: e.id, s: slot, text: e.text, m: e.metadata, t: e.timestamp, a: e.accessCount || 0 }) + '\n';
+        });
+        this._writeAtomic(this._file('vectors', generation), vectors);
+        this._writeAtomic(this._file('entries', generation), lines.join(''));
+        if (index) this._writeAtomic(this._file('index', generation), JSON.stringify(index));
+
+        this.meta = { ...this.meta, version: 2, generation, dim, embedder };
+        this._writeMeta(); // 提交点: 此前崩溃仍是旧generation
+        this._cleanup();
+        this._slots = entries.length;
+        this._live = new Map(entries.map((e, slot) => [e.id, slot]));
+        this._dirtyAccess.clear();
+        this._stats.compactions++;
+    }
+
+    updateMeta(fields) {
+        this.meta = { ...this.meta, ...fields };
+        this._writeMeta();
+    }
+
+    // version:1 JSON → 新格式 (一次性), 原文件改名保留
+    _importLegacy(legacyPath) {
+        const data = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+        if (data.version !== 1) throw new Error(`unsupported_version:${data.version}`);
+        const entries = (data.entries || []).map(e => ({
+            id: e.id,
+            text: e.text,
+            vector: [...new Float32Array(Buffer.from(e.v, 'base64').buffer)],
+            metadata: e.m || {},
+            timestamp: e.t,
+            accessCount: e.a || 0,
+        }));
+        // 旧文件没有记录后端: 都是Ollama nomic-embed-text生成的
+        this.compact(entries, { dim: data.dim, embedder: data.embedder || 'ollama:nomic-embed-text', index: data.index || null });
+        fs.renameSync(legacyPath, `${legacyPath}.imported`);
+        return { entries, index: data.index || null, imported: entries.length };
+    }
+
+    _appendFile(kind, data) {
+        const fd = fs.openSync(this._file(kind), 'a');
+        try {
+            fs.writeSync(fd, data);
+            if (this.durable) fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    // 临时文件 + fsync + rename: 读者只会看到完整的旧文件或新文件
+    _writeAtomic(file, data) {
+        const tmp = `${file}.tmp`;
+        const fd = fs.openSync(tmp, 'w');
+        try {
+            fs.writeSync(fd, data);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmp, file);
+    }
+
+    _writeMeta() {
+        this._writeAtomic(path.join(this.dir, 'meta.json'), JSON.stringify(this.meta));
+    }
+
+    // 删除其他generation的文件和临时文件 (压缩中途崩溃的残留)
+    _cleanup() {
+        for (const name of fs.readdirSync(this.dir)) {
+            const m = name.match(/^(vectors|entries|index)-(\d+)\.\w+(\.tmp)?$/);
+            if (m && (Number(m[2]) !== this.meta.generation || m[3])) fs.unlinkSync(path.join(this.dir, name));
+        }
+    }
+
+    getStats() {
+        return {
+            generation: this.meta.generation,
+            slots: this._slots,
+            live: this._live.size,
+            garbage: this._slots - this._live.size,
+            ...this._stats,
+        };
+    }
+}
+
+module.exports = { VectorStore };
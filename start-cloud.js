@@ -6,11 +6,13 @@
  * "眼+手"(屏幕+鼠标)留在本地电脑，通过API同步
  *
  * 端口: 7860 (HuggingFace Spaces默认)
+ * SEED_TRACE_TOKEN: 设置后 /traces 带 Authorization: Bearer <token> 才返回提示词/回复正文 (默认只给元数据)
  */
 
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 // 颜色输出
 const C = {
@@ -19,6 +21,19 @@ const C = {
     reset: '\x1b[0m', bold: '\x1b[1m',
 };
 
+// AIClient日志级别 → 颜色
+const LEVEL_COLOR = { warn: C.yellow, error: C.red };
+
+// /traces 正文访问: 未配置 SEED_TRACE_TOKEN 时一律不给
+function traceTokenValid(authorization) {
+    const token = process.env.SEED_TRACE_TOKEN;
+    const given = /^Bearer\s+(.+)$/i.exec(authorization || '')?.[1] || '';
+    if (!token || !given) return false;
+    const a = crypto.createHash('sha256').update(token).digest();
+    const b = crypto.createHash('sha256').update(given.trim()).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
 console.log(`${C.magenta}╔═══════════════════════════════════════════════════════════════╗${C.reset}`);
 console.log(`${C.magenta}║${C.reset}  ${C.bold}活体种子AI - 云端大脑 v1.0${C.reset}                                  ${C.magenta}║${C.reset}`);
 console.log(`${C.magenta}║${C.reset}  进化引擎 + AI舰队 + 智能学习 + Claude思维 + 全球进化       ${C.magenta}║${C.reset}`);
@@ -40,6 +55,7 @@ function safeRequire(modulePath, name) {
 
 // 核心模块 (跨平台)
 const { NeuroBrain, ClaudeThinkingPatterns } = require('./seed-neuro-brain');
+const { AIClient } = require('./seed-ai-client');
 const livingCore = safeRequire('./seed-living-core', '活体核心');
 const globalEvolution = safeRequire('./seed-global-evolution', '全球进化');
 const llmEvolution = safeRequire('./seed-llm-evolution', 'LLM进化');
@@ -53,31 +69,24 @@ const smartSearch = safeRequire('./seed-smart-search', '智能搜索');
 //  云端AI舰队 (不需要本地Ollama)
 // ═══════════════════════════════════════════════
 
-class CloudAIFleet {
-    constructor() {
-        this.providers = new Map();
-        this._keys = {};
-        this._loadKeys();
-        this._initProviders();
+class CloudAIFleet extends AIClient {
+    constructor(options = {}) {
+        // 路由/失败切换/限流/熔断/缓存由 AIClient 统一实现 (seed-ai-client.js)
+        // 与本地AIFleet共用清单; 云端无本地Ollama, 缺Key的不注册; 缓存无embedding, 只做精确匹配
+        super({
+            ...options,
+            filter: (def, keys) => def.type !== 'local' && (!def.needsKey || !!keys[def.key]),
+            defaults: { maxTokens: 2000 },
+            log: (level, message) => console.log(`${LEVEL_COLOR[level] || C.green}[CloudAI]${C.reset} ${message}`),
+        });
         this._stats = { calls: 0, success: 0, errors: 0 };
+        console.log(`${C.green}[CloudAI]${C.reset} ${this.providers.size}个AI提供商就绪`);
     }
 
     _loadKeys() {
-        // 从环境变量加载
-        const envMap = {
-            DEEPSEEK_API_KEY: 'deepseek',
-            DASHSCOPE_API_KEY: 'dashscope',
-            GROQ_API_KEY: 'groq',
-            GEMINI_API_KEY: 'gemini',
-            OPENROUTER_API_KEY: 'openrouter',
-            TOGETHER_API_KEY: 'together',
-            HF_TOKEN: 'huggingface',
-            CEREBRAS_API_KEY: 'cerebras',
-            COHERE_API_KEY: 'cohere',
-            GITHUB_TOKEN: 'github-models',
-            MISTRAL_API_KEY: 'mistral',
-        };
-        for (const [env, provider] of Object.entries(envMap)) {
+        this._keys = {};
+        // 从环境变量加载 (变量名见 ai-providers.json 的 keyEnv)
+        for (const [env, provider] of Object.entries(this.registry.envMap())) {
             if (process.env[env]) this._keys[provider] = process.env[env];
         }
 
@@ -86,11 +95,7 @@ class CloudAIFleet {
             const p = path.join(__dirname, keyFile);
             if (fs.existsSync(p)) {
                 try {
-                    const data = JSON.parse(fs.readFileSync(p, 'utf8'));
-                    if (data.deepseek_api_key) this._keys.deepseek = data.deepseek_api_key;
-                    if (data.dashscope_api_key) this._keys.dashscope = data.dashscope_api_key;
-                    if (data.groq_api_key) this._keys.groq = data.groq_api_key;
-                    if (data.gemini_api_key) this._keys.gemini = data.gemini_api_key;
+                    this.addKeys(JSON.parse(fs.readFileSync(p, 'utf8')));
                 } catch (e) {}
             }
         }
@@ -99,222 +104,130 @@ class CloudAIFleet {
         console.log(`${C.green}[CloudAI]${C.reset} 加载${keyCount}个API Key`);
     }
 
-    _initProviders() {
-        // Tier 0: 免费无需Key
-        this.providers.set('pollinations', {
-            name: 'Pollinations', type: 'free', priority: 1,
-            ask: (p) => this._askPollinations(p, 'openai'),
-        });
-        this.providers.set('pollinations-mistral', {
-            name: 'Pollinations-Mistral', type: 'free', priority: 1,
-            ask: (p) => this._askPollinations(p, 'mistral'),
-        });
-
-        // Tier 1: 免费需Key
-        if (this._keys.groq) this.providers.set('groq', { name: 'Groq', ask: (p) => this._askGroq(p) });
-        if (this._keys.gemini) this.providers.set('gemini', { name: 'Gemini', ask: (p) => this._askGemini(p) });
-        if (this._keys.cerebras) this.providers.set('cerebras', { name: 'Cerebras', ask: (p) => this._askCerebras(p) });
-        if (this._keys.together) this.providers.set('together', { name: 'Together', ask: (p) => this._askTogether(p) });
-        if (this._keys.cohere) this.providers.set('cohere', { name: 'Cohere', ask: (p) => this._askCohere(p) });
-        if (this._keys['github-models']) this.providers.set('github-models', { name: 'GitHub Models', ask: (p) => this._askGitHubModels(p) });
-        if (this._keys.mistral) this.providers.set('mistral', { name: 'Mistral', ask: (p) => this._askMistral(p) });
-        if (this._keys.huggingface) this.providers.set('huggingface', { name: 'HuggingFace', ask: (p) => this._askHuggingFace(p) });
-
-        // Tier 2: 付费
-        if (this._keys.deepseek) this.providers.set('deepseek', { name: 'DeepSeek', ask: (p) => this._askDeepSeek(p) });
-        if (this._keys.dashscope) this.providers.set('dashscope', { name: '通义千问', ask: (p) => this._askDashScope(p) });
-
-        console.log(`${C.green}[CloudAI]${C.reset} ${this.providers.size}个AI提供商就绪`);
+    // 旧接口: 返回文本 | null (需要 { success, content, provider } 时用 request)
+    async ask(prompt, systemPrompt = '', options = {}) {
+        const result = await this.chat(prompt, systemPrompt, options);
+        return result ? result.content : null;
     }
 
-    async ask(prompt, systemPrompt = '') {
+    // 多轮对话: messages数组(或单个prompt) → { content, provider } | null
+    // options.cache: TTL毫秒数, 命中时不调用提供商; 默认依次尝试全部提供商
+    async chat(messages, systemPrompt = '', options = {}) {
         this._stats.calls++;
-        const providers = [...this.providers.entries()];
-
-        for (const [name, provider] of providers) {
-            try {
-                const result = await provider.ask(prompt);
-                if (result && result.trim()) {
-                    this._stats.success++;
-                    return result;
-                }
-            } catch (e) {
-                console.log(`${C.yellow}[CloudAI]${C.reset} ${name}失败: ${e.message.substring(0, 60)}`);
-            }
+        const result = await this.request(messages, systemPrompt, { retries: this.providers.size, ...options });
+        if (!result.success) {
+            this._stats.errors++;
+            return null;
         }
-        this._stats.errors++;
-        return null;
-    }
-
-    // Pollinations (免费, 无需Key)
-    async _askPollinations(prompt, model = 'openai') {
-        const https = require('https');
-        const data = JSON.stringify({
-            model, messages: [{ role: 'user', content: prompt }],
-            max_tokens: 2000,
-        });
-        return new Promise((resolve, reject) => {
-            const req = https.request({
-                hostname: 'text.pollinations.ai',
-                path: '/openai',
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) },
-                timeout: 30000,
-            }, (res) => {
-                let body = '';
-                res.on('data', c => body += c);
-                res.on('end', () => {
-                    try {
-                        const j = JSON.parse(body);
-                        resolve(j.choices?.[0]?.message?.content || '');
-                    } catch { resolve(body); }
-                });
-            });
-            req.on('error', reject);
-            req.on('timeout', () => { req.destroy(); reject(new Error('timeout')); });
-            req.write(data);
-            req.end();
-        });
-    }
-
-    // DeepSeek
-    async _askDeepSeek(prompt) {
-        return this._askOpenAICompat('https://api.deepseek.com/v1/chat/completions', this._keys.deepseek, 'deepseek-chat', prompt);
-    }
-
-    // DashScope (通义千问)
-    async _askDashScope(prompt) {
-        return this._askOpenAICompat('https://dashscope.aliyuncs.com/compatible-mode/v1/chat/completions', this._keys.dashscope, 'qwen-turbo', prompt);
+        this._stats.success++;
+        return { content: result.content, provider: result.provider, trace: result.trace, ...(result.cached ? { cached: true } : {}) };
     }
 
-    // Groq
-    async _askGroq(prompt) {
-        return this._askOpenAICompat('https://api.groq.com/openai/v1/chat/completions', this._keys.groq, 'llama-3.3-70b-versatile', prompt);
+    // 流式问答: 逐token产出, 首个token前失败则切换提供商
+    async *askStream(prompt, systemPrompt = '', options = {}) {
+        this._stats.calls++;
+        try {
+            yield* super.askStream(prompt, systemPrompt, { retries: this.providers.size, ...options });
+            this._stats.success++;
+        } catch (e) {
+            this._stats.errors++;
+            throw e;
+        }
     }
 
-    // Gemini
-    async _askGemini(prompt) {
-        const https = require('https');
-        const data = JSON.stringify({ contents: [{ parts: [{ text: prompt }] }] });
-        return new Promise((resolve, reject) => {
-            const req = https.request({
-                hostname: 'generativelanguage.googleapis.com',
-                path: `/v1beta/models/gemini-2.0-flash:generateContent?key=${this._keys.gemini}`,
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) },
-                timeout: 30000,
-            }, (res) => {
-                let body = '';
-                res.on('data', c => body += c);
-                res.on('end', () => {
-                    try {
-                        const j = JSON.parse(body);
-                        resolve(j.candidates?.[0]?.content?.parts?.[0]?.text || '');
-                    } catch { resolve(''); }
-                });
-            });
-            req.on('error', reject);
-            req.write(data);
-            req.end();
-        });
+    getStatus() {
+        return {
+            providers: this.providers.size,
+            stats: this._stats,
+            available: [...this.providers.keys()].filter(name => this.breaker.available(name)),
+            circuits: Object.fromEntries([...this.providers.keys()].map(name => [name, this.breaker.status(name)])),
+            cache: this.cache.summary(),
+            traces: this.traces.getStats(),
+            fleet: super.getStatus(), // 每个提供商的调用/用量/配额/任务成功率 (与本地AIFleet同格式)
+        };
     }
+}
 
-    // Cerebras
-    async _askCerebras(prompt) {
-        return this._askOpenAICompat('https://api.cerebras.ai/v1/chat/completions', this._keys.cerebras, 'llama3.1-8b', prompt);
-    }
+// ═══════════════════════════════════════════════
+//  多轮对话会话 (持久化到 chat-sessions.json)
+// ═══════════════════════════════════════════════
 
-    // Together
-    async _askTogether(prompt) {
-        return this._askOpenAICompat('https://api.together.xyz/v1/chat/completions', this._keys.together, 'meta-llama/Llama-3-8b-chat-hf', prompt);
+class ChatSessionStore {
+    constructor(filePath = path.join(__dirname, 'chat-sessions.json')) {
+        this._file = filePath;
+        this._maxSessions = 200;   // 超出时淘汰最久未活跃的会话
+        this._maxMessages = 200;   // 每个会话保留的历史条数 (发给AI前还会按上下文预算裁剪)
+        this.sessions = new Map();
+        this._queues = new Map();  // id → 该会话上一轮对话的Promise (同一会话串行)
+        this._load();
     }
 
-    // Cohere
-    async _askCohere(prompt) {
-        const https = require('https');
-        const data = JSON.stringify({ model: 'command-r', message: prompt });
-        return new Promise((resolve, reject) => {
-            const req = https.request({
-                hostname: 'api.cohere.ai',
-                path: '/v1/chat',
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this._keys.cohere}`,
-                    'Content-Length': Buffer.byteLength(data),
-                },
-                timeout: 30000,
-            }, (res) => {
-                let body = '';
-                res.on('data', c => body += c);
-                res.on('end', () => {
-                    try { resolve(JSON.parse(body).text || ''); } catch { resolve(''); }
-                });
-            });
-            req.on('error', reject);
-            req.write(data);
-            req.end();
-        });
+    _load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this._file, 'utf8'));
+            for (const s of data.sessions || []) this.sessions.set(s.id, s);
+            if (this.sessions.size > 0) {
+                console.log(`${C.green}[Chat]${C.reset} 恢复${this.sessions.size}个会话`);
+            }
+        } catch (e) {}
     }
 
-    // GitHub Models
-    async _askGitHubModels(prompt) {
-        return this._askOpenAICompat('https://models.inference.ai.azure.com/chat/completions', this._keys['github-models'], 'gpt-4o-mini', prompt);
+    _save() {
+        try {
+            fs.writeFileSync(this._file, JSON.stringify({
+                version: 1, savedAt: new Date().toISOString(),
+                sessions: [...this.sessions.values()],
+            }));
+        } catch (e) {
+            console.log(`${C.yellow}[Chat]${C.reset} 会话保存失败: ${e.message}`);
+        }
     }
 
-    // Mistral
-    async _askMistral(prompt) {
-        return this._askOpenAICompat('https://api.mistral.ai/v1/chat/completions', this._keys.mistral, 'mistral-small-latest', prompt);
+    create({ system = '', title = '' } = {}) {
+        const now = new Date().toISOString();
+        const session = {
+            id: `chat-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            title, system, createdAt: now, updatedAt: now, messages: [],
+        };
+        this.sessions.set(session.id, session);
+        if (this.sessions.size > this._maxSessions) {
+            const oldest = [...this.sessions.values()].sort((a, b) => a.updatedAt.localeCompare(b.updatedAt))[0];
+            this.sessions.delete(oldest.id);
+        }
+        this._save();
+        return session;
     }
 
-    // HuggingFace
-    async _askHuggingFace(prompt) {
-        return this._askOpenAICompat('https://api-inference.huggingface.co/models/mistralai/Mistral-7B-Instruct-v0.3/v1/chat/completions', this._keys.huggingface, null, prompt);
+    get(id) {
+        return this.sessions.get(id) || null;
     }
 
-    // 通用OpenAI兼容接口
-    async _askOpenAICompat(url, apiKey, model, prompt) {
-        const https = require('https');
-        const parsed = new URL(url);
-        const data = JSON.stringify({
-            ...(model ? { model } : {}),
-            messages: [{ role: 'user', content: prompt }],
-            max_tokens: 2000,
-        });
-        return new Promise((resolve, reject) => {
-            const req = https.request({
-                hostname: parsed.hostname,
-                path: parsed.pathname,
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Length': Buffer.byteLength(data),
-                },
-                timeout: 30000,
-            }, (res) => {
-                let body = '';
-                res.on('data', c => body += c);
-                res.on('end', () => {
-                    try {
-                        const j = JSON.parse(body);
-                        resolve(j.choices?.[0]?.message?.content || '');
-                    } catch { resolve(''); }
-                });
-            });
-            req.on('error', reject);
-            req.on('timeout', () => { req.destroy(); reject(new Error('timeout')); });
-            req.write(data);
-            req.end();
+    // 追加一轮对话 (提问+回复), 只写盘一次
+    append(id, ...messages) {
+        const session = this.sessions.get(id);
+        if (!session) return null;
+        const now = new Date().toISOString();
+        for (const message of messages) session.messages.push({ ...message, at: now });
+        if (session.messages.length > this._maxMessages) {
+            session.messages = session.messages.slice(-this._maxMessages);
+        }
+        session.updatedAt = now;
+        this._save();
+        return session;
+    }
+
+    /**
+     * 同一会话的对话串行执行: 后到的请求等上一轮写入历史后再读取, 不会基于过期历史回答或交错写入
+     * fn(session) 在轮到时调用 (会话已被淘汰时为null), 返回值透传
+     */
+    exchange(id, fn) {
+        const run = (this._queues.get(id) || Promise.resolve()).then(() => fn(this.get(id)));
+        const tail = run.catch(() => {});
+        this._queues.set(id, tail);
+        tail.then(() => {
+            if (this._queues.get(id) === tail) this._queues.delete(id);
         });
-    }
-
-    getStatus() {
-        return {
-            providers: this.providers.size,
-            stats: this._stats,
-            available: [...this.providers.keys()],
-        };
+        return run;
     }
 }
 
@@ -1485,11 +1398,12 @@ class GPUAutoProvisioner {
 class CloudEvolutionEngine {
     constructor() {
         this.aiFleet = new CloudAIFleet();
-        this.brain = new NeuroBrain();
+        this.brain = new NeuroBrain({ aiClient: this.aiFleet });
         this.claude = new ClaudeThinkingPatterns();
         this.sync = new MultiCloudSync();  // ★ 多云同步
         this.deployer = new CloudAutoDeployer();  // ★ 自主云部署
         this.provisioner = new GPUAutoProvisioner(this.deployer);  // ★ GPU全自动供应
+        this.chatSessions = new ChatSessionStore();  // 多轮对话会话
         this._cycle = 0;
         this._running = false;
         this._startTime = Date.now();
@@ -1510,6 +1424,7 @@ class CloudEvolutionEngine {
         this._initModules();
 
         this._running = true;
+        this.aiFleet.startProbes();
 
         // 启动API服务器
         this._startAPI();
@@ -1552,8 +1467,11 @@ class CloudEvolutionEngine {
         // 全球进化引擎
         if (globalEvolution?.GlobalEvolutionEngine) {
             try {
+                // AIFleet接口: ask返回{success, content, provider} (即统一客户端的request)
                 this._modules.globalEvolution = new globalEvolution.GlobalEvolutionEngine({
-                    ask: (p) => this.aiFleet.ask(p),
+                    ask: (p, sys, opts) => this.aiFleet.request(p, sys, { retries: this.aiFleet.providers.size, ...opts }),
+                    askJSON: (p, schema, opts) => this.aiFleet.askJSON(p, schema, opts),
+                    crossValidate: (p, sys, opts) => this.aiFleet.crossValidate(p, sys, opts),
                 });
                 console.log(`${C.green}[Cloud]${C.reset} 全球进化引擎 ✓`);
             } catch (e) {
@@ -1656,8 +1574,10 @@ class CloudEvolutionEngine {
         ];
         const topic = topics[this._cycle % topics.length];
 
+        // 12个固定话题循环出现, 一天内复用同一回答
         const answer = await this.aiFleet.ask(
-            `请用JSON格式简洁解释: ${topic}。格式: {"topic":"","summary":"","keyPoints":["","",""],"code":""}`
+            `请用JSON格式简洁解释: ${topic}。格式: {"topic":"","summary":"","keyPoints":["","",""],"code":""}`,
+            '', { cache: 24 * 3600000 }
         );
 
         if (answer) {
@@ -1733,6 +1653,9 @@ class CloudEvolutionEngine {
             platform: 'cloud',
             knowledgeCount: this._knowledgeBase.length,
         }, 0.3);
+
+        // 多步规划: 与大脑基底神经节共用同一份Q值 (brain.qLearner) 和经验转移
+        this.brain.plan();
     }
 
     async _repairCycle() {
@@ -1835,8 +1758,9 @@ class CloudEvolutionEngine {
         console.log(`\n${C.cyan}╔═══ 云端种子状态 (周期${this._cycle}) ═══╗${C.reset}`);
         console.log(`${C.cyan}║${C.reset} 运行: ${uptime}分钟 | 内存: ${Math.round(mem.heapUsed / 1024 / 1024)}MB`);
         console.log(`${C.cyan}║${C.reset} AI: ${aiStatus.providers}源 [${aiStatus.available.join(',')}]`);
-        console.log(`${C.cyan}║${C.reset} AI调用: ${aiStatus.stats.calls}次 成功${aiStatus.stats.success} 失败${aiStatus.stats.errors}`);
+        console.log(`${C.cyan}║${C.reset} AI调用: ${aiStatus.stats.calls}次 成功${aiStatus.stats.success} 失败${aiStatus.stats.errors} | 缓存命中${aiStatus.cache.hitRate}`);
         console.log(`${C.cyan}║${C.reset} 知识: ${this._knowledgeBase.length}条 | 大脑: ${brainStatus.stats.decisions}决策`);
+        if (brainStatus.lastPlan) console.log(`${C.cyan}║${C.reset} 规划: ${brainStatus.lastPlan.action} (置信${(brainStatus.lastPlan.confidence * 100).toFixed(0)}%)`);
         console.log(`${C.cyan}║${C.reset} Claude思维: 置信${(this.claude.metaCognition.confidence * 100).toFixed(0)}%`);
         const syncStatus = this.sync.getPeerStatus();
         const expiry = this.sync.checkExpiry();
@@ -1903,6 +1827,128 @@ class CloudEvolutionEngine {
                     return;
                 }
 
+                // AI对话 (SSE流式): POST {prompt, system} 或 GET ?prompt=
+                if (url === '/ask/stream') {
+                    let prompt, system;
+                    if (req.method === 'POST') {
+                        let body = '';
+                        for await (const chunk of req) body += chunk;
+                        ({ prompt, system } = JSON.parse(body));
+                    } else {
+                        const q = new URL(req.url, 'http://localhost').searchParams;
+                        prompt = q.get('prompt');
+                        system = q.get('system');
+                    }
+                    if (!prompt) {
+                        res.writeHead(400);
+                        res.end(JSON.stringify({ error: 'prompt required' }));
+                        return;
+                    }
+
+                    res.writeHead(200, {
+                        'Content-Type': 'text/event-stream',
+                        'Cache-Control': 'no-cache',
+                        'Connection': 'keep-alive',
+                    });
+                    let closed = false;
+                    req.on('close', () => { closed = true; });
+                    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+                    let provider = null;
+                    try {
+                        const stream = this.aiFleet.askStream(prompt, system || '', {
+                            onProvider: (name) => { provider = name; send('provider', { provider: name }); },
+                        });
+                        for await (const token of stream) {
+                            if (closed) break;
+                            send('token', { token });
+                        }
+                        if (!closed) send('done', { provider });
+                    } catch (e) {
+                        if (!closed) send('error', { error: e.message });
+                    }
+                    res.end();
+                    return;
+                }
+
+                // 多轮对话: 创建会话
+                if (url === '/chat/sessions' && req.method === 'POST') {
+                    let body = '';
+                    for await (const chunk of req) body += chunk;
+                    const { system, title } = body ? JSON.parse(body) : {};
+                    const session = this.chatSessions.create({ system, title });
+                    res.writeHead(201);
+                    res.end(JSON.stringify(session));
+                    return;
+                }
+
+                // 多轮对话: 查看会话 / 发送消息
+                const chatMatch = url.match(/^\/chat\/sessions\/([\w-]+)(\/messages)?$/);
+                if (chatMatch) {
+                    const [, sessionId, isMessages] = chatMatch;
+                    const session = this.chatSessions.get(sessionId);
+                    if (!session) {
+                        res.writeHead(404);
+                        res.end(JSON.stringify({ error: 'session not found' }));
+                        return;
+                    }
+                    if (!isMessages && req.method === 'GET') {
+                        res.writeHead(200);
+                        res.end(JSON.stringify(session));
+                        return;
+                    }
+                    if (isMessages && req.method === 'POST') {
+                        let body = '';
+                        for await (const chunk of req) body += chunk;
+                        const { content } = JSON.parse(body);
+                        if (!content) {
+                            res.writeHead(400);
+                            res.end(JSON.stringify({ error: 'content required' }));
+                            return;
+                        }
+                        const result = await this.chatSessions.exchange(sessionId, async (current) => {
+                            if (!current) return null;
+                            const history = [
+                                ...current.messages.map(m => ({ role: m.role, content: m.content })),
+                                { role: 'user', content },
+                            ];
+                            const reply = await this.aiFleet.chat(history, current.system);
+                            // 成功后再写入, 失败的提问不进入历史
+                            if (reply) {
+                                this.chatSessions.append(sessionId, { role: 'user', content },
+                                    { role: 'assistant', content: reply.content, provider: reply.provider });
+                            }
+                            return reply;
+                        });
+                        if (!result) {
+                            res.writeHead(502);
+                            res.end(JSON.stringify({ error: 'all_providers_failed', sessionId }));
+                            return;
+                        }
+                        res.writeHead(200);
+                        res.end(JSON.stringify({
+                            sessionId, reply: result.content, provider: result.provider,
+                            messageCount: session.messages.length,
+                        }));
+                        return;
+                    }
+                }
+
+                // LLM调用追踪: GET ?id= &correlationId= &site= &provider= &outcome= &since= &limit=
+                // 正文 (源码、用户在/chat输入的内容) 只对持有 SEED_TRACE_TOKEN 的请求返回
+                if (url === '/traces') {
+                    const q = new URL(req.url, 'http://localhost').searchParams;
+                    const filter = {};
+                    for (const k of ['id', 'correlationId', 'site', 'provider', 'outcome', 'since']) {
+                        if (q.get(k)) filter[k] = q.get(k);
+                    }
+                    filter.limit = Math.min(parseInt(q.get('limit')) || 50, 500);
+                    filter.bodies = traceTokenValid(req.headers.authorization);
+                    res.writeHead(200);
+                    res.end(JSON.stringify({ ...this.aiFleet.traces.query(filter), log: this.aiFleet.traces.getStats() }));
+                    return;
+                }
+
                 // 知识库查询
                 if (url === '/knowledge') {
                     res.writeHead(200);
@@ -2095,7 +2141,7 @@ class CloudEvolutionEngine {
 
         server.listen(PORT, '0.0.0.0', () => {
             console.log(`${C.green}[API]${C.reset} 云端API服务器运行在 http://0.0.0.0:${PORT}`);
-            console.log(`${C.green}[API]${C.reset} 端点: /health /status /ask /knowledge /sync/* /deploy/* /provision/* /claude/*`);
+            console.log(`${C.green}[API]${C.reset} 端点: /health /status /ask /ask/stream /chat/sessions /traces /knowledge /sync/* /deploy/* /provision/* /claude/*`);
         });
     }
 }